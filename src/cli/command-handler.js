@@ -24,19 +24,53 @@ export function setupCommands() {
     .version('1.0.0')
     .argument('<dest>', 'Destination directory for output files')
     .argument('<dirs...>', 'Source directories containing markdown files')
-    .option('-f, --format <format>', 'Output format (md or mdc)', 'md')
+    .option('-f, --format <format>', 'Output format (md, mdc, windsurf, cline, continue, json, jsonl or copilot)', 'md')
+    .option('--llms-txt', 'Also write llms.txt and llms-full.txt indexes of the rule files to the destination')
+    .option('--agents-file <path>', 'Write a section listing the rule files to an agent instruction file (repeatable)',
+      collectValues, [])
     .option('-e, --exclude <dirs>',
       'Comma-separated list of directories to exclude',
       'images,node_modules,dist,build,coverage,test,cjs,generator,lib,src')
     .option('-s, --source-url <url>', 'Base URL for source links (e.g., https://github.com/user/repo/blob/main/)')
-    .option('--always-apply', 'Set alwaysApply: true in mdc frontmatter (default for mdc format)')
-    .option('--no-always-apply', 'Set alwaysApply: false in mdc frontmatter')
-    .option('--apply-glob <pattern>', 'Use glob pattern instead of alwaysApply in mdc frontmatter')
+    .option('--always-apply', 'Always apply the rules in editors that support it (default for rule formats)')
+    .option('--no-always-apply', 'Apply the rules only when the editor or model chooses them, e.g. alwaysApply: false in mdc')
+    .option('--apply-glob <pattern>', 'Apply the rules only to files matching a glob pattern instead of always')
+    .option('--languages <languages>', 'Comma-separated list of snippet languages to keep (e.g., js,ts,jsx)')
+    .option('--exclude-languages <languages>', 'Comma-separated list of snippet languages to drop (e.g., bash,text,console)')
+    .option('--prefer-variant <variants>', 'Keep only the first matching variant of grouped snippets (e.g., ts,pnpm)')
+    .option('--no-detect-language', 'Do not detect the language of unlabeled code blocks')
+    .option('--jsdoc-examples', 'Also extract @example blocks from JSDoc comments in JS/TS source files')
+    .option('--guidelines', 'Also extract normative guidelines (MUST, SHOULD, NEVER, DO NOT) from prose')
+    .option('--tables', 'Also extract markdown tables (options, props, environment variables) as reference entries')
+    .option('--description-strategy <strategy>',
+      'How prose before a code block is used as its description (nearest, paragraph or section)', 'paragraph')
+    .option('--description-after', 'Add the paragraph after a code block to its description')
+    .option('--description-max-length <length>', 'Shorten snippet descriptions to at most this many characters')
+    .option('--plain-descriptions', 'Render snippet descriptions as plain text without markdown syntax')
+    .option('--drop-shell-output', 'Leave the printed output of shell session snippets out, keeping only the commands')
+    .option('--validate', 'Check that JS/TS/JSON/YAML snippets parse and report those that do not')
+    .option('--drop-invalid', 'Remove snippets that do not parse from the output (implies --validate)')
+    .option('--fail-on-invalid', 'Exit with an error when any snippet does not parse (implies --validate)')
+    .option('--no-redact', 'Do not replace secrets such as API keys, tokens and passwords with placeholders')
+    .option('--redact-pattern <regex>', 'Also redact matches of a regular expression, given as regex or NAME=regex (repeatable)',
+      collectValues, [])
+    .option('--redact-allow <regex>', 'Never redact values matching a regular expression (repeatable)', collectValues, [])
+    .option('--fail-on-secret', 'Exit with an error when any secret is redacted')
     .action(handleConvertCommand);
 
   return program;
 }
 
+/**
+ * Collects the values of a repeatable option
+ * @param {string} value - Value given for this occurrence of the option
+ * @param {string[]} previous - Values given so far
+ * @returns {string[]} All values given
+ */
+function collectValues(value, previous) {
+  return [...previous, value];
+}
+
 /**
  * Handles the convert command execution
  * @param {string} dest - Destination directory
@@ -49,8 +83,12 @@ function handleConvertCommand(dest, dirs, options) {
     const validatedOptions = validateOptions(options);
 
     console.log(`Converting markdown files from ${dirs.join(', ')} to ${dest}`);
-    console.log(`Output format: ${validatedOptions.format}`);
+    console.log(`Output format: ${validatedOptions.format}${validatedOptions.llmsTxt ? ', with llms.txt' : ''}`);
     console.log(`Excluding directories: ${validatedOptions.excludeDirs.join(', ')}`);
+    if (validatedOptions.agentsFiles.length > 0) {
+      console.log(`Updating instruction files: ${validatedOptions.agentsFiles.join(', ')}`);
+    }
+    logExtractionOptions(validatedOptions);
 
     // Set environment variables for source URL
     if (validatedOptions.sourceUrl) {
@@ -65,3 +103,71 @@ function handleConvertCommand(dest, dirs, options) {
     throw error;
   }
 }
+
+/**
+ * Logs the snippet extraction options that differ from the defaults
+ * @param {Object} validatedOptions - Validated options
+ */
+function logExtractionOptions(validatedOptions) {
+  if (validatedOptions.languages) {
+    console.log(`Keeping languages: ${validatedOptions.languages.join(', ')}`);
+  }
+  if (validatedOptions.excludeLanguages.length > 0) {
+    console.log(`Excluding languages: ${validatedOptions.excludeLanguages.join(', ')}`);
+  }
+  if (validatedOptions.preferVariants.length > 0) {
+    console.log(`Preferring variants: ${validatedOptions.preferVariants.join(', ')}`);
+  }
+  if (validatedOptions.dropShellOutput) {
+    console.log('Dropping shell session output');
+  }
+  logDescriptionOptions(validatedOptions);
+  logContentOptions(validatedOptions);
+  logCheckOptions(validatedOptions);
+}
+
+/**
+ * Logs the opt-in content extracted besides markdown snippets
+ * @param {Object} validatedOptions - Validated options
+ */
+function logContentOptions(validatedOptions) {
+  if (validatedOptions.jsdocExamples) {
+    console.log('Extracting JSDoc @example blocks from source files');
+  }
+  if (validatedOptions.guidelines) {
+    console.log('Extracting normative guidelines from prose');
+  }
+  if (validatedOptions.tables) {
+    console.log('Extracting tables as reference entries');
+  }
+}
+
+/**
+ * Logs the snippet description options that differ from the defaults
+ * @param {Object} validatedOptions - Validated options
+ */
+function logDescriptionOptions(validatedOptions) {
+  if (validatedOptions.descriptionStrategy !== 'paragraph' || validatedOptions.descriptionAfter) {
+    const after = validatedOptions.descriptionAfter ? ', with the following paragraph' : '';
+    console.log(`Description strategy: ${validatedOptions.descriptionStrategy}${after}`);
+  }
+  if (validatedOptions.descriptionMaxLength) {
+    console.log(`Shortening descriptions to ${validatedOptions.descriptionMaxLength} characters`);
+  }
+  if (validatedOptions.plainDescriptions) {
+    console.log('Rendering descriptions as plain text');
+  }
+}
+
+/**
+ * Logs the snippet validation and redaction options that differ from the defaults
+ * @param {Object} validatedOptions - Validated options
+ */
+function logCheckOptions(validatedOptions) {
+  if (validatedOptions.validate) {
+    console.log(`Validating snippet syntax${validatedOptions.dropInvalid ? ', dropping invalid snippets' : ''}`);
+  }
+  if (!validatedOptions.redact) {
+    console.log('Not redacting secrets');
+  }
+}
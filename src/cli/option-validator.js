@@ -1,3 +1,6 @@
+import { normalizeLanguage } from '../utils/language-normalizer.js';
+import { DESCRIPTION_STRATEGIES } from '../processors/description-extractor.js';
+
 /**
  * Option Validator
  *
@@ -13,13 +16,34 @@ const DEFAULTS = {
   excludeDirs: ['images', 'node_modules', 'dist', 'build', 'coverage', 'test', 'cjs', 'generator', 'lib', 'src'],
   sourceUrl: null,
   alwaysApply: null, // null means use format default (true for mdc, n/a for md)
-  applyGlob: null
+  applyGlob: null,
+  languages: null, // null means keep every language
+  excludeLanguages: [],
+  detectLanguage: true,
+  jsdocExamples: false,
+  guidelines: false,
+  tables: false,
+  dropShellOutput: false,
+  plainDescriptions: false,
+  descriptionStrategy: 'paragraph',
+  descriptionAfter: false,
+  descriptionMaxLength: null, // null means no limit
+  validate: false,
+  dropInvalid: false,
+  failOnInvalid: false,
+  redact: true,
+  redactPatterns: [],
+  redactAllow: [],
+  failOnSecret: false,
+  preferVariants: [],
+  llmsTxt: false,
+  agentsFiles: []
 };
 
 /**
  * Valid output formats
  */
-const VALID_FORMATS = ['md', 'mdc'];
+const VALID_FORMATS = ['md', 'mdc', 'windsurf', 'cline', 'continue', 'json', 'jsonl', 'copilot'];
 
 /**
  * Validates and normalizes CLI options
@@ -30,13 +54,8 @@ const VALID_FORMATS = ['md', 'mdc'];
 export function validateOptions(options) {
   const validated = { ...DEFAULTS };
 
-  // Validate and set format
-  if (options.format) {
-    if (!VALID_FORMATS.includes(options.format)) {
-      throw new Error(`Invalid format: ${options.format}. Must be one of: ${VALID_FORMATS.join(', ')}`);
-    }
-    validated.format = options.format;
-  }
+  // Validate and set format and extra outputs
+  validateFormatOptions(options, validated);
 
   // Validate and set exclude directories
   if (options.exclude) {
@@ -51,9 +70,47 @@ export function validateOptions(options) {
   // Validate and set mdc rule options
   validateMdcOptions(options, validated);
 
+  // Validate and set language filters
+  validateLanguageOptions(options, validated);
+
+  // Set opt-in extraction and snippet description options
+  validateExtractionOptions(options, validated);
+
+  // Validate and set snippet validation options
+  validateValidationOptions(options, validated);
+
+  // Validate and set secret redaction options
+  validateRedactionOptions(options, validated);
+
   return validated;
 }
 
+/**
+ * Validates and sets the output format and the extra index outputs
+ * llms.txt and llms-full.txt indexes and agent instruction files are only written when requested.
+ * @param {Object} options - Raw CLI options
+ * @param {Object} validated - Validated options object to modify
+ * @throws {Error} If the format is invalid
+ */
+function validateFormatOptions(options, validated) {
+  if (options.format) {
+    if (!VALID_FORMATS.includes(options.format)) {
+      throw new Error(`Invalid format: ${options.format}. Must be one of: ${VALID_FORMATS.join(', ')}`);
+    }
+    validated.format = options.format;
+  }
+
+  validated.llmsTxt = options.llmsTxt === true;
+
+  if (options.agentsFile != null) {
+    const agentsFiles = Array.isArray(options.agentsFile) ? options.agentsFile : [options.agentsFile];
+    validated.agentsFiles = agentsFiles
+      .filter(agentsFile => typeof agentsFile === 'string')
+      .map(agentsFile => agentsFile.trim())
+      .filter(agentsFile => agentsFile.length > 0);
+  }
+}
+
 /**
  * Parses comma-separated exclude directories string into array
  * @param {string} excludeString - Comma-separated directory names
@@ -72,6 +129,78 @@ function parseExcludeDirs(excludeString) {
   return parsed.length > 0 ? parsed : DEFAULTS.excludeDirs;
 }
 
+/**
+ * Parses a comma-separated language list into unique canonical language names
+ * @param {string} languagesString - Comma-separated language names or aliases
+ * @returns {string[]} Array of canonical language names
+ */
+function parseLanguageList(languagesString) {
+  if (!languagesString || typeof languagesString !== 'string') {
+    return [];
+  }
+
+  const languages = languagesString
+    .split(',')
+    .map(language => language.trim())
+    .filter(language => language.length > 0)
+    .map(language => normalizeLanguage(language));
+
+  return [...new Set(languages)];
+}
+
+/**
+ * Parses a comma-separated list of preferred variants
+ * Entries are kept as written since they match variant labels as well as languages.
+ * @param {string} variantsString - Comma-separated variant labels or languages
+ * @returns {string[]} Array of preferred variants in order
+ */
+function parseVariantList(variantsString) {
+  if (!variantsString || typeof variantsString !== 'string') {
+    return [];
+  }
+
+  return variantsString
+    .split(',')
+    .map(variant => variant.trim())
+    .filter(variant => variant.length > 0);
+}
+
+/**
+ * Compiles user-supplied regular expressions
+ * @param {string|string[]} patterns - Pattern or list of patterns
+ * @param {string} optionName - Option name for error messages
+ * @returns {RegExp[]} Compiled patterns
+ * @throws {Error} If a pattern is not a valid regular expression
+ */
+function parsePatternList(patterns, optionName) {
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+
+  return list.filter(pattern => typeof pattern === 'string' && pattern.length > 0).map(pattern => {
+    try {
+      return new RegExp(pattern);
+    } catch (error) {
+      throw new Error(`Invalid ${optionName} pattern: ${pattern}. ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Parses user-supplied secret detectors
+ * A pattern written as NAME=regex is replaced by <NAME>; other patterns by <REDACTED>.
+ * @param {string|string[]} patterns - Pattern or list of patterns
+ * @returns {Array} Detectors, each with a name and a global pattern
+ * @throws {Error} If a pattern is not a valid regular expression
+ */
+function parseRedactPatterns(patterns) {
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+
+  return list.filter(pattern => typeof pattern === 'string' && pattern.length > 0).map(pattern => {
+    const named = pattern.match(/^([A-Z][A-Z0-9_]*)=(.+)$/);
+    const [compiled] = parsePatternList(named ? named[2] : pattern, 'redact');
+    return { name: named ? named[1] : 'REDACTED', pattern: new RegExp(compiled.source, 'g') };
+  });
+}
+
 /**
  * Validates source URL format
  * @param {string} url - Source URL to validate
@@ -119,3 +248,106 @@ function validateMdcOptions(options, validated) {
     throw new Error('Cannot use both --always-apply/--no-always-apply and --apply-glob options together');
   }
 }
+
+/**
+ * Validates and sets language filter and variant preference options
+ * @param {Object} options - Raw CLI options
+ * @param {Object} validated - Validated options object to modify
+ * @throws {Error} If options are invalid
+ */
+function validateLanguageOptions(options, validated) {
+  if (options.languages != null) {
+    const languages = parseLanguageList(options.languages);
+    if (languages.length === 0) {
+      throw new Error('Invalid languages: must be a comma-separated list of language names');
+    }
+    validated.languages = languages;
+  }
+
+  if (options.excludeLanguages != null) {
+    validated.excludeLanguages = parseLanguageList(options.excludeLanguages);
+  }
+
+  if (options.preferVariant != null) {
+    validated.preferVariants = parseVariantList(options.preferVariant);
+  }
+
+  // Language detection is on unless explicitly disabled
+  validated.detectLanguage = options.detectLanguage !== false;
+}
+
+/**
+ * Sets the opt-in extraction options
+ * JSDoc examples, guidelines and tables are only extracted when requested,
+ * and shell session output is kept unless dropped.
+ * @param {Object} options - Raw CLI options
+ * @param {Object} validated - Validated options object to modify
+ * @throws {Error} If a description option is invalid
+ */
+function validateExtractionOptions(options, validated) {
+  validated.jsdocExamples = options.jsdocExamples === true;
+  validated.guidelines = options.guidelines === true;
+  validated.tables = options.tables === true;
+  validated.dropShellOutput = options.dropShellOutput === true;
+  validateDescriptionOptions(options, validated);
+}
+
+/**
+ * Validates and sets how snippet descriptions are collected and rendered
+ * Descriptions keep their markdown unless plain descriptions are requested.
+ * @param {Object} options - Raw CLI options
+ * @param {Object} validated - Validated options object to modify
+ * @throws {Error} If the strategy or maximum length is invalid
+ */
+function validateDescriptionOptions(options, validated) {
+  if (options.descriptionStrategy != null) {
+    if (!DESCRIPTION_STRATEGIES.includes(options.descriptionStrategy)) {
+      const strategies = DESCRIPTION_STRATEGIES.join(', ');
+      throw new Error(`Invalid description strategy: ${options.descriptionStrategy}. Must be one of: ${strategies}`);
+    }
+    validated.descriptionStrategy = options.descriptionStrategy;
+  }
+
+  if (options.descriptionMaxLength != null) {
+    const maxLength = Number(options.descriptionMaxLength);
+    if (!Number.isInteger(maxLength) || maxLength < 1) {
+      throw new Error(`Invalid description max length: ${options.descriptionMaxLength}. Must be a positive integer`);
+    }
+    validated.descriptionMaxLength = maxLength;
+  }
+
+  validated.descriptionAfter = options.descriptionAfter === true;
+  validated.plainDescriptions = options.plainDescriptions === true;
+}
+
+/**
+ * Validates and sets snippet syntax validation options
+ * Dropping or failing on invalid snippets implies validation.
+ * @param {Object} options - Raw CLI options
+ * @param {Object} validated - Validated options object to modify
+ */
+function validateValidationOptions(options, validated) {
+  validated.dropInvalid = options.dropInvalid === true;
+  validated.failOnInvalid = options.failOnInvalid === true;
+  validated.validate = options.validate === true || validated.dropInvalid || validated.failOnInvalid;
+}
+
+/**
+ * Validates and sets secret redaction options
+ * Redaction is on unless disabled; failing on secrets implies redaction.
+ * @param {Object} options - Raw CLI options
+ * @param {Object} validated - Validated options object to modify
+ * @throws {Error} If a redact or allow pattern is not a valid regular expression
+ */
+function validateRedactionOptions(options, validated) {
+  validated.failOnSecret = options.failOnSecret === true;
+  validated.redact = options.redact !== false || validated.failOnSecret;
+
+  if (options.redactPattern != null) {
+    validated.redactPatterns = parseRedactPatterns(options.redactPattern);
+  }
+
+  if (options.redactAllow != null) {
+    validated.redactAllow = parsePatternList(options.redactAllow, 'redact-allow');
+  }
+}
@@ -1,7 +1,10 @@
+import path from 'path';
 import { createDirectory } from '../utils/directory-manager.js';
-import { collectMarkdownFiles } from '../utils/file-collector.js';
-import { processMarkdownFile, processPackageMarkdownFiles } from '../processors/markdown-processor.js';
+import { collectMarkdownFiles, collectSourceFiles } from '../utils/file-collector.js';
+import { mapRuleFiles, processMarkdownFile, processPackageMarkdownFiles } from '../processors/markdown-processor.js';
 import { groupFilesByPackage } from '../utils/package-grouper.js';
+import { formatLocation } from '../processors/snippet-validator.js';
+import { writeLlmsTxt, writeAgentsFiles } from './index-writer.js';
 
 /**
  * Conversion Processor
@@ -15,8 +18,19 @@ import { groupFilesByPackage } from '../utils/package-grouper.js';
  * @param {string} rulesDirPath - Path to rules output directory
  * @param {string|string[]} packagesDirPaths - Path(s) to package directory(ies) to scan
  * @param {Object} options - Conversion options
- * @param {string} options.format - Output format ('md' or 'mdc')
+ * @param {string} options.format - Output format, such as 'md', 'mdc', 'json' or 'copilot'
  * @param {string[]} options.excludeDirs - Directories to exclude from processing
+ * @param {boolean} [options.jsdocExamples] - Also extract JSDoc @example blocks from JS/TS source files
+ * @param {boolean} [options.guidelines] - Also extract normative guidelines from prose
+ * @param {boolean} [options.tables] - Also extract markdown tables as reference entries
+ * @param {boolean} [options.plainDescriptions] - Render snippet descriptions as plain text
+ * @param {string} [options.descriptionStrategy] - How prose before a code block becomes its description
+ * @param {boolean} [options.validate] - Check that snippets parse and report those that do not
+ * @param {boolean} [options.failOnInvalid] - Throw after the summary when any snippet does not parse
+ * @param {boolean} [options.redact] - Replace secrets in snippets with placeholders
+ * @param {boolean} [options.failOnSecret] - Throw after the summary when any secret was redacted
+ * @param {boolean} [options.llmsTxt] - Also write llms.txt and llms-full.txt indexes of the rule files
+ * @param {string[]} [options.agentsFiles] - Agent instruction files whose md2llm section lists the rule files
  */
 export function processConversion(rulesDirPath, packagesDirPaths, options) {
   if (!rulesDirPath || !packagesDirPaths) {
@@ -31,35 +45,85 @@ export function processConversion(rulesDirPath, packagesDirPaths, options) {
   // Create base output directory only
   createDirectory(rulesDirPath);
 
-  // Collect and filter markdown files
-  const filteredFiles = getFilteredFiles(paths, options.excludeDirs);
+  // Collect, filter and group files by package context
+  const { packageGroups, standaloneFiles } = collectGroupedFiles(paths, options);
+
+  // Process grouped files and get results, collecting snippet problems and written rule files in the report;
+  // documents are mapped to their rule files so links between documents can point at the rules,
+  // and included files must be inside the source directories
+  const report = { invalidSnippets: [], redactions: [], outputs: [] };
+  const results = processGroupedFiles(packageGroups, standaloneFiles, rulesDirPath, {
+    ...options,
+    report,
+    sourceDirs: paths,
+    ruleFiles: mapRuleFiles(packageGroups, standaloneFiles, rulesDirPath, options.format)
+  });
+
+  // Check for errors and fail if any occurred
+  if (results.errorCount > 0) {
+    throw new Error(`Conversion failed with ${results.errorCount} errors`);
+  }
+
+  // Index the written rule files for AI tools
+  writeIndexFiles(rulesDirPath, { paths, packageGroups, outputs: report.outputs }, options);
+
+  // Log completion summary
+  logCompletionSummary(results, rulesDirPath, report);
+
+  // Fail on snippet problems only after they have been reported
+  checkReport(report, options);
+}
+
+/**
+ * Collects the files to convert and groups them by package context
+ * @param {string[]} paths - Package directory paths
+ * @param {Object} options - Conversion options
+ * @returns {Object} Object with package groups and standalone files
+ */
+function collectGroupedFiles(paths, options) {
+  const filteredFiles = getFilteredFiles(paths, options);
   console.log(`Found ${filteredFiles.length} documentation files to process`);
 
-  // Group files by package context
   const { packageGroups, standaloneFiles } = groupFilesByPackage(filteredFiles);
   console.log(`Found ${packageGroups.length} packages and ${standaloneFiles.length} standalone files`);
 
-  // Process grouped files and get results
-  const results = processGroupedFiles(packageGroups, standaloneFiles, rulesDirPath, options);
+  return { packageGroups, standaloneFiles };
+}
 
-  // Check for errors and fail if any occurred
-  if (results.errorCount > 0) {
-    throw new Error(`Conversion failed with ${results.errorCount} errors`);
+/**
+ * Writes the llms.txt indexes and agent instruction files enabled in the options
+ * @param {string} rulesDirPath - Output directory
+ * @param {Object} conversion - Source directory paths, package groups and written rule files
+ * @param {Object} options - Conversion options
+ */
+function writeIndexFiles(rulesDirPath, { paths, packageGroups, outputs }, options) {
+  if (options.llmsTxt) {
+    writeLlmsTxt(rulesDirPath, paths, outputs);
   }
 
-  // Log completion summary
-  logCompletionSummary(results, rulesDirPath);
+  if (options.agentsFiles && options.agentsFiles.length > 0) {
+    writeAgentsFiles(options.agentsFiles, outputs, packageGroups);
+  }
 }
 
 /**
- * Gets filtered markdown files from paths
+ * Gets filtered markdown files from paths, plus source files when JSDoc examples are enabled
+ * Agent instruction files written by the conversion are left out, so their md2llm section
+ * is not converted on the next run.
  * @param {string[]} paths - Package directory paths
- * @param {string[]} excludeDirs - Directories to exclude
- * @returns {string[]} Filtered markdown files
+ * @param {Object} options - Conversion options
+ * @returns {string[]} Filtered documentation and source files
  */
-function getFilteredFiles(paths, excludeDirs) {
-  const markdownFiles = collectMarkdownFiles(paths, excludeDirs);
-  return filterDocumentationFiles(markdownFiles);
+function getFilteredFiles(paths, options) {
+  const agentsFiles = (options.agentsFiles || []).map(agentsFile => path.resolve(agentsFile));
+  const markdownFiles = filterDocumentationFiles(collectMarkdownFiles(paths, options.excludeDirs))
+    .filter(filePath => !agentsFiles.includes(path.resolve(filePath)));
+
+  if (!options.jsdocExamples) {
+    return markdownFiles;
+  }
+
+  return [...markdownFiles, ...collectSourceFiles(paths, options.excludeDirs)];
 }
 
 /**
@@ -103,12 +167,44 @@ function processGroupedFiles(packageGroups, standaloneFiles, rulesDirPath, optio
  * Logs completion summary
  * @param {Object} results - Processing results
  * @param {string} rulesDirPath - Output directory
+ * @param {Object} report - Snippet problems collected during processing
  */
-function logCompletionSummary(results, rulesDirPath) {
+function logCompletionSummary(results, rulesDirPath, report) {
   console.log(`\nConversion completed:`);
   console.log(`  - Files processed: ${results.processedCount}`);
   console.log(`  - Errors: ${results.errorCount}`);
   console.log(`  - Output directory: ${rulesDirPath}`);
+
+  if (report.invalidSnippets.length > 0) {
+    console.log(`  - Invalid snippets: ${report.invalidSnippets.length}`);
+    for (const problem of report.invalidSnippets) {
+      console.log(`    - ${formatLocation(problem)} [${problem.language}] ${problem.title}: ${problem.message}`);
+    }
+  }
+
+  if (report.redactions.length > 0) {
+    console.log(`  - Redacted secrets: ${report.redactions.length}`);
+    for (const redaction of report.redactions) {
+      console.log(`    - ${formatLocation(redaction)} [${redaction.name}] ${redaction.title}`);
+    }
+  }
+}
+
+/**
+ * Throws if the report contains problems the options ask to fail on
+ * @param {Object} report - Snippet problems collected during processing
+ * @param {Object} options - Conversion options
+ * @throws {Error} If invalid snippets were found and failOnInvalid is set,
+ *   or secrets were redacted and failOnSecret is set
+ */
+function checkReport(report, options) {
+  if (options.failOnInvalid && report.invalidSnippets.length > 0) {
+    throw new Error(`Validation failed with ${report.invalidSnippets.length} invalid snippets`);
+  }
+
+  if (options.failOnSecret && report.redactions.length > 0) {
+    throw new Error(`Secret check failed with ${report.redactions.length} redacted secrets`);
+  }
 }
 
 /**
@@ -0,0 +1,106 @@
+import fs from 'fs';
+import path from 'path';
+import { createDirectory } from '../utils/directory-manager.js';
+import { readPackageJson } from '../utils/source-url-manager.js';
+import { toRelativeLink } from '../utils/path-utils.js';
+import {
+  LLMS_TXT_FILE,
+  LLMS_FULL_TXT_FILE,
+  generateLlmsTxt,
+  generateLlmsFullTxt
+} from '../formatters/llms-txt-formatter.js';
+import { generateAgentsSection, updateManagedSection, usesImports } from '../formatters/agents-file-formatter.js';
+
+/**
+ * Index Writer
+ *
+ * Writes the files that point AI tools at the generated rules once a conversion has
+ * finished: llms.txt and llms-full.txt in the output directory, and the managed
+ * md2llm section of agent instruction files such as AGENTS.md and CLAUDE.md.
+ * Both list the rule files recorded in the conversion report.
+ */
+
+/**
+ * Writes llms.txt and llms-full.txt indexes of the written rule files to the output directory
+ * @param {string} rulesDirPath - Output directory
+ * @param {string[]} paths - Source directories, used to find the project's package.json
+ * @param {Array} outputs - Written rule files recorded in the report
+ * @throws {Error} If a file cannot be read or written
+ */
+export function writeLlmsTxt(rulesDirPath, paths, outputs) {
+  const project = getProjectInfo(paths);
+  const entries = getUniqueOutputs(outputs).map(output => ({
+    ...output,
+    link: toRelativeLink(rulesDirPath, output.outputPath),
+    content: fs.readFileSync(output.outputPath, 'utf8')
+  }));
+
+  try {
+    fs.writeFileSync(path.join(rulesDirPath, LLMS_TXT_FILE), generateLlmsTxt(project, entries));
+    fs.writeFileSync(path.join(rulesDirPath, LLMS_FULL_TXT_FILE), generateLlmsFullTxt(project, entries));
+  } catch (error) {
+    throw new Error(`Failed to write ${LLMS_TXT_FILE}: ${error.message}`);
+  }
+
+  console.log(`Wrote ${LLMS_TXT_FILE} and ${LLMS_FULL_TXT_FILE} listing ${entries.length} rule files`);
+}
+
+/**
+ * Writes or updates the md2llm section of agent instruction files
+ * Files that do not exist are created; in existing files only the section between the
+ * md2llm markers is replaced, or the section is appended when there are no markers.
+ * @param {string[]} agentsFiles - Instruction file paths, e.g. AGENTS.md or CLAUDE.md
+ * @param {Array} outputs - Written rule files recorded in the report
+ * @param {Array} packageGroups - Grouped package files, for package descriptions
+ * @throws {Error} If a file cannot be written or has unbalanced markers
+ */
+export function writeAgentsFiles(agentsFiles, outputs, packageGroups) {
+  const packageDescriptions = new Map(packageGroups.map(({ packageInfo }) => [
+    packageInfo.packageJson.name,
+    packageInfo.packageJson.description || ''
+  ]));
+
+  for (const agentsFile of agentsFiles) {
+    const entries = getUniqueOutputs(outputs).map(output => ({
+      ...output,
+      link: toRelativeLink(path.dirname(agentsFile), output.outputPath)
+    }));
+    const section = generateAgentsSection(entries, { imports: usesImports(agentsFile), packageDescriptions });
+
+    try {
+      const content = fs.existsSync(agentsFile) ? fs.readFileSync(agentsFile, 'utf8') : '';
+      createDirectory(path.dirname(agentsFile));
+      fs.writeFileSync(agentsFile, updateManagedSection(content, section));
+    } catch (error) {
+      throw new Error(`Failed to update ${agentsFile}: ${error.message}`);
+    }
+
+    console.log(`Updated ${agentsFile} with ${entries.length} rule files`);
+  }
+}
+
+/**
+ * Lists each written rule file once, e.g. when two standalone READMEs were written to the same file
+ * @param {Array} outputs - Written rule files recorded in the report
+ * @returns {Array} Rule files in output order, keeping the last write of each path
+ */
+function getUniqueOutputs(outputs) {
+  return [...new Map(outputs.map(output => [output.outputPath, output])).values()];
+}
+
+/**
+ * Gets the project name and summary from the first package.json found in the source
+ * directories or the working directory
+ * @param {string[]} paths - Source directories
+ * @returns {Object} Project with name and description, named after the first source directory without a package.json
+ */
+function getProjectInfo(paths) {
+  const packageJson = [...paths, process.cwd()]
+    .map(dir => readPackageJson(path.join(dir, 'package.json')))
+    .find(json => json && json.name);
+
+  return {
+    name: packageJson ? packageJson.name : path.basename(path.resolve(paths[0])),
+    description: (packageJson && packageJson.description) || ''
+  };
+}
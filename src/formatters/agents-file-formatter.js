@@ -0,0 +1,122 @@
+import path from 'path';
+import { groupBySection, formatLink } from './llms-txt-formatter.js';
+
+/**
+ * Agents File Formatter
+ *
+ * Builds the md2llm section of agent instruction files such as AGENTS.md, CLAUDE.md,
+ * .junie/guidelines.md and .github/copilot-instructions.md: a summary of each package,
+ * a reference to each rule file and the key guidelines. The section sits between marker
+ * comments and is replaced on every run, so hand-written content around it is kept.
+ * CLAUDE.md pulls rule files in with `@path` imports; other files link to them.
+ */
+
+/**
+ * Comment opening the managed section
+ */
+export const SECTION_START = '<!-- md2llm:start -->';
+
+/**
+ * Comment closing the managed section
+ */
+export const SECTION_END = '<!-- md2llm:end -->';
+
+/**
+ * Matches names of instruction files that support `@path` imports
+ */
+const IMPORT_FILE_PATTERN = /^claude(?:\.local)?\.md$/i;
+
+/**
+ * Guideline keywords stating requirements rather than recommendations
+ */
+const KEY_GUIDELINE_KEYWORDS = ['MUST', 'MUST NOT', 'SHALL', 'SHALL NOT', 'REQUIRED', 'NEVER', 'DO NOT'];
+
+/**
+ * Checks whether an instruction file references rule files with `@path` imports
+ * @param {string} filePath - Instruction file path
+ * @returns {boolean} True for CLAUDE.md and CLAUDE.local.md
+ */
+export function usesImports(filePath) {
+  return IMPORT_FILE_PATTERN.test(path.basename(filePath));
+}
+
+/**
+ * Generates the managed section of an instruction file
+ * @param {Array} entries - Rule files with title, description, link, package and guidelines, in output order
+ * @param {Object} context - Section context
+ * @param {boolean} [context.imports] - Reference rule files with `@path` imports instead of links
+ * @param {Map} [context.packageDescriptions] - Package descriptions by full package name
+ * @returns {string} Section, including its start and end markers
+ */
+export function generateAgentsSection(entries, context = {}) {
+  const descriptions = context.packageDescriptions || new Map();
+  const lines = [
+    SECTION_START,
+    '<!-- Generated by md2llm; changes between these markers are overwritten -->',
+    '',
+    '## Documentation Rules',
+    ''
+  ];
+
+  groupBySection(entries).forEach((sectionEntries, section) => {
+    lines.push(`### ${section}`, '');
+    if (descriptions.get(section)) {
+      lines.push(descriptions.get(section), '');
+    }
+    lines.push(...sectionEntries.map(entry => (context.imports ? formatImport(entry) : formatLink(entry))), '');
+  });
+
+  const guidelines = getKeyGuidelines(entries);
+  if (guidelines.length > 0) {
+    lines.push('## Key Guidelines', '', ...guidelines.map(text => `- ${text}`), '');
+  }
+
+  return [...lines, SECTION_END].join('\n');
+}
+
+/**
+ * Replaces the managed section of an instruction file, or appends it when there is none
+ * @param {string} content - Current file content, empty for a new file
+ * @param {string} section - Section from generateAgentsSection
+ * @returns {string} Updated file content
+ * @throws {Error} If only one of the markers is present, or they are out of order
+ */
+export function updateManagedSection(content, section) {
+  const start = content.indexOf(SECTION_START);
+  const end = content.indexOf(SECTION_END);
+
+  if (start === -1 && end === -1) {
+    return content.trim() ? `${content.trimEnd()}\n\n${section}\n` : `${section}\n`;
+  }
+
+  if (start === -1 || end < start) {
+    throw new Error(`Expected ${SECTION_START} followed by ${SECTION_END}`);
+  }
+
+  return `${content.slice(0, start)}${section}${content.slice(end + SECTION_END.length)}`;
+}
+
+/**
+ * Collects the distinct requirement guidelines of all rule files
+ * @param {Array} entries - Rule files with guidelines
+ * @returns {string[]} Guideline texts in output order
+ */
+function getKeyGuidelines(entries) {
+  const texts = entries
+    .flatMap(entry => entry.guidelines || [])
+    .filter(guideline => KEY_GUIDELINE_KEYWORDS.includes(guideline.keyword))
+    .map(guideline => guideline.text);
+
+  return [...new Set(texts)];
+}
+
+/**
+ * Formats a rule file as a list item importing it
+ * Import paths are written without URL encoding, since they are read as file paths.
+ * @param {Object} entry - Rule file with title, description and link
+ * @returns {string} Item such as "- Client: @rules/client.md - Create and use API clients."
+ */
+function formatImport(entry) {
+  const item = `- ${entry.title}: @${decodeURI(entry.link).replace(/^\.\//, '')}`;
+  return entry.description ? `${item} - ${entry.description}` : item;
+}
@@ -0,0 +1,205 @@
+import { pairExamples, EXAMPLE_LABELS } from '../processors/example-classifier.js';
+import { formatReferenceRow } from '../processors/table-extractor.js';
+
+/**
+ * Copilot Formatter
+ *
+ * Writes GitHub Copilot path-specific instructions, the `.instructions.md` files read from
+ * `.github/instructions`. The `applyTo` glob in the front matter limits a file to the part of
+ * the repository it documents. The body is plain markdown that Copilot reads as instructions:
+ * guidelines as a list, reference tables, then each example under its own heading.
+ */
+
+/**
+ * Name of the Copilot instructions format
+ */
+export const COPILOT_FORMAT = 'copilot';
+
+/**
+ * Extension Copilot requires for path-specific instruction files
+ */
+export const COPILOT_EXTENSION = '.instructions.md';
+
+/**
+ * Generates a Copilot instructions file
+ * @param {Array} snippets - Array of snippet objects
+ * @param {Object} outputInfo - Output file information with package, applyTo, guidelines and references
+ * @param {Object} [options] - Options with any applyGlob, alwaysApply and description
+ * @returns {string} Instructions file content
+ */
+export function generateCopilotContent(snippets, outputInfo, options = {}) {
+  const lines = [
+    ...formatFrontMatter(getApplyTo(outputInfo, options), options.description),
+    `# ${getHeading(outputInfo)}`,
+    '',
+    ...formatGuidelines(outputInfo.guidelines || []),
+    ...formatReferences(outputInfo.references || []),
+    ...formatExamples(snippets || [])
+  ];
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Determines the files an instructions file applies to
+ * A glob from --apply-glob or the document's front matter wins; --no-always-apply leaves
+ * `applyTo` out, so the file is only used when attached by hand.
+ * @param {Object} outputInfo - Output file information with the package's applyTo glob
+ * @param {Object} options - Options with any applyGlob and alwaysApply
+ * @returns {string|null} Glob, or null when the file is not applied automatically
+ */
+function getApplyTo(outputInfo, options) {
+  if (options.applyGlob) {
+    return options.applyGlob;
+  }
+
+  if (options.alwaysApply != null) {
+    return options.alwaysApply ? '**' : null;
+  }
+
+  return outputInfo.applyTo || '**';
+}
+
+/**
+ * Formats the front matter of an instructions file
+ * @param {string|null} applyTo - Glob of the files the instructions apply to
+ * @param {string} [description] - Description from the document's front matter
+ * @returns {string[]} Front matter lines followed by a blank line, or none when there is nothing to set
+ */
+function formatFrontMatter(applyTo, description) {
+  const fields = [
+    description && `description: ${JSON.stringify(description)}`,
+    applyTo && `applyTo: ${JSON.stringify(applyTo)}`
+  ].filter(Boolean);
+
+  return fields.length > 0 ? ['---', ...fields, '---', ''] : [];
+}
+
+/**
+ * Gets the heading of an instructions file
+ * @param {Object} outputInfo - Output file information
+ * @returns {string} Full package name, or the output file name outside a package
+ */
+function getHeading(outputInfo) {
+  const packageInfo = outputInfo.package;
+  if (!packageInfo) {
+    return outputInfo.outputFileName;
+  }
+
+  return packageInfo.scope ? `${packageInfo.scope}/${packageInfo.name}` : packageInfo.name;
+}
+
+/**
+ * Formats guidelines as a list
+ * @param {Array} guidelines - Guideline objects
+ * @returns {string[]} Section lines, empty without guidelines
+ */
+function formatGuidelines(guidelines) {
+  if (guidelines.length === 0) {
+    return [];
+  }
+
+  return ['## Guidelines', '', ...guidelines.map(guideline => `- ${guideline.text}`), ''];
+}
+
+/**
+ * Formats table references as lists under their context
+ * @param {Array} references - Reference objects
+ * @returns {string[]} Section lines, empty without references
+ */
+function formatReferences(references) {
+  if (references.length === 0) {
+    return [];
+  }
+
+  return ['## Reference', '', ...references.flatMap(reference => [
+    `### ${reference.context || reference.columns.join(', ')}`,
+    '',
+    ...reference.rows.map(formatReferenceRow),
+    ''
+  ])];
+}
+
+/**
+ * Formats snippets as examples, rendering DON'T / DO pairs together
+ * @param {Array} snippets - Snippets in output order
+ * @returns {string[]} Section lines, empty without snippets
+ */
+function formatExamples(snippets) {
+  if (snippets.length === 0) {
+    return [];
+  }
+
+  return ['## Examples', '', ...pairExamples(snippets).flatMap(entry => (entry.snippet
+    ? formatExample(entry.snippet)
+    : formatExamplePair(entry)))];
+}
+
+/**
+ * Formats a snippet as an example with its description, code and source
+ * @param {Object} snippet - Snippet object
+ * @returns {string[]} Example lines
+ */
+function formatExample(snippet) {
+  const label = snippet.polarity ? `${EXAMPLE_LABELS[snippet.polarity]}: ` : '';
+  const description = `${label}${snippet.description || ''}`.trim();
+
+  return [
+    `### ${snippet.title}`,
+    '',
+    ...(description ? [description, ''] : []),
+    ...formatCode(snippet),
+    ...formatSource(snippet)
+  ];
+}
+
+/**
+ * Formats a negative and a positive example of the same thing under one heading
+ * @param {Object} pair - Example pair with negative and positive snippets
+ * @returns {string[]} Example lines
+ */
+function formatExamplePair({ negative, positive }) {
+  return [
+    `### ${positive.title}`,
+    '',
+    `${EXAMPLE_LABELS[negative.polarity]}: ${negative.description || ''}`.trim(),
+    '',
+    ...formatCode(negative),
+    `${EXAMPLE_LABELS[positive.polarity]}: ${positive.description || ''}`.trim(),
+    '',
+    ...formatCode(positive),
+    ...formatSource(negative)
+  ];
+}
+
+/**
+ * Formats the code of a snippet as fenced blocks, with a labelled block per variant
+ * @param {Object} snippet - Snippet object
+ * @returns {string[]} Code lines followed by a blank line
+ */
+function formatCode(snippet) {
+  if (!snippet.variants) {
+    return formatCodeBlock(snippet);
+  }
+
+  return snippet.variants.flatMap(variant => [`${variant.label}:`, '', ...formatCodeBlock(variant)]);
+}
+
+/**
+ * Formats a fenced code block, followed by the output a shell session printed
+ * @param {Object} snippet - Snippet or variant with language, code and any output
+ * @returns {string[]} Code lines followed by a blank line
+ */
+function formatCodeBlock(snippet) {
+  const lines = [`\`\`\`${snippet.language || 'text'}`, snippet.code, '```', ''];
+  return snippet.output ? [...lines, 'Output:', '', '```text', snippet.output, '```', ''] : lines;
+}
+
+/**
+ * Formats the source link of an example
+ * @param {Object} snippet - Snippet object
+ * @returns {string[]} Source line followed by a blank line, or none without a source
+ */
+function formatSource(snippet) {
+  return snippet.source ? [`Source: ${snippet.source}`, ''] : [];
+}
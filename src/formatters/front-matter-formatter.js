@@ -0,0 +1,139 @@
+/**
+ * Front Matter Formatter
+ *
+ * Builds the front matter editors read to decide when a rule file applies. Each rule format
+ * maps the alwaysApply and applyGlob options to its own activation settings:
+ * - mdc (Cursor): alwaysApply, or a glob
+ * - windsurf: an always_on, glob or model_decision trigger
+ * - cline: paths for rules limited to some files; other rules are always on
+ * - continue: alwaysApply, or globs, with the rule's name and description
+ */
+
+/**
+ * Front matter fields of each rule format, by format name
+ */
+const FRONT_MATTER_FIELDS = {
+  mdc: getMdcFields,
+  windsurf: getWindsurfFields,
+  cline: getClineFields,
+  continue: getContinueFields
+};
+
+/**
+ * Markdown rule formats written with front matter
+ */
+export const RULE_FORMATS = Object.keys(FRONT_MATTER_FIELDS);
+
+/**
+ * Generates the front matter of a rule file
+ * A document's own front matter settings arrive merged into the options.
+ * @param {string} format - Output format
+ * @param {Object} outputInfo - Output file information
+ * @param {Object} [options] - Options for front matter generation
+ * @param {string} [options.description] - Description overriding the output file name
+ * @param {boolean|null} [options.alwaysApply] - Whether the rule always applies; null uses the format default
+ * @param {string} [options.applyGlob] - Comma-separated globs of the files the rule applies to
+ * @param {string[]} [options.tags] - Tags to list in mdc front matter
+ * @returns {string} Front matter followed by a newline, or an empty string when the format has none
+ */
+export function generateFrontMatter(format, outputInfo, options = {}) {
+  const getFields = FRONT_MATTER_FIELDS[format];
+  const fields = getFields ? getFields(outputInfo, options) : [];
+
+  return fields.length > 0 ? ['---', ...fields, '---', ''].join('\n') : '';
+}
+
+/**
+ * Gets Cursor mdc front matter fields
+ * @param {Object} outputInfo - Output file information
+ * @param {Object} options - Front matter options
+ * @returns {string[]} Front matter lines
+ */
+function getMdcFields(outputInfo, options) {
+  const fields = [`description: ${JSON.stringify(getDescription(outputInfo, options))}`];
+
+  // Add application rules based on options
+  if (options.applyGlob) {
+    fields.push(`glob: "${options.applyGlob}"`);
+  } else {
+    // Use alwaysApply - default to true if not explicitly set to false
+    fields.push(`alwaysApply: ${options.alwaysApply !== false}`);
+  }
+
+  if (options.tags && options.tags.length > 0) {
+    fields.push(`tags: ${JSON.stringify(options.tags)}`);
+  }
+
+  return fields;
+}
+
+/**
+ * Gets Windsurf rule front matter fields
+ * Rules that do not always apply are left to the model, which decides from the description.
+ * @param {Object} outputInfo - Output file information
+ * @param {Object} options - Front matter options
+ * @returns {string[]} Front matter lines
+ */
+function getWindsurfFields(outputInfo, options) {
+  const description = `description: ${JSON.stringify(getDescription(outputInfo, options))}`;
+
+  if (options.applyGlob) {
+    return ['trigger: glob', description, `globs: ${JSON.stringify(options.applyGlob)}`];
+  }
+
+  return [`trigger: ${options.alwaysApply === false ? 'model_decision' : 'always_on'}`, description];
+}
+
+/**
+ * Gets Cline rule front matter fields
+ * Cline has no setting for rules that do not always apply, so only globs are written.
+ * @param {Object} outputInfo - Output file information
+ * @param {Object} options - Front matter options
+ * @returns {string[]} Front matter lines, empty for rules that are always on
+ */
+function getClineFields(outputInfo, options) {
+  return options.applyGlob ? [`paths: ${JSON.stringify(splitGlobs(options.applyGlob))}`] : [];
+}
+
+/**
+ * Gets Continue rule front matter fields
+ * Rules with globs apply when a matching file is in context; rules that do not always apply
+ * are left to the agent, which decides from the description.
+ * @param {Object} outputInfo - Output file information
+ * @param {Object} options - Front matter options
+ * @returns {string[]} Front matter lines
+ */
+function getContinueFields(outputInfo, options) {
+  const fields = [
+    `name: ${JSON.stringify(outputInfo.outputFileName || 'md2llm rules')}`,
+    `description: ${JSON.stringify(getDescription(outputInfo, options))}`
+  ];
+
+  if (options.applyGlob) {
+    return [...fields, `globs: ${JSON.stringify(splitGlobs(options.applyGlob))}`];
+  }
+
+  return [...fields, `alwaysApply: ${options.alwaysApply !== false}`];
+}
+
+/**
+ * Gets the description of a rule file
+ * @param {Object} outputInfo - Output file information
+ * @param {Object} options - Front matter options with any document description
+ * @returns {string} Document description, or else the output file name
+ */
+function getDescription(outputInfo, options) {
+  return options.description || outputInfo.outputFileName || 'Generated LLM rules';
+}
+
+/**
+ * Splits comma-separated globs, keeping commas inside braces such as "*.{js,ts}"
+ * @param {string} applyGlob - Comma-separated globs
+ * @returns {string[]} Trimmed globs
+ */
+function splitGlobs(applyGlob) {
+  return applyGlob
+    .split(/,(?![^{]*\})/)
+    .map(glob => glob.trim())
+    .filter(glob => glob.length > 0);
+}
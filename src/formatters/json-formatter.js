@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+
+/**
+ * JSON Formatter
+ *
+ * Writes snippets, guidelines and table references as structured records for tools
+ * that load md2llm output, such as evaluation harnesses and retrieval pipelines.
+ * The json format writes an array of records and the jsonl format one record per line.
+ * Records follow schema/record.schema.json.
+ */
+
+/**
+ * Output formats written as structured records
+ */
+export const JSON_FORMATS = ['json', 'jsonl'];
+
+/**
+ * Checks whether a format is written as structured records
+ * @param {string} format - Output format
+ * @returns {boolean} True for json and jsonl
+ */
+export function isJsonFormat(format) {
+  return JSON_FORMATS.includes(format);
+}
+
+/**
+ * Generates json or jsonl content from snippets, guidelines and references
+ * @param {Array} snippets - Array of snippet objects
+ * @param {Object} outputInfo - Output file information with guidelines, references and package
+ * @param {string} format - Output format ('json' or 'jsonl')
+ * @returns {string} Formatted output content
+ */
+export function generateJsonContent(snippets, outputInfo, format) {
+  const context = { package: outputInfo.package || null };
+  const records = [
+    ...(outputInfo.guidelines || []).map(guideline => createGuidelineRecord(guideline, context)),
+    ...(outputInfo.references || []).map(reference => createReferenceRecord(reference, context)),
+    ...(snippets || []).filter(snippet => snippet.title && snippet.code).map(snippet => createSnippetRecord(snippet, context))
+  ];
+
+  if (format === 'jsonl') {
+    return records.map(record => `${JSON.stringify(record)}\n`).join('');
+  }
+
+  return `${JSON.stringify(records, null, 2)}\n`;
+}
+
+/**
+ * Creates the record for a snippet
+ * Grouped snippets list each variant; the snippet's own code is its first variant's.
+ * @param {Object} snippet - Snippet object
+ * @param {Object} context - Record context with the package
+ * @returns {Object} Snippet record
+ */
+export function createSnippetRecord(snippet, context) {
+  const variants = (snippet.variants || []).map(variant => ({
+    label: variant.label,
+    language: variant.language || 'text',
+    code: variant.code,
+    output: variant.output || null
+  }));
+  const content = {
+    language: snippet.language || 'text',
+    code: snippet.code,
+    output: snippet.output || null,
+    variants
+  };
+
+  return {
+    kind: 'snippet',
+    hash: hashContent(content),
+    title: snippet.title,
+    description: snippet.description || '',
+    ...content,
+    polarity: snippet.polarity || null,
+    highlightLines: snippet.highlightLines || [],
+    flags: snippet.flags || [],
+    ...createLocation(snippet, context)
+  };
+}
+
+/**
+ * Creates the record for a guideline
+ * @param {Object} guideline - Guideline object
+ * @param {Object} context - Record context with the package
+ * @returns {Object} Guideline record
+ */
+function createGuidelineRecord(guideline, context) {
+  return {
+    kind: 'guideline',
+    hash: hashContent({ text: guideline.text }),
+    text: guideline.text,
+    keyword: guideline.keyword,
+    ...createLocation(guideline, context)
+  };
+}
+
+/**
+ * Creates the record for a table reference
+ * @param {Object} reference - Reference object
+ * @param {Object} context - Record context with the package
+ * @returns {Object} Reference record
+ */
+function createReferenceRecord(reference, context) {
+  return {
+    kind: 'reference',
+    hash: hashContent({ columns: reference.columns, rows: reference.rows }),
+    title: reference.context || '',
+    columns: reference.columns,
+    rows: reference.rows,
+    ...createLocation(reference, context)
+  };
+}
+
+/**
+ * Creates the fields locating an entry in its document and package
+ * @param {Object} entry - Snippet, guideline or reference
+ * @param {Object} context - Record context with the package
+ * @returns {Object} Source, lines, package and heading path
+ */
+function createLocation(entry, context) {
+  return {
+    source: entry.source || '',
+    lineStart: entry.lineStart ?? null,
+    lineEnd: entry.lineEnd ?? null,
+    package: context.package,
+    headingPath: entry.headingPath || []
+  };
+}
+
+/**
+ * Hashes the content of a record, so unchanged content keeps its hash when moved
+ * @param {Object} content - Content fields of a record
+ * @returns {string} SHA-256 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
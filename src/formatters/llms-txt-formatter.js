@@ -0,0 +1,114 @@
+import { parseFrontMatter } from '../processors/front-matter-parser.js';
+
+/**
+ * llms.txt Formatter
+ *
+ * Builds an llms.txt index of the generated rule files, following the llmstxt.org layout:
+ * the project name as the title, its summary as a quote, and a section of links per
+ * package with a one-line description of each file. The companion llms-full.txt holds
+ * the content of every rule file, so tools can read all rules in one request.
+ */
+
+/**
+ * Name of the index file written at the root of the output directory
+ */
+export const LLMS_TXT_FILE = 'llms.txt';
+
+/**
+ * Name of the file holding the content of every rule file
+ */
+export const LLMS_FULL_TXT_FILE = 'llms-full.txt';
+
+/**
+ * Section listing rule files of documents outside a package
+ */
+const STANDALONE_SECTION = 'Documentation';
+
+/**
+ * Generates the llms.txt index
+ * @param {Object} project - Project with name and description
+ * @param {Array} entries - Rule files with title, description, link and package, in output order
+ * @returns {string} llms.txt content
+ */
+export function generateLlmsTxt(project, entries) {
+  const lines = formatProjectHeader(project);
+
+  groupBySection(entries).forEach((sectionEntries, section) => {
+    lines.push(`## ${section}`, '', ...sectionEntries.map(formatLink), '');
+  });
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Generates llms-full.txt from the content of each rule file
+ * MDC front matter is left out, since it only configures the editor.
+ * @param {Object} project - Project with name and description
+ * @param {Array} entries - Rule files with title, link and content, in output order
+ * @returns {string} llms-full.txt content
+ */
+export function generateLlmsFullTxt(project, entries) {
+  const documents = entries.map(entry => [
+    `## ${entry.title}`,
+    '',
+    `FILE: ${entry.link}`,
+    '',
+    parseFrontMatter(entry.content).content.trim(),
+    ''
+  ]);
+
+  return `${[...formatProjectHeader(project), ...documents.flat()].join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Formats the title and summary quote of a project
+ * @param {Object} project - Project with name and description
+ * @returns {string[]} Header lines, followed by a blank line
+ */
+function formatProjectHeader(project) {
+  const lines = [`# ${project.name}`, ''];
+  if (project.description) {
+    lines.push(`> ${project.description}`, '');
+  }
+
+  return lines;
+}
+
+/**
+ * Groups rule files into sections by package, keeping the order they were written in
+ * @param {Array} entries - Rule files with package
+ * @returns {Map} Rule files by section name
+ */
+export function groupBySection(entries) {
+  const sections = new Map();
+
+  entries.forEach(entry => {
+    const section = getSectionName(entry.package);
+    sections.set(section, [...(sections.get(section) || []), entry]);
+  });
+
+  return sections;
+}
+
+/**
+ * Gets the section name of a package
+ * @param {Object|null} packageInfo - Package scope and name, or null outside a package
+ * @returns {string} Full package name, or the standalone section name
+ */
+function getSectionName(packageInfo) {
+  if (!packageInfo) {
+    return STANDALONE_SECTION;
+  }
+
+  return packageInfo.scope ? `${packageInfo.scope}/${packageInfo.name}` : packageInfo.name;
+}
+
+/**
+ * Formats a rule file as a list item linking to it
+ * @param {Object} entry - Rule file with title, description and link
+ * @returns {string} Item such as "- [Client](./client/README.md): Create and use API clients"
+ */
+export function formatLink(entry) {
+  const title = entry.title.replace(/[[\]]/g, '\\$&');
+  return entry.description ? `- [${title}](${entry.link}): ${entry.description}` : `- [${title}](${entry.link})`;
+}
@@ -1,77 +1,72 @@
-import { formatSnippet } from '../processors/snippet-extractor.js';
+import { formatSnippet, formatExamplePair } from '../processors/snippet-extractor.js';
+import { formatGuideline } from '../processors/guideline-extractor.js';
+import { formatReference } from '../processors/table-extractor.js';
+import { pairExamples } from '../processors/example-classifier.js';
+import { JSON_FORMATS, isJsonFormat, generateJsonContent } from './json-formatter.js';
+import { COPILOT_FORMAT, COPILOT_EXTENSION, generateCopilotContent } from './copilot-formatter.js';
+import { RULE_FORMATS, generateFrontMatter } from './front-matter-formatter.js';
 
 /**
  * Output Formatter
  *
  * Handles formatting of snippets into different output formats.
- * Supports both 'md' and 'mdc' output formats with appropriate frontmatter.
+ * Supports 'md' output, the 'mdc', 'windsurf', 'cline' and 'continue' rule formats with
+ * their front matter, 'json' and 'jsonl' records for tools that load the output, and
+ * 'copilot' instructions.
  */
 
 /**
  * Generates output content from snippets
+ * Guidelines in outputInfo.guidelines and table references in outputInfo.references
+ * are emitted ahead of the snippets, and consecutive negative and positive examples are rendered as DON'T / DO pairs.
  * @param {Array} snippets - Array of snippet objects
  * @param {Object} outputInfo - Output file information
- * @param {string} format - Output format ('md' or 'mdc')
+ * @param {string} format - Output format, such as 'md', 'mdc', 'windsurf', 'json' or 'copilot'
  * @param {Object} [options] - Additional options for content generation
  * @returns {string} Formatted output content
  */
 export function generateOutputContent(snippets, outputInfo, format, options = {}) {
-  if (!snippets || snippets.length === 0) {
+  if (!hasEntries(snippets, outputInfo)) {
     return '';
   }
 
-  let content = '';
+  if (isJsonFormat(format)) {
+    return generateJsonContent(snippets, outputInfo, format);
+  }
 
-  // Add format-specific frontmatter
-  if (format === 'mdc') {
-    content += generateMdcFrontmatter(outputInfo, options);
+  if (format === COPILOT_FORMAT) {
+    return generateCopilotContent(snippets, outputInfo, options);
   }
 
-  // Add formatted snippets
-  const formattedSnippets = snippets.map(snippet => formatSnippet(snippet));
-  content += formattedSnippets.join('\n\n');
+  const guidelines = outputInfo.guidelines || [];
+  const references = outputInfo.references || [];
 
-  // Add at-tag
-  content += `\n${generateAtTag(outputInfo.atTag)}\n`;
-
-  return content;
-}
+  // Add format-specific frontmatter
+  let content = generateFrontMatter(format, outputInfo, options);
 
-/**
- * Generates MDC frontmatter
- * @param {Object} outputInfo - Output file information
- * @param {Object} [options] - Options for frontmatter generation
- * @returns {string} MDC frontmatter string
- */
-function generateMdcFrontmatter(outputInfo, options = {}) {
-  const description = extractDescription(outputInfo);
-  const frontmatterLines = [
-    '---',
-    `description: ${description}`
+  // Add formatted guidelines and references, then snippets
+  const formattedEntries = [
+    ...guidelines.map(guideline => formatGuideline(guideline)),
+    ...references.map(reference => formatReference(reference)),
+    ...pairExamples(snippets || []).map(entry => (entry.snippet ? formatSnippet(entry.snippet) : formatExamplePair(entry)))
   ];
+  content += formattedEntries.join('\n\n');
 
-  // Add application rules based on options
-  if (options.applyGlob) {
-    frontmatterLines.push(`glob: "${options.applyGlob}"`);
-  } else {
-    // Use alwaysApply - default to true if not explicitly set to false
-    const alwaysApply = options.alwaysApply !== false;
-    frontmatterLines.push(`alwaysApply: ${alwaysApply}`);
-  }
+  // Add at-tag
+  content += `\n${generateAtTag(outputInfo.atTag)}\n`;
 
-  frontmatterLines.push('---', '');
-  return frontmatterLines.join('\n');
+  return content;
 }
 
 /**
- * Extracts description from output info
- * @param {Object} outputInfo - Output file information
- * @returns {string} Description for frontmatter
+ * Checks whether there are snippets, guidelines or references to write
+ * @param {Array} snippets - Array of snippet objects
+ * @param {Object} outputInfo - Output file information with guidelines and references
+ * @returns {boolean} True if any entries are present
  */
-function extractDescription(outputInfo) {
-  // For now, use the output filename as description
-  // This could be enhanced to extract from the first snippet or file content
-  return outputInfo.outputFileName || 'Generated LLM rules';
+function hasEntries(snippets, outputInfo) {
+  const entries = [snippets, outputInfo && outputInfo.guidelines, outputInfo && outputInfo.references];
+  return entries.some(list => Array.isArray(list) && list.length > 0);
 }
 
 /**
@@ -94,14 +89,33 @@ function generateAtTag(atTag) {
  * @returns {string} File extension
  */
 export function getOutputExtension(format) {
+  if (isJsonFormat(format)) {
+    return `.${format}`;
+  }
+
+  if (format === COPILOT_FORMAT) {
+    return COPILOT_EXTENSION;
+  }
+
   return format === 'mdc' ? '.mdc' : '.md';
 }
 
+/**
+ * Checks whether a format writes one file per package, named after the package
+ * Copilot reads instruction files from a single directory, so packages are not nested
+ * in scope and package directories.
+ * @param {string} format - Output format
+ * @returns {boolean} True if all documents of a package go into one file
+ */
+export function isPackageFileFormat(format) {
+  return format === COPILOT_FORMAT;
+}
+
 /**
  * Validates output format
  * @param {string} format - Format to validate
  * @returns {boolean} True if format is valid
  */
 export function isValidFormat(format) {
-  return ['md', 'mdc'].includes(format);
+  return ['md', ...RULE_FORMATS, ...JSON_FORMATS, COPILOT_FORMAT].includes(format);
 }
@@ -0,0 +1,222 @@
+import { renderDescription } from './description-renderer.js';
+
+/**
+ * Description Extractor
+ *
+ * Collects the prose that describes a code block. By default the nearest paragraph before
+ * the block is used, skipping lead-ins such as "For example:"; the whole section since the
+ * heading, or just the nearest text of any kind, can be used instead. The paragraph after
+ * the block ("This will print…") can be added, and long descriptions are shortened.
+ * Whole documents are summarised the same way, by their title and first paragraph.
+ */
+
+/**
+ * Ways of choosing the prose before a code block
+ * - nearest: the nearest text, which may be a list item or table cell
+ * - paragraph: the nearest paragraph at the block's level
+ * - section: every paragraph at the block's level since the heading or previous block
+ */
+export const DESCRIPTION_STRATEGIES = ['nearest', 'paragraph', 'section'];
+
+/**
+ * Matches paragraphs that only introduce a code block and say nothing about it
+ */
+const FILLER_PATTERN = new RegExp(
+  '^(?:for example|for instance|example|e\\.g\\.|like (?:this|so)|as follows|usage|output|result|' +
+  "see below|here(?:'s| is) (?:an? )?(?:example|how)|(?:the )?(?:following|code) (?:example|snippet))[\\s:.!…]*$",
+  'i'
+);
+
+/**
+ * Token types that end the prose belonging to a code block when walking backwards
+ */
+const BOUNDARY_TYPES = ['heading_open', 'fence', 'code_block'];
+
+/**
+ * Collects the description of a code block
+ * @param {Array} tokens - All markdown tokens
+ * @param {number} codeIndex - Index of the code token
+ * @param {Object} context - Description context
+ * @param {string} context.filePath - Document path, for resolving links
+ * @param {Map} [context.ruleFiles] - Rule file paths by absolute source document path
+ * @param {boolean} [context.plain] - Render plain text instead of markdown
+ * @param {string} [context.strategy] - One of DESCRIPTION_STRATEGIES, defaults to paragraph
+ * @param {boolean} [context.after] - Also collect the paragraph after the block
+ * @returns {Object} Object with paragraphs (in document order), heading (whether the only
+ *   paragraph is the enclosing heading) and after (the following paragraph or empty)
+ */
+export function collectDescription(tokens, codeIndex, context) {
+  const before = context.strategy === 'nearest'
+    ? findNearestText(tokens, codeIndex, context)
+    : findParagraphs(tokens, codeIndex, context);
+
+  return { ...before, after: context.after ? findFollowingParagraph(tokens, codeIndex, context) : '' };
+}
+
+/**
+ * Checks whether a paragraph only introduces a code block, e.g. "For example:"
+ * @param {string} text - Paragraph text
+ * @returns {boolean} True if the paragraph is filler
+ */
+export function isFiller(text) {
+  return FILLER_PATTERN.test((text || '').replace(/[*_`]/g, '').trim());
+}
+
+/**
+ * Shortens a description to a maximum length
+ * Descriptions are cut after the last sentence that fits, or else at a word with an ellipsis.
+ * @param {string} text - Description
+ * @param {number|null} [maxLength] - Maximum length in characters, null for no limit
+ * @returns {string} Description of at most maxLength characters
+ */
+export function truncateDescription(text, maxLength) {
+  if (!maxLength || !text || text.length <= maxLength) {
+    return text;
+  }
+
+  const cut = text.slice(0, maxLength - 1);
+  const sentenceEnd = Math.max(...['. ', '! ', '? '].map(ending => cut.lastIndexOf(ending)));
+  if (sentenceEnd >= maxLength / 2) {
+    return cut.slice(0, sentenceEnd + 1);
+  }
+
+  const wordEnd = cut.lastIndexOf(' ');
+  return `${(wordEnd >= maxLength / 2 ? cut.slice(0, wordEnd) : cut).trimEnd()}…`;
+}
+
+/**
+ * Summarises a document by its title and first paragraph, for indexes such as llms.txt
+ * Paragraphs in lists, tables or quotes and paragraphs of only badges or links are skipped.
+ * @param {Array} tokens - All markdown tokens
+ * @param {Object} context - Description context
+ * @returns {Object} Object with title (the first level 1 heading) and description
+ *   (the first paragraph, on one line), each empty when the document has none
+ */
+export function summarizeDocument(tokens, context) {
+  const titleIndex = tokens.findIndex(token => token.type === 'heading_open' && token.tag === 'h1');
+  const paragraphIndex = tokens.findIndex((token, index) => token.type === 'paragraph_open' && (token.level || 0) === 0 &&
+    hasProse(tokens[index + 1]) && !isFiller(tokens[index + 1].content));
+
+  return {
+    title: titleIndex === -1 ? '' : renderDescription(tokens[titleIndex + 1], context),
+    description: paragraphIndex === -1 ? '' : renderDescription(tokens[paragraphIndex + 1], context).replace(/\s*\n\s*/g, ' ')
+  };
+}
+
+/**
+ * Checks whether an inline token has text outside links, unlike a row of badges
+ * @param {Object} inline - Inline token
+ * @returns {boolean} True if the token has prose
+ */
+function hasProse(inline) {
+  if (!inline || inline.type !== 'inline') {
+    return false;
+  }
+
+  let linkDepth = 0;
+  return (inline.children || []).some(child => {
+    linkDepth += { link_open: 1, link_close: -1 }[child.type] || 0;
+    return linkDepth === 0 && ['text', 'code_inline'].includes(child.type) && child.content.trim() !== '';
+  });
+}
+
+/**
+ * Finds the nearest non-filler text before a code block, stopping at the heading
+ * @param {Array} tokens - All markdown tokens
+ * @param {number} codeIndex - Index of the code token
+ * @param {Object} context - Description context
+ * @returns {Object} Object with paragraphs and heading
+ */
+function findNearestText(tokens, codeIndex, context) {
+  for (let i = codeIndex - 1; i >= 0; i--) {
+    const token = tokens[i];
+    const heading = i > 0 && tokens[i - 1].type === 'heading_open';
+
+    if (token.type === 'inline' && token.content.trim() && (heading || !isFiller(token.content))) {
+      return { paragraphs: [renderDescription(token, context)], heading };
+    }
+
+    if (BOUNDARY_TYPES.includes(token.type)) {
+      break;
+    }
+  }
+
+  return { paragraphs: [], heading: false };
+}
+
+/**
+ * Finds the paragraphs before a code block at the block's own level
+ * Paragraphs in lists, tables or quotes before the block are skipped; the enclosing
+ * heading describes the block when there is no paragraph.
+ * @param {Array} tokens - All markdown tokens
+ * @param {number} codeIndex - Index of the code token
+ * @param {Object} context - Description context
+ * @returns {Object} Object with paragraphs and heading
+ */
+function findParagraphs(tokens, codeIndex, context) {
+  const level = tokens[codeIndex].level || 0;
+  const paragraphs = [];
+  let i = codeIndex - 1;
+
+  // Walk back to the heading, the previous code block or the start of the block's container
+  while (i >= 0 && !BOUNDARY_TYPES.includes(tokens[i].type) && (tokens[i].level || 0) >= level) {
+    const text = getParagraphText(tokens, i, level, context);
+    if (text && !isFiller(text)) {
+      paragraphs.unshift(text);
+      if (context.strategy !== 'section') {
+        break;
+      }
+    }
+    i--;
+  }
+
+  if (paragraphs.length === 0) {
+    return describeByHeading(tokens, i, context);
+  }
+
+  return { paragraphs, heading: false };
+}
+
+/**
+ * Describes a code block by the heading it follows, when the walk back stopped at one
+ * @param {Array} tokens - All markdown tokens
+ * @param {number} index - Index the walk back stopped at
+ * @param {Object} context - Description context
+ * @returns {Object} Object with paragraphs and heading
+ */
+function describeByHeading(tokens, index, context) {
+  const isHeading = index >= 0 && tokens[index].type === 'heading_open' && tokens[index + 1].type === 'inline';
+  return isHeading
+    ? { paragraphs: [renderDescription(tokens[index + 1], context)], heading: true }
+    : { paragraphs: [], heading: false };
+}
+
+/**
+ * Finds the paragraph directly after a code block
+ * @param {Array} tokens - All markdown tokens
+ * @param {number} codeIndex - Index of the code token
+ * @param {Object} context - Description context
+ * @returns {string} Paragraph text, or empty string if the block is not followed by a paragraph
+ */
+function findFollowingParagraph(tokens, codeIndex, context) {
+  const text = getParagraphText(tokens, codeIndex + 1, tokens[codeIndex].level || 0, context);
+  return text && !isFiller(text) ? text : '';
+}
+
+/**
+ * Renders the text of a paragraph starting at a token
+ * @param {Array} tokens - All markdown tokens
+ * @param {number} index - Index of a possible paragraph_open token
+ * @param {number} level - Nesting level the paragraph must be at
+ * @param {Object} context - Description context
+ * @returns {string} Paragraph text, or empty string if the token does not open a paragraph at the level
+ */
+function getParagraphText(tokens, index, level, context) {
+  const token = tokens[index];
+  const inline = tokens[index + 1];
+  if (!token || token.type !== 'paragraph_open' || (token.level || 0) !== level || !inline || inline.type !== 'inline') {
+    return '';
+  }
+
+  return renderDescription(inline, context);
+}
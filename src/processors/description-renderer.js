@@ -0,0 +1,172 @@
+import path from 'path';
+import { getSourceUrl } from '../utils/source-url-manager.js';
+import { toRelativeLink } from '../utils/path-utils.js';
+
+/**
+ * Description Renderer
+ *
+ * Renders the paragraph text used as a snippet description from its inline tokens.
+ * Relative links and images are rewritten so they still resolve from the rules folder:
+ * a link to another converted document points at that document's rule file, and other
+ * links point at the source URL (with --source-url) or at the file relative to the rule file.
+ * Descriptions can also be rendered as plain text, without markdown syntax.
+ */
+
+/**
+ * Matches links that are left as written: URLs with a scheme, protocol-relative
+ * and root-relative paths, and in-page anchors
+ */
+const UNRESOLVED_LINK_PATTERN = /^(?:[a-z][a-z\d+.-]*:|\/|#)/i;
+
+/**
+ * Renderers for inline child tokens; other tokens are emphasis and strikethrough markers
+ */
+const CHILD_RENDERERS = {
+  text: child => child.content,
+  softbreak: () => ' ',
+  hardbreak: () => '\n',
+  code_inline: (child, links, context) => (context.plain ? child.content : `${child.markup}${child.content}${child.markup}`),
+  link_open: (child, links, context) => openLink(child, links, context),
+  link_close: (child, links) => links.pop() || '',
+  image: (child, links, context) => renderImage(child, context),
+  html_inline: (child, links, context) => (context.plain ? '' : child.content)
+};
+
+/**
+ * Renders an inline token as a description
+ * Tokens without children, such as those built by hand, are rendered from their content.
+ * @param {Object} token - Inline markdown token
+ * @param {Object} context - Rendering context
+ * @param {string} context.filePath - Path of the document the token was parsed from
+ * @param {Map} [context.ruleFiles] - Rule file paths by absolute source document path
+ * @param {boolean} [context.plain] - Render plain text instead of markdown
+ * @returns {string} Rendered description
+ */
+export function renderDescription(token, context) {
+  if (!token || !Array.isArray(token.children) || token.children.length === 0) {
+    return token && token.content ? token.content.trim() : '';
+  }
+
+  const links = [];
+  const text = token.children.map(child => renderChild(child, links, context)).join('');
+  return text.replace(/[ \t]+\n/g, '\n').trim();
+}
+
+/**
+ * Renders one child of an inline token
+ * @param {Object} child - Inline child token
+ * @param {string[]} links - Stack of closing markup for open links
+ * @param {Object} context - Rendering context
+ * @returns {string} Rendered text
+ */
+function renderChild(child, links, context) {
+  if (Object.hasOwn(CHILD_RENDERERS, child.type)) {
+    return CHILD_RENDERERS[child.type](child, links, context);
+  }
+
+  return context.plain ? '' : child.markup || '';
+}
+
+/**
+ * Renders the start of a link, remembering how to close it
+ * @param {Object} child - link_open token
+ * @param {string[]} links - Stack of closing markup for open links
+ * @param {Object} context - Rendering context
+ * @returns {string} Opening markup
+ */
+function openLink(child, links, context) {
+  if (context.plain) {
+    links.push('');
+    return '';
+  }
+
+  if (child.markup === 'autolink' || child.markup === 'linkify') {
+    links.push(child.markup === 'autolink' ? '>' : '');
+    return child.markup === 'autolink' ? '<' : '';
+  }
+
+  links.push(`](${formatTarget(resolveLink(child.attrGet('href'), context), child.attrGet('title'))})`);
+  return '[';
+}
+
+/**
+ * Renders an image, or its alt text in plain descriptions
+ * @param {Object} child - image token
+ * @param {Object} context - Rendering context
+ * @returns {string} Rendered image
+ */
+function renderImage(child, context) {
+  if (context.plain) {
+    return child.content;
+  }
+
+  return `![${child.content}](${formatTarget(resolveLink(child.attrGet('src'), context), child.attrGet('title'))})`;
+}
+
+/**
+ * Formats a link destination with its optional title
+ * @param {string} href - Link destination
+ * @param {string|null} title - Link title
+ * @returns {string} Destination as written inside parentheses
+ */
+function formatTarget(href, title) {
+  const destination = /[\s()]/.test(href) ? `<${href}>` : href;
+  return title ? `${destination} "${title.replace(/"/g, '\\"')}"` : destination;
+}
+
+/**
+ * Resolves a relative link from a document so it works from the rules folder
+ * Links to converted documents point at their rule files; other files are linked
+ * at the source URL when one is configured, or relative to the document's rule file.
+ * Links are left as written when neither applies.
+ * @param {string} href - Link destination as written in the document
+ * @param {Object} context - Rendering context with filePath and ruleFiles
+ * @returns {string} Resolved link destination
+ */
+export function resolveLink(href, context) {
+  if (!href || UNRESOLVED_LINK_PATTERN.test(href)) {
+    return href || '';
+  }
+
+  const [target, fragment] = splitFragment(href);
+  const targetPath = path.resolve(path.dirname(context.filePath), safeDecode(target));
+  const ruleFiles = context.ruleFiles || new Map();
+  const ruleFile = ruleFiles.get(path.resolve(context.filePath));
+
+  if (ruleFile && ruleFiles.has(targetPath)) {
+    return toRelativeLink(path.dirname(ruleFile), ruleFiles.get(targetPath));
+  }
+
+  if (process.env.SOURCE_BASE_URL) {
+    return `${getSourceUrl(targetPath)}${fragment}`;
+  }
+
+  return ruleFile ? `${toRelativeLink(path.dirname(ruleFile), targetPath)}${fragment}` : href;
+}
+
+/**
+ * Splits a link destination into its path and fragment
+ * A query string is dropped from the path, since links are resolved to files.
+ * @param {string} href - Relative link destination
+ * @returns {string[]} Path and fragment, the fragment including its # or empty
+ */
+function splitFragment(href) {
+  const hashIndex = href.indexOf('#');
+  const target = hashIndex === -1 ? href : href.slice(0, hashIndex);
+  const fragment = hashIndex === -1 ? '' : href.slice(hashIndex);
+
+  return [target.replace(/\?.*$/, ''), fragment];
+}
+
+/**
+ * Decodes percent-encoded characters in a link path
+ * @param {string} target - Link path
+ * @returns {string} Decoded path, or the path as written if it is not valid encoding
+ */
+function safeDecode(target) {
+  try {
+    return decodeURI(target);
+  } catch (error) {
+    return target;
+  }
+}
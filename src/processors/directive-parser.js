@@ -0,0 +1,63 @@
+/**
+ * Directive Parser
+ *
+ * Parses md2llm directives embedded in markdown as HTML comments, e.g.
+ * <!-- md2llm:ignore --> or <!-- md2llm:title "Custom title" -->.
+ * Directives let documentation authors curate extraction without restructuring their docs.
+ */
+
+/**
+ * Matches a single directive comment with an optional quoted or bare value
+ */
+const DIRECTIVE_PATTERN = /<!--\s*md2llm:([\w-]+)(?:\s+(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s]+?)))?\s*-->/g;
+
+/**
+ * Directive names understood by the snippet extractor
+ */
+export const DIRECTIVES = {
+  IGNORE: 'ignore',
+  IGNORE_START: 'ignore-start',
+  IGNORE_END: 'ignore-end',
+  INCLUDE: 'include',
+  TITLE: 'title',
+  DESCRIPTION: 'description'
+};
+
+/**
+ * Parses all md2llm directives from an HTML fragment
+ * @param {string} html - HTML block content
+ * @returns {Array} Array of { name, value } directive objects in document order
+ */
+export function parseDirectives(html) {
+  if (!html || typeof html !== 'string') {
+    return [];
+  }
+
+  const directives = [];
+  for (const match of html.matchAll(DIRECTIVE_PATTERN)) {
+    const [, name, doubleQuoted, singleQuoted, bare] = match;
+    const value = doubleQuoted ?? singleQuoted ?? bare ?? '';
+
+    directives.push({
+      name: name.toLowerCase(),
+      value: value.replace(/\\(["'\\])/g, '$1')
+    });
+  }
+
+  return directives;
+}
+
+/**
+ * Applies ignore-start and ignore-end directives
+ * @param {Array} directives - Parsed directives from an HTML block
+ * @param {boolean} ignoring - Whether an ignore region is open
+ * @returns {boolean} Whether an ignore region is open after the directives
+ */
+export function updateIgnoring(directives, ignoring) {
+  return directives.reduce((open, { name }) => {
+    if (name === DIRECTIVES.IGNORE_START) {
+      return true;
+    }
+    return name === DIRECTIVES.IGNORE_END ? false : open;
+  }, ignoring);
+}
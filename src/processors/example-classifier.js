@@ -0,0 +1,217 @@
+/**
+ * Example Classifier
+ *
+ * Tells recommended code examples apart from anti-patterns, so a model does not
+ * learn a "❌ Bad" example as if it were recommended. Examples are labelled by a
+ * leading comment (`// bad`), the fence title, the paragraph before the block or
+ * the enclosing heading (e.g. "Don't" / "Do").
+ */
+
+/**
+ * Example polarities
+ */
+export const POLARITIES = {
+  POSITIVE: 'positive',
+  NEGATIVE: 'negative'
+};
+
+/**
+ * Output labels for each polarity
+ */
+export const EXAMPLE_LABELS = {
+  [POLARITIES.POSITIVE]: 'DO',
+  [POLARITIES.NEGATIVE]: "DON'T"
+};
+
+/**
+ * Marker emoji for each polarity
+ */
+const EMOJI_POLARITIES = {
+  '❌': POLARITIES.NEGATIVE,
+  '✗': POLARITIES.NEGATIVE,
+  '✘': POLARITIES.NEGATIVE,
+  '✖': POLARITIES.NEGATIVE,
+  '🚫': POLARITIES.NEGATIVE,
+  '⛔': POLARITIES.NEGATIVE,
+  '👎': POLARITIES.NEGATIVE,
+  '✅': POLARITIES.POSITIVE,
+  '✔': POLARITIES.POSITIVE,
+  '✓': POLARITIES.POSITIVE,
+  '👍': POLARITIES.POSITIVE
+};
+
+/**
+ * Label words for each polarity
+ */
+const WORD_POLARITIES = {
+  "don't": POLARITIES.NEGATIVE,
+  "don'ts": POLARITIES.NEGATIVE,
+  'do not': POLARITIES.NEGATIVE,
+  'bad': POLARITIES.NEGATIVE,
+  'wrong': POLARITIES.NEGATIVE,
+  'incorrect': POLARITIES.NEGATIVE,
+  'avoid': POLARITIES.NEGATIVE,
+  'never': POLARITIES.NEGATIVE,
+  'anti-pattern': POLARITIES.NEGATIVE,
+  'antipattern': POLARITIES.NEGATIVE,
+  'not recommended': POLARITIES.NEGATIVE,
+  'do': POLARITIES.POSITIVE,
+  "do's": POLARITIES.POSITIVE,
+  'dos': POLARITIES.POSITIVE,
+  'good': POLARITIES.POSITIVE,
+  'correct': POLARITIES.POSITIVE,
+  'right': POLARITIES.POSITIVE,
+  'better': POLARITIES.POSITIVE,
+  'recommended': POLARITIES.POSITIVE,
+  'preferred': POLARITIES.POSITIVE,
+  'best practice': POLARITIES.POSITIVE
+};
+
+/**
+ * Matches a leading marker emoji, with an optional variation selector
+ */
+const EMOJI_PATTERN = new RegExp(`^(${Object.keys(EMOJI_POLARITIES).join('|')})\\uFE0F?\\s*`, 'u');
+
+/**
+ * Matches a leading label word, longest words first, optionally introduced by "Examples of"
+ * and followed by a noun such as "code" or "example"
+ */
+const WORD_PATTERN = new RegExp(
+  `^(?:examples? of\\s+)?(${Object.keys(WORD_POLARITIES).sort((a, b) => b.length - a.length).join('|')})` +
+  '(?![\\w\'-])(\\s+(?:code|examples?|usage|practices?|patterns?|way)\\b)?',
+  'i'
+);
+
+/**
+ * Matches the text of a single-line comment in common languages
+ */
+const COMMENT_PATTERN = /^(?:\/\/+|#+|\/\*+|<!--|--|;+)\s*(.*?)\s*(?:\*+\/|-->)?$/;
+
+/**
+ * Sources of a label, in the order they are consulted
+ */
+const LABEL_SOURCES = ['comment', 'title', 'description', 'heading'];
+
+/**
+ * Classifies a code example as positive or negative from the labels around it
+ * @param {Object} example - Example context
+ * @param {string} [example.code] - Example code, whose first line may be a label comment
+ * @param {string} [example.title] - Explicit fence title
+ * @param {string} [example.description] - Paragraph before the code block
+ * @param {string} [example.heading] - Innermost enclosing heading
+ * @returns {Object|null} Object with polarity, from (the labelled field) and rest
+ *   (the labelled text without its label), or null if the example is not labelled
+ */
+export function classifyExample(example) {
+  const texts = {
+    comment: getLeadingComment(example.code),
+    title: example.title,
+    description: example.description,
+    heading: example.heading
+  };
+
+  for (const from of LABEL_SOURCES) {
+    const label = parseExampleLabel(texts[from]);
+    if (label) {
+      return { ...label, from };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parses a leading example label such as "❌ Bad:", "**Good**" or "Examples of incorrect code"
+ * Label words must stand alone or end in punctuation, so prose like "Do the following" is not a label.
+ * @param {string} text - Text that may start with a label
+ * @returns {Object|null} Object with polarity and the rest of the text, or null if there is no label
+ */
+export function parseExampleLabel(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const plain = text.replace(/(\*\*|__)(.*?)\1/g, '$2').replace(/’/g, "'").trim();
+  const emoji = plain.match(EMOJI_PATTERN);
+  const afterEmoji = emoji ? plain.slice(emoji[0].length) : plain;
+  const word = matchLabelWord(afterEmoji, Boolean(emoji));
+
+  if (!emoji && !word) {
+    return null;
+  }
+
+  return {
+    polarity: emoji ? EMOJI_POLARITIES[emoji[1]] : WORD_POLARITIES[word.word],
+    rest: (word ? word.rest : afterEmoji).replace(/^\s*[:.!)\-–—]?\s*/, '').trim()
+  };
+}
+
+/**
+ * Matches a label word at the start of text
+ * @param {string} text - Text after any marker emoji
+ * @param {boolean} marked - Whether an emoji already marks the text as a label
+ * @returns {Object|null} Object with the lowercase word and the rest of the text, or null if there is no label word
+ */
+function matchLabelWord(text, marked) {
+  const match = text.match(WORD_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  // A bare label word must end the label; a noun or emoji already marks it as one
+  const rest = text.slice(match[0].length);
+  if (!marked && !match[2] && !/^\s*(?:[:.!)\-–—]|$)/.test(rest)) {
+    return null;
+  }
+
+  return { word: match[1].toLowerCase(), rest };
+}
+
+/**
+ * Pairs consecutive negative and positive examples of the same title
+ * @param {Array} snippets - Snippets in output order
+ * @returns {Array} Entries of either { snippet } or { negative, positive }
+ */
+export function pairExamples(snippets) {
+  const entries = [];
+
+  for (let i = 0; i < snippets.length; i++) {
+    const snippet = snippets[i];
+    const next = snippets[i + 1];
+
+    if (isExamplePair(snippet, next)) {
+      const negativeFirst = snippet.polarity === POLARITIES.NEGATIVE;
+      entries.push({ negative: negativeFirst ? snippet : next, positive: negativeFirst ? next : snippet });
+      i++;
+    } else {
+      entries.push({ snippet });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Checks whether two snippets are opposite examples of the same thing
+ * @param {Object} first - Snippet
+ * @param {Object} [second] - Following snippet
+ * @returns {boolean} True if the snippets form a DO / DON'T pair
+ */
+function isExamplePair(first, second) {
+  if (!second || !first.polarity || !second.polarity || first.polarity === second.polarity) {
+    return false;
+  }
+
+  return first.title === second.title && !first.variants && !second.variants;
+}
+
+/**
+ * Gets the text of the comment on the first non-empty line of code
+ * @param {string} code - Example code
+ * @returns {string} Comment text, or empty string if the first line is not a comment
+ */
+function getLeadingComment(code) {
+  const firstLine = (code || '').split('\n').map(line => line.trim()).find(Boolean) || '';
+  const comment = firstLine.match(COMMENT_PATTERN);
+  return comment ? comment[1] : '';
+}
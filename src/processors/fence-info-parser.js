@@ -0,0 +1,125 @@
+/**
+ * Fence Info Parser
+ *
+ * Parses the info string of a fenced code block into structured metadata.
+ * Understands the Docusaurus/VitePress conventions for titles, highlighted
+ * line ranges and boolean flags, e.g. ```js title="server.js" {3-5} skip
+ */
+
+/**
+ * Matches one metadata entry after the language:
+ * key="value" | key='value' | key=value | {ranges} | [label] | flag
+ */
+const META_PATTERN = /([\w-]+)=(?:"([^"]*)"|'([^']*)'|(\S+))|\{([^}]*)\}|\[([^\]]*)\]|(\S+)/g;
+
+/**
+ * Attribute names that provide a snippet title
+ */
+const TITLE_ATTRIBUTES = ['title', 'filename'];
+
+/**
+ * Parses a fence info string into language, title, highlighted lines and flags
+ * @param {string} info - Raw fence info string
+ * @returns {Object} Parsed info with language, title, highlightLines, flags and attributes
+ */
+export function parseFenceInfo(info) {
+  const parsed = {
+    language: '',
+    title: '',
+    highlightLines: [],
+    flags: [],
+    attributes: {}
+  };
+
+  if (!info || typeof info !== 'string') {
+    return parsed;
+  }
+
+  const rest = parseLanguage(info.trim(), parsed);
+  parseMetadata(rest, parsed);
+
+  const titleAttribute = TITLE_ATTRIBUTES.find(name => parsed.attributes[name]);
+  if (titleAttribute) {
+    parsed.title = parsed.attributes[titleAttribute];
+  }
+
+  return parsed;
+}
+
+/**
+ * Parses the leading language of an info string into the parsed result
+ * @param {string} info - Trimmed info string
+ * @param {Object} parsed - Parsed info object to populate
+ * @returns {string} Remaining info string after the language
+ */
+function parseLanguage(info, parsed) {
+  const languageMatch = info.match(/^[^\s{[]+/);
+  if (!languageMatch) {
+    return info;
+  }
+
+  // VitePress allows flags after a colon, e.g. js:line-numbers
+  const [language, ...languageFlags] = languageMatch[0].split(':');
+  parsed.language = language;
+  parsed.flags.push(...languageFlags.filter(Boolean));
+
+  return info.slice(languageMatch[0].length);
+}
+
+/**
+ * Parses the metadata portion of an info string into the parsed result
+ * @param {string} metadata - Info string without the language
+ * @param {Object} parsed - Parsed info object to populate
+ */
+function parseMetadata(metadata, parsed) {
+  for (const match of metadata.matchAll(META_PATTERN)) {
+    const [, key, doubleQuoted, singleQuoted, bare, ranges, label, flag] = match;
+
+    if (key) {
+      parsed.attributes[key] = doubleQuoted ?? singleQuoted ?? bare;
+    } else if (ranges != null) {
+      parsed.highlightLines.push(...parseLineRanges(ranges));
+    } else if (label != null) {
+      // VitePress code-group labels name a tab, and double as titles unless one is set explicitly
+      parsed.attributes.tab = label.trim();
+      parsed.attributes.title = parsed.attributes.title || label.trim();
+    } else if (flag) {
+      parsed.flags.push(flag);
+    }
+  }
+}
+
+/**
+ * Parses a comma-separated list of line numbers and ranges
+ * @param {string} ranges - Ranges such as "1,3-5"
+ * @returns {Array} Array of { start, end } line ranges
+ */
+export function parseLineRanges(ranges) {
+  if (!ranges || typeof ranges !== 'string') {
+    return [];
+  }
+
+  return ranges
+    .split(',')
+    .map(range => range.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/))
+    .filter(Boolean)
+    .map(([, start, end]) => ({
+      start: parseInt(start, 10),
+      end: parseInt(end || start, 10)
+    }));
+}
+
+/**
+ * Formats line ranges back into their compact string form
+ * @param {Array} ranges - Array of { start, end } line ranges
+ * @returns {string} Ranges such as "1, 3-5"
+ */
+export function formatLineRanges(ranges) {
+  if (!ranges || ranges.length === 0) {
+    return '';
+  }
+
+  return ranges
+    .map(({ start, end }) => (start === end ? `${start}` : `${start}-${end}`))
+    .join(', ');
+}
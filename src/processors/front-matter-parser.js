@@ -0,0 +1,132 @@
+import { parse } from 'yaml';
+
+/**
+ * Front Matter Parser
+ *
+ * Reads the YAML front matter at the top of a markdown document and the per-document
+ * settings under its `md2llm` key, e.g. `md2llm: { skip: true }` or
+ * `md2llm: { globs: ["src/**\/*.tsx"], alwaysApply: false }`.
+ * Front matter lines are blanked rather than removed, so snippet line numbers
+ * still point at the document.
+ */
+
+/**
+ * Matches front matter delimited by --- lines at the start of a document
+ */
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Validators for each md2llm setting, returning the normalized value or null when invalid
+ */
+const SETTING_VALIDATORS = {
+  skip: value => (typeof value === 'boolean' ? value : null),
+  description: value => (typeof value === 'string' && value.trim() ? value.trim() : null),
+  globs: toStringList,
+  alwaysApply: value => (typeof value === 'boolean' ? value : null),
+  tags: toStringList
+};
+
+/**
+ * Separates front matter from document content
+ * Front matter that is not valid YAML is blanked and ignored with a warning.
+ * @param {string} content - Document content
+ * @param {string} [filePath] - Document path for warnings
+ * @returns {Object} Object with data (parsed front matter, empty when absent) and
+ *   content (the document with front matter lines blanked)
+ */
+export function parseFrontMatter(content, filePath = 'document') {
+  if (!content || typeof content !== 'string') {
+    return { data: {}, content: '' };
+  }
+
+  const match = content.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return { data: {}, content };
+  }
+
+  let data = {};
+  try {
+    data = parse(match[1] || '');
+  } catch (error) {
+    console.warn(`Warning: Ignoring invalid front matter in ${filePath}: ${error.message.split('\n')[0]}`);
+  }
+
+  return {
+    data: data && typeof data === 'object' && !Array.isArray(data) ? data : {},
+    content: match[0].replace(/[^\n]/g, '') + content.slice(match[0].length)
+  };
+}
+
+/**
+ * Reads the md2llm settings from parsed front matter
+ * Unknown keys and invalid values are ignored with a warning.
+ * @param {Object} data - Parsed front matter
+ * @param {string} filePath - Document path for warnings
+ * @returns {Object} Settings with any of skip, description, globs, alwaysApply and tags
+ */
+export function getDocumentSettings(data, filePath) {
+  const settings = data && data.md2llm;
+  if (settings == null) {
+    return {};
+  }
+
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    console.warn(`Warning: Ignoring md2llm front matter in ${filePath}; expected a mapping`);
+    return {};
+  }
+
+  return Object.entries(settings).reduce((valid, [key, value]) => {
+    if (!Object.hasOwn(SETTING_VALIDATORS, key)) {
+      console.warn(`Warning: Ignoring unknown md2llm.${key} front matter in ${filePath}`);
+      return valid;
+    }
+
+    const normalized = SETTING_VALIDATORS[key](value);
+    if (normalized == null) {
+      console.warn(`Warning: Ignoring invalid md2llm.${key} front matter in ${filePath}`);
+      return valid;
+    }
+
+    return { ...valid, [key]: normalized };
+  }, {});
+}
+
+/**
+ * Applies a document's settings over the CLI options for its output
+ * A document that sets alwaysApply without globs is not given the CLI's --apply-glob.
+ * @param {Object} options - Normalized CLI options
+ * @param {Object} settings - Document settings from getDocumentSettings
+ * @returns {Object} Options for the document
+ */
+export function applyDocumentSettings(options, settings) {
+  const documentOptions = { ...options };
+
+  if (settings.globs) {
+    documentOptions.applyGlob = settings.globs.join(',');
+  } else if (settings.alwaysApply != null) {
+    documentOptions.applyGlob = null;
+  }
+
+  ['alwaysApply', 'description', 'tags'].forEach(key => {
+    if (settings[key] != null) {
+      documentOptions[key] = settings[key];
+    }
+  });
+
+  return documentOptions;
+}
+
+/**
+ * Normalizes a string or list of strings
+ * @param {string|string[]} value - Setting value
+ * @returns {string[]|null} Non-empty trimmed strings, or null when the value is invalid or empty
+ */
+function toStringList(value) {
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.every(item => typeof item === 'string')) {
+    return null;
+  }
+
+  const items = list.map(item => item.trim()).filter(Boolean);
+  return items.length > 0 ? items : null;
+}
@@ -0,0 +1,147 @@
+import { parseDirectives, updateIgnoring } from './directive-parser.js';
+import {
+  buildBreadcrumb,
+  countHeadings,
+  extractHeadingText,
+  getHeadingLevel,
+  pushHeading
+} from './snippet-extractor.js';
+
+/**
+ * Guideline Extractor
+ *
+ * Extracts normative prose, such as "You MUST call `client.close()`" or
+ * "Do not import from `lib/`", from paragraphs and list items.
+ * Statements are recognised by RFC 2119 style keywords written in capitals,
+ * or by sentences starting with "Do not", "Don't" or "Never".
+ */
+
+/**
+ * Matches a capitalised normative keyword anywhere in the text, longest forms first
+ */
+const KEYWORD_PATTERN = new RegExp(
+  "\\b(MUST NOT|MUST|SHALL NOT|SHALL|SHOULD NOT|SHOULD|NOT RECOMMENDED|RECOMMENDED|REQUIRED|NEVER|DO NOT|DON'T)\\b"
+);
+
+/**
+ * Matches a prohibition at the start of a sentence
+ */
+const IMPERATIVE_PATTERN = /(?:^|[.!?]\s+)(Do not|Don't|Never)\b/;
+
+/**
+ * Keywords that sentence-case prohibitions are reported as
+ */
+const IMPERATIVE_KEYWORDS = {
+  'do not': 'DO NOT',
+  "don't": 'DO NOT',
+  'never': 'NEVER'
+};
+
+/**
+ * Extracts guidelines from markdown tokens
+ * Code blocks are not searched, and md2llm ignore regions are honoured.
+ * @param {Array} tokens - Parsed markdown tokens
+ * @param {string} filePath - Source file path for context
+ * @returns {Array} Array of guideline objects with text, keyword, context, headingPath, source and lines
+ */
+export function extractGuidelinesFromTokens(tokens, filePath) {
+  if (!tokens || !Array.isArray(tokens)) {
+    return [];
+  }
+
+  const hasDocumentTitle = countHeadings(tokens, 'h1') === 1;
+  const headings = [];
+  const guidelines = [];
+  let ignoring = false;
+
+  tokens.forEach((token, index) => {
+    if (token.type === 'heading_open') {
+      pushHeading(headings, getHeadingLevel(token), extractHeadingText(tokens, index));
+    } else if (token.type === 'html_block') {
+      ignoring = updateIgnoring(parseDirectives(token.content), ignoring);
+    } else if (!ignoring && isParagraphText(tokens, index)) {
+      const headingPath = headings.map(heading => heading.text);
+      const guideline = createGuideline(token, { headingPath, hasDocumentTitle, filePath });
+      if (guideline && !guidelines.some(existing => existing.text === guideline.text)) {
+        guidelines.push(guideline);
+      }
+    }
+  });
+
+  return guidelines;
+}
+
+/**
+ * Finds the normative keyword in a piece of prose
+ * @param {string} text - Paragraph or list item text
+ * @returns {string|null} Keyword in capitals, or null if the text is not normative
+ */
+export function findGuidelineKeyword(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const keyword = text.match(KEYWORD_PATTERN);
+  if (keyword) {
+    return keyword[1] === "DON'T" ? 'DO NOT' : keyword[1];
+  }
+
+  const imperative = text.match(IMPERATIVE_PATTERN);
+  return imperative ? IMPERATIVE_KEYWORDS[imperative[1].toLowerCase()] : null;
+}
+
+/**
+ * Formats a guideline into the standard output format
+ * @param {Object} guideline - Guideline object
+ * @returns {string} Formatted guideline string
+ */
+export function formatGuideline(guideline) {
+  if (!guideline || !guideline.text) {
+    return '';
+  }
+
+  return [
+    `GUIDELINE: ${guideline.text}`,
+    `CONTEXT: ${guideline.context || ''}`,
+    `SOURCE: ${guideline.source || ''}`,
+    '',
+    '----------------------------------------'
+  ].join('\n');
+}
+
+/**
+ * Checks whether a token is the text of a paragraph, including paragraphs in list items
+ * @param {Array} tokens - All markdown tokens
+ * @param {number} index - Index of the token
+ * @returns {boolean} True if the token is inline paragraph text
+ */
+function isParagraphText(tokens, index) {
+  return tokens[index].type === 'inline' && index > 0 && tokens[index - 1].type === 'paragraph_open';
+}
+
+/**
+ * Creates a guideline from paragraph text if it is normative
+ * @param {Object} token - Inline paragraph token
+ * @param {Object} context - Guideline context
+ * @param {string[]} context.headingPath - Enclosing heading texts
+ * @param {boolean} context.hasDocumentTitle - Whether the first heading is the document title
+ * @param {string} context.filePath - Source file path
+ * @returns {Object|null} Guideline object or null if the text is not normative
+ */
+function createGuideline(token, context) {
+  const text = token.content.replace(/\s*\n\s*/g, ' ').trim();
+  const keyword = findGuidelineKeyword(text);
+  if (!keyword) {
+    return null;
+  }
+
+  return {
+    text,
+    keyword,
+    context: buildBreadcrumb(context.headingPath, context.hasDocumentTitle),
+    headingPath: context.headingPath,
+    source: context.filePath,
+    lineStart: token.map ? token.map[0] + 1 : null,
+    lineEnd: token.map ? token.map[1] : null
+  };
+}
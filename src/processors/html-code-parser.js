@@ -0,0 +1,106 @@
+/**
+ * HTML Code Parser
+ *
+ * Extracts code from raw HTML <pre><code> blocks embedded in markdown.
+ * Older and GitHub-rendered READMEs often use these instead of fenced code.
+ */
+
+/**
+ * Matches a <pre> element wrapping a <code> element
+ */
+const PRE_CODE_PATTERN = /<pre\b([^>]*)>\s*<code\b([^>]*)>([\s\S]*?)<\/code>\s*<\/pre>/gi;
+
+/**
+ * Class name prefixes used by common highlighters to carry the language
+ */
+const LANGUAGE_CLASS_PATTERN = /^(?:language-|lang-|highlight-source-)(.+)$/;
+
+/**
+ * Named HTML entities that commonly appear in escaped code
+ */
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Parses all <pre><code> blocks from an HTML fragment
+ * @param {string} html - HTML block content
+ * @returns {Array} Array of { language, code } objects in document order
+ */
+export function parseHtmlCodeBlocks(html) {
+  if (!html || typeof html !== 'string') {
+    return [];
+  }
+
+  const blocks = [];
+  for (const match of html.matchAll(PRE_CODE_PATTERN)) {
+    const [, preAttributes, codeAttributes, body] = match;
+
+    blocks.push({
+      language: extractLanguage(codeAttributes) || extractLanguage(preAttributes),
+      code: decodeHtmlEntities(body.replace(/<[^>]+>/g, ''))
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Infers the language from an element's class or lang attributes
+ * @param {string} attributes - Raw attribute string of an element
+ * @returns {string} Language name or empty string
+ */
+function extractLanguage(attributes) {
+  if (!attributes) {
+    return '';
+  }
+
+  const classMatch = attributes.match(/\bclass\s*=\s*["']([^"']*)["']/i);
+  if (classMatch) {
+    const languageClass = classMatch[1]
+      .split(/\s+/)
+      .map(name => name.match(LANGUAGE_CLASS_PATTERN))
+      .find(Boolean);
+    if (languageClass) {
+      return languageClass[1];
+    }
+  }
+
+  // GitHub renders fences as <pre lang="js">
+  const langMatch = attributes.match(/\b(?:data-)?lang(?:uage)?\s*=\s*["']([^"']*)["']/i);
+  return langMatch ? langMatch[1].trim() : '';
+}
+
+/**
+ * Decodes HTML entities in escaped code
+ * Numeric entities outside the Unicode range or naming surrogates are left as written.
+ * @param {string} text - Text containing HTML entities
+ * @returns {string} Decoded text
+ */
+export function decodeHtmlEntities(text) {
+  if (!text) {
+    return '';
+  }
+
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return isValidCodePoint(codePoint) ? String.fromCodePoint(codePoint) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Checks whether a number is a Unicode scalar value, i.e. a code point that is not a surrogate
+ * @param {number} codePoint - Code point to check
+ * @returns {boolean} True if the code point can be decoded
+ */
+function isValidCodePoint(codePoint) {
+  return codePoint <= 0x10FFFF && (codePoint < 0xD800 || codePoint > 0xDFFF);
+}
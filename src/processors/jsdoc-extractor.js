@@ -0,0 +1,231 @@
+import path from 'path';
+import { getLanguageForExtension, isLanguageAllowed, normalizeLanguage } from '../utils/language-normalizer.js';
+
+/**
+ * JSDoc Extractor
+ *
+ * Extracts code snippets from JSDoc @example tags in JavaScript and TypeScript source.
+ * Each example is titled with the documented symbol's name and described by the
+ * comment's summary.
+ */
+
+/**
+ * Matches a JSDoc block comment
+ */
+const JSDOC_PATTERN = /\/\*\*(?!\/)([\s\S]*?)\*\//g;
+
+/**
+ * Declarations that name the symbol documented by a JSDoc comment
+ */
+const DECLARATION_PATTERNS = [
+  /^(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:async\s+)?function\s*\*?\s*([\w$]+)/,
+  /^(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?class\s+([\w$]+)/,
+  /^(?:export\s+)?(?:declare\s+)?(?:const|let|var)\s+([\w$]+)/,
+  /^(?:export\s+)?(?:declare\s+)?(?:interface|type|enum|namespace)\s+([\w$]+)/,
+  /^(?:(?:public|private|protected|static|readonly|async|get|set|override)\s+)*([\w$]+)\s*[(<:=?]/
+];
+
+/**
+ * Index of the class member pattern in DECLARATION_PATTERNS
+ */
+const MEMBER_PATTERN_INDEX = DECLARATION_PATTERNS.length - 1;
+
+/**
+ * Extracts snippets from the @example tags of JSDoc comments in source code
+ * @param {string} content - Source file content
+ * @param {string} filePath - Source file path for context
+ * @param {Object} [options] - Extraction options
+ * @param {string[]|null} [options.languages] - Canonical languages to keep, null for all
+ * @param {string[]} [options.excludeLanguages] - Canonical languages to drop
+ * @returns {Array} Array of snippet objects
+ */
+export function extractSnippetsFromSource(content, filePath, options = {}) {
+  if (!content || typeof content !== 'string') {
+    return [];
+  }
+
+  const fileLanguage = getLanguageForExtension(getSourceExtension(filePath));
+  const snippets = [];
+
+  for (const match of content.matchAll(JSDOC_PATTERN)) {
+    const comment = parseJsdocComment(match[1]);
+    if (comment.examples.length === 0) {
+      continue;
+    }
+
+    const symbolName = comment.name || findSymbolName(content, match.index, match[0].length);
+    const lines = getCommentLines(content, match);
+    for (const example of comment.examples) {
+      const snippet = createExampleSnippet(example, { symbolName, comment, filePath, fileLanguage, ...lines });
+      if (isLanguageAllowed(snippet.language, options)) {
+        snippets.push(snippet);
+      }
+    }
+  }
+
+  return snippets;
+}
+
+/**
+ * Parses the body of a JSDoc comment into its summary, explicit name and examples
+ * @param {string} body - Comment body between the delimiters
+ * @returns {Object} Object with summary, name and examples
+ */
+export function parseJsdocComment(body) {
+  const lines = (body || '').split('\n').map(line => line.replace(/^\s*\* ?/, ''));
+  const sections = [{ tag: 'description', lines: [] }];
+
+  for (const line of lines) {
+    const tagMatch = line.match(/^\s*@(\w+)\s?(.*)$/);
+    if (tagMatch) {
+      sections.push({ tag: tagMatch[1], lines: [tagMatch[2]] });
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+  }
+
+  const nameSection = sections.find(section => ['name', 'function', 'method', 'class'].includes(section.tag));
+  const descriptionSection = sections.find(section => section.tag === 'description' && section.lines.join('').trim());
+
+  return {
+    summary: extractSummary(descriptionSection ? descriptionSection.lines : []),
+    name: nameSection ? nameSection.lines[0].trim().split(/\s+/)[0] : '',
+    examples: sections
+      .filter(section => section.tag === 'example')
+      .map(section => parseExample(section.lines))
+      .filter(example => example.code)
+  };
+}
+
+/**
+ * Extracts the summary paragraph from description lines
+ * @param {string[]} lines - Description lines
+ * @returns {string} Summary text up to the first blank line
+ */
+function extractSummary(lines) {
+  const text = lines.join('\n').trim();
+  return text.split(/\n\s*\n/)[0].replace(/\s*\n\s*/g, ' ').trim();
+}
+
+/**
+ * Parses the lines of an @example tag into caption, language and code
+ * @param {string[]} lines - Lines of the example tag
+ * @returns {Object} Object with caption, language and code
+ */
+function parseExample(lines) {
+  let text = lines.join('\n');
+  let caption = '';
+
+  const captionMatch = text.match(/^\s*<caption>([\s\S]*?)<\/caption>/);
+  if (captionMatch) {
+    caption = captionMatch[1].trim();
+    text = text.slice(captionMatch[0].length);
+  }
+
+  // Examples may wrap their code in a markdown fence
+  const fenceMatch = text.match(/```([^\n]*)\n([\s\S]*?)```/);
+  if (fenceMatch) {
+    return { caption, language: fenceMatch[1].trim().split(/\s+/)[0], code: fenceMatch[2].trim() };
+  }
+
+  return { caption, language: '', code: dedent(text).trim() };
+}
+
+/**
+ * Removes common leading indentation from text
+ * @param {string} text - Text to dedent
+ * @returns {string} Dedented text
+ */
+function dedent(text) {
+  const lines = text.split('\n');
+  const indents = lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length);
+  const indent = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map(line => line.slice(indent)).join('\n');
+}
+
+/**
+ * Finds the name of the symbol declared after a JSDoc comment
+ * Methods indented inside a class are prefixed with the class name.
+ * @param {string} content - Source file content
+ * @param {number} commentIndex - Index of the comment in the content
+ * @param {number} commentLength - Length of the comment
+ * @returns {string} Symbol name or empty string if none is found
+ */
+function findSymbolName(content, commentIndex, commentLength) {
+  const following = content.slice(commentIndex + commentLength).split('\n').map(line => line.trim()).find(Boolean);
+  if (!following) {
+    return '';
+  }
+
+  const patternIndex = DECLARATION_PATTERNS.findIndex(pattern => pattern.test(following));
+  if (patternIndex === -1) {
+    return '';
+  }
+
+  const name = following.match(DECLARATION_PATTERNS[patternIndex])[1];
+  const lineStart = content.lastIndexOf('\n', commentIndex - 1) + 1;
+  const isIndentedMember = patternIndex === MEMBER_PATTERN_INDEX && commentIndex > lineStart;
+
+  if (isIndentedMember) {
+    const classes = [...content.slice(0, commentIndex).matchAll(/\bclass\s+([\w$]+)/g)];
+    if (classes.length > 0) {
+      return `${classes[classes.length - 1][1]}.${name}`;
+    }
+  }
+
+  return name;
+}
+
+/**
+ * Creates a snippet object from a parsed example
+ * @param {Object} example - Parsed example with caption, language and code
+ * @param {Object} context - Example context
+ * @param {string} context.symbolName - Documented symbol name
+ * @param {Object} context.comment - Parsed JSDoc comment
+ * @param {string} context.filePath - Source file path
+ * @param {string} context.fileLanguage - Language of the source file
+ * @param {number} context.lineStart - First line of the JSDoc comment
+ * @param {number} context.lineEnd - Last line of the JSDoc comment
+ * @returns {Object} Snippet object
+ */
+function createExampleSnippet(example, context) {
+  const { symbolName, comment, filePath, fileLanguage, lineStart, lineEnd } = context;
+  const baseTitle = symbolName || path.basename(filePath);
+
+  return {
+    title: example.caption ? `${baseTitle} (${example.caption})` : baseTitle,
+    description: comment.summary,
+    source: filePath,
+    language: example.language ? normalizeLanguage(example.language) : fileLanguage,
+    languageConfidence: 1,
+    languageDetected: false,
+    code: example.code,
+    origin: 'jsdoc',
+    lineStart,
+    lineEnd,
+    headingPath: symbolName ? [symbolName] : [],
+    highlightLines: [],
+    flags: [],
+    attributes: {}
+  };
+}
+
+/**
+ * Gets the 1-based lines a JSDoc comment spans in the source
+ * @param {string} content - Source file content
+ * @param {RegExpMatchArray} match - Comment match with its index
+ * @returns {Object} Object with lineStart and lineEnd
+ */
+function getCommentLines(content, match) {
+  const lineStart = content.slice(0, match.index).split('\n').length;
+  return { lineStart, lineEnd: lineStart + match[0].split('\n').length - 1 };
+}
+
+/**
+ * Gets the lowercase extension of a source file
+ * @param {string} filePath - Source file path
+ * @returns {string} Extension without the leading dot
+ */
+function getSourceExtension(filePath) {
+  return path.extname(filePath || '').slice(1).toLowerCase();
+}
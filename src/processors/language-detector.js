@@ -0,0 +1,226 @@
+/**
+ * Language Detector
+ *
+ * Heuristically classifies unlabeled code blocks without external dependencies.
+ * Each detector scores the code between 0 and 1; the best score wins.
+ */
+
+/**
+ * Minimum confidence required before a detected language replaces 'text'
+ */
+export const MIN_CONFIDENCE = 0.5;
+
+/**
+ * Commands that commonly start shell snippets
+ */
+const SHELL_COMMANDS = [
+  'npm', 'npx', 'yarn', 'pnpm', 'node', 'git', 'cd', 'ls', 'mkdir', 'rm', 'cp', 'mv', 'curl', 'wget',
+  'echo', 'export', 'docker', 'brew', 'apt', 'apt-get', 'pip', 'chmod', 'cat', 'source'
+];
+const SHELL_COMMAND_PATTERN = new RegExp(`^(?:sudo )?(?:${SHELL_COMMANDS.join('|')})\\b`);
+
+/**
+ * Statements that start SQL snippets
+ */
+const SQL_STATEMENT_PATTERN = new RegExp(`^\\s*(?:${[
+  'SELECT\\s[\\s\\S]+\\sFROM',
+  'INSERT\\s+INTO',
+  'UPDATE\\s+\\w+\\s+SET',
+  'DELETE\\s+FROM',
+  'CREATE\\s+(?:TABLE|INDEX|VIEW)',
+  'ALTER\\s+TABLE',
+  'DROP\\s+TABLE'
+].join('|')})\\b`, 'i');
+
+/**
+ * Type annotations and declarations that mark code as TypeScript
+ */
+const TYPESCRIPT_PATTERN = new RegExp([
+  '\\b(?:interface|type)\\s+\\w+\\s*(?:=|\\{|<)',
+  ':\\s*(?:string|number|boolean|void|unknown|any)\\b',
+  '\\bas\\s+const\\b'
+].join('|'));
+
+/**
+ * Returns the fraction of non-empty lines matching a pattern
+ * @param {string[]} lines - Non-empty code lines
+ * @param {RegExp} pattern - Pattern to test each line against
+ * @returns {number} Fraction between 0 and 1
+ */
+function lineRatio(lines, pattern) {
+  if (lines.length === 0) {
+    return 0;
+  }
+  return lines.filter(line => pattern.test(line)).length / lines.length;
+}
+
+/**
+ * Scores code as JSON
+ * @param {string} code - Code to score
+ * @returns {number} Confidence between 0 and 1
+ */
+function scoreJson(code) {
+  if (!/^[[{]/.test(code)) {
+    return 0;
+  }
+  try {
+    JSON.parse(code);
+    return 0.98;
+  } catch (error) {
+    // Near-JSON such as snippets with "..." placeholders still reads as JSON
+    return /^\{\s*"[^"]+"\s*:/.test(code) ? 0.6 : 0;
+  }
+}
+
+/**
+ * Scores code as a shell session with prompts
+ * @param {string} code - Code to score
+ * @param {string[]} lines - Non-empty code lines
+ * @returns {number} Confidence between 0 and 1
+ */
+function scoreConsole(code, lines) {
+  return /^\$ \S/.test(lines[0] || '') ? 0.9 : 0;
+}
+
+/**
+ * Scores code as shell commands
+ * @param {string} code - Code to score
+ * @param {string[]} lines - Non-empty code lines
+ * @returns {number} Confidence between 0 and 1
+ */
+function scoreBash(code, lines) {
+  if (/^#!.*\b(?:ba|z)?sh\b/.test(code)) {
+    return 0.95;
+  }
+  return lineRatio(lines.filter(line => !line.startsWith('#')), SHELL_COMMAND_PATTERN) * 0.85;
+}
+
+/**
+ * Scores code as a unified diff
+ * @param {string} code - Code to score
+ * @param {string[]} lines - Non-empty code lines
+ * @returns {number} Confidence between 0 and 1
+ */
+function scoreDiff(code, lines) {
+  if (/^(?:diff --git|--- \S|@@ -\d)/m.test(code) && /^\+\+\+ \S|^@@ /m.test(code)) {
+    return 0.95;
+  }
+  return lines.length > 1 && lineRatio(lines, /^[+-] /) >= 0.8 ? 0.6 : 0;
+}
+
+/**
+ * Scores code as HTML
+ * @param {string} code - Code to score
+ * @returns {number} Confidence between 0 and 1
+ */
+function scoreHtml(code) {
+  if (/^<!doctype html|^<html[\s>]/i.test(code)) {
+    return 0.95;
+  }
+  return /^<([a-z][\w-]*)[^>]*>[\s\S]*<\/\1>$/i.test(code) ? 0.75 : 0;
+}
+
+/**
+ * Scores code as CSS
+ * @param {string} code - Code to score
+ * @param {string[]} lines - Non-empty code lines
+ * @returns {number} Confidence between 0 and 1
+ */
+function scoreCss(code, lines) {
+  if (!/^[^{}\n]+\{[^{}]*\}/m.test(code)) {
+    return 0;
+  }
+  const declarations = lineRatio(lines, /^\s*-{0,2}[a-z-]+\s*:\s*[^;]+;\s*$/);
+  return declarations >= 0.3 ? 0.6 + (declarations * 0.35) : 0;
+}
+
+/**
+ * Scores code as SQL
+ * @param {string} code - Code to score
+ * @returns {number} Confidence between 0 and 1
+ */
+function scoreSql(code) {
+  return SQL_STATEMENT_PATTERN.test(code) ? 0.85 : 0;
+}
+
+/**
+ * Scores code as YAML
+ * @param {string} code - Code to score
+ * @param {string[]} lines - Non-empty code lines
+ * @returns {number} Confidence between 0 and 1
+ */
+function scoreYaml(code, lines) {
+  if (/[{};]\s*$/m.test(code) || /^\s*(?:import|export|const|let|var|function)\b/m.test(code)) {
+    return 0;
+  }
+  const yamlLines = lineRatio(lines.filter(line => !/^\s*#/.test(line)), /^\s*(?:- )?[\w"'.-]+:(?:\s|$)|^\s*- \S|^---$/);
+  return yamlLines >= 0.8 ? 0.5 + (yamlLines * 0.35) : 0;
+}
+
+/**
+ * Scores code as JSX, JavaScript or TypeScript
+ * @param {string} code - Code to score
+ * @returns {Object} Best { language, confidence } for the script family
+ */
+function scoreScript(code) {
+  const jsSignals = [
+    /\b(?:const|let|var)\s+[\w{[]/,
+    /\bfunction\s*\w*\s*\(/,
+    /=>/,
+    /\b(?:import|export)\s[\s\S]*?\bfrom\s+['"]/,
+    /\brequire\(\s*['"]/,
+    /\bconsole\.\w+\(/,
+    /\b(?:await|async)\b/,
+    /\bmodule\.exports\b/
+  ];
+  const matches = jsSignals.filter(pattern => pattern.test(code)).length;
+  if (matches === 0) {
+    return { language: 'javascript', confidence: 0 };
+  }
+
+  const confidence = Math.min(0.95, 0.45 + (matches * 0.15));
+  const hasJsx = /<[A-Z][\w.]*[\s/>]|return\s*\(?\s*<[a-z]+[\s>]/.test(code);
+  const hasTypes = TYPESCRIPT_PATTERN.test(code);
+
+  if (hasJsx) {
+    return { language: hasTypes ? 'tsx' : 'jsx', confidence };
+  }
+  return { language: hasTypes ? 'typescript' : 'javascript', confidence };
+}
+
+/**
+ * Detectors for languages scored with a single confidence value
+ */
+const DETECTORS = [
+  ['json', scoreJson],
+  ['console', scoreConsole],
+  ['diff', scoreDiff],
+  ['html', scoreHtml],
+  ['css', scoreCss],
+  ['sql', scoreSql],
+  ['yaml', scoreYaml],
+  ['bash', scoreBash]
+];
+
+/**
+ * Detects the language of an unlabeled code block
+ * @param {string} code - Code to classify
+ * @returns {Object} Detected { language, confidence }; 'text' when nothing is confident enough
+ */
+export function detectLanguage(code) {
+  const trimmed = typeof code === 'string' ? code.trim() : '';
+  if (!trimmed) {
+    return { language: 'text', confidence: 0 };
+  }
+
+  const lines = trimmed.split('\n').map(line => line.trimEnd()).filter(Boolean);
+  const candidates = DETECTORS.map(([language, score]) => ({ language, confidence: score(trimmed, lines) }));
+  candidates.push(scoreScript(trimmed));
+
+  const best = candidates.reduce((winner, candidate) => (candidate.confidence > winner.confidence ? candidate : winner));
+  if (best.confidence < MIN_CONFIDENCE) {
+    return { language: 'text', confidence: 0 };
+  }
+
+  return { language: best.language, confidence: Math.round(best.confidence * 100) / 100 };
+}
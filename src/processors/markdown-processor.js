@@ -3,9 +3,20 @@ import path from 'path';
 import markdownIt from 'markdown-it';
 import { getSourceUrl, getScopeAndName, readPackageJson } from '../utils/source-url-manager.js';
 import { createDirectory } from '../utils/directory-manager.js';
-import { generateOutputContent } from '../formatters/output-formatter.js';
+import { generateOutputContent, getOutputExtension, isPackageFileFormat } from '../formatters/output-formatter.js';
 import { extractSnippetsFromTokens } from './snippet-extractor.js';
-import { hasMultipleMarkdownFiles, getReadmeFile, getNonReadmeFiles } from '../utils/package-grouper.js';
+import { extractSnippetsFromSource } from './jsdoc-extractor.js';
+import { extractGuidelinesFromTokens } from './guideline-extractor.js';
+import { extractTablesFromTokens } from './table-extractor.js';
+import { preprocessMdx } from './mdx-preprocessor.js';
+import { resolveTransclusions } from './transclusion-resolver.js';
+import { parseFrontMatter, getDocumentSettings, applyDocumentSettings } from './front-matter-parser.js';
+import { validateSnippets } from './snippet-validator.js';
+import { redactSnippets, redactGuidelines, redactReferences } from './secret-redactor.js';
+import { summarizeDocument } from './description-extractor.js';
+import { isMdxFile, isSourceFile } from '../utils/file-collector.js';
+import { toForwardSlashes } from '../utils/path-utils.js';
+import { hasMultipleMarkdownFiles, getReadmeFile, getNonReadmeFiles, getPackageContext } from '../utils/package-grouper.js';
 
 /**
  * Markdown Processor
@@ -14,45 +25,222 @@ import { hasMultipleMarkdownFiles, getReadmeFile, getNonReadmeFiles } from '../u
  * Handles file parsing, snippet extraction, and output generation.
  */
 
-const md = markdownIt();
+// HTML parsing is required for md2llm directive comments to reach the extractor
+const md = markdownIt({ html: true });
+
+// Summary of documents without a title or paragraph, such as source files
+const EMPTY_SUMMARY = { title: '', description: '' };
 
 /**
  * Processes a markdown file and generates LLM rules output
  * @param {string} filePath - Path to markdown file
  * @param {string} rulesDir - Output directory for generated files
- * @param {string|Object} formatOrOptions - Output format ('md' or 'mdc') or options object
+ * @param {string|Object} formatOrOptions - Output format, such as 'md', 'mdc', 'json' or 'copilot' or options object
+ * @param {Array} [extraSnippets] - Additional snippets to append, e.g. JSDoc examples from the same package
  */
-export function processMarkdownFile(filePath, rulesDir, formatOrOptions = 'md') {
+export function processMarkdownFile(filePath, rulesDir, formatOrOptions = 'md', extraSnippets = []) {
   if (!filePath || !rulesDir) {
     throw new Error('File path and rules directory are required');
   }
 
-  // Read and parse markdown file
-  const markdownContent = readMarkdownFile(filePath);
-  const tokens = md.parse(markdownContent, {});
+  // Normalize format and options
+  const options = normalizeFormatOrOptions(formatOrOptions);
 
-  // Extract snippets from parsed tokens
-  const snippets = extractSnippetsFromTokens(tokens, filePath);
+  // Read the file and extract its snippets, guidelines and tables
+  const extracted = extractDocument(filePath, options);
+  const document = { ...extracted, snippets: [...extracted.snippets, ...extraSnippets] };
 
-  if (snippets.length === 0) {
-    console.log(`No snippets found in ${filePath}`);
+  if (!hasOutput(filePath, document)) {
     return;
   }
 
-  // Normalize format and options
-  const options = normalizeFormatOrOptions(formatOrOptions);
+  writeSnippetsOutput(filePath, rulesDir, document, applyDocumentSettings(options, document.settings));
+}
+
+/**
+ * Checks whether a document produces output, logging why when it does not
+ * @param {string} filePath - Input file path
+ * @param {Object} document - Extracted document with snippets, guidelines, references and settings
+ * @returns {boolean} True if the document should be written
+ */
+function hasOutput(filePath, document) {
+  if (document.settings.skip) {
+    console.log(`Skipping ${filePath} (md2llm.skip in front matter)`);
+    return false;
+  }
+
+  if (document.snippets.length === 0 && document.guidelines.length === 0 && document.references.length === 0) {
+    console.log(`No snippets found in ${filePath}`);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Writes snippets to the output file determined by the input file and package context
+ * @param {string} filePath - Input file path used to name the output
+ * @param {string} rulesDir - Output directory for generated files
+ * @param {Object} document - Extracted content with snippets, guidelines and references to write
+ * @param {Object} options - Normalized options object
+ */
+function writeSnippetsOutput(filePath, rulesDir, document, options) {
   const format = options.format;
 
   // Determine output file information
-  const outputInfo = determineOutputInfo(filePath, rulesDir, format);
+  const outputInfo = {
+    ...determineOutputInfo(filePath, rulesDir, format),
+    guidelines: document.guidelines,
+    references: document.references,
+    package: findPackage(filePath)
+  };
 
   // Generate output content with options
-  const outputContent = generateOutputContent(snippets, outputInfo, format, options);
+  const outputContent = generateOutputContent(document.snippets, outputInfo, format, options);
 
   // Write output file
   writeOutputFile(outputInfo.outputPath, outputContent);
+  recordOutput(filePath, outputInfo, document, options);
+
+  console.log(`Wrote ${describeContent(document)} to ${outputInfo.outputPath}`);
+}
+
+/**
+ * Records a written rule file in the conversion report, for indexes such as llms.txt and AGENTS.md
+ * @param {string} filePath - Input file path
+ * @param {Object} outputInfo - Output file information with outputPath, outputFileName and package
+ * @param {Object} document - Extracted document with its summary and guidelines
+ * @param {Object} options - Options for the document, with the report and any front matter description
+ */
+function recordOutput(filePath, outputInfo, document, options) {
+  if (!options.report || !options.report.outputs) {
+    return;
+  }
+
+  options.report.outputs.push({
+    source: filePath,
+    outputPath: outputInfo.outputPath,
+    title: document.summary.title || outputInfo.outputFileName,
+    description: options.description || document.summary.description,
+    package: outputInfo.package,
+    guidelines: document.guidelines
+  });
+}
+
+/**
+ * Reads a file and extracts its snippets, guidelines, references, summary and front matter settings
+ * Source files are read with JSDoc extraction; documents marked skip are not extracted.
+ * @param {string} filePath - Path to markdown, MDX or source file
+ * @param {Object} options - Normalized options object
+ * @returns {Object} Object with snippets, guidelines and references arrays, the document's summary and settings
+ */
+function extractDocument(filePath, options) {
+  const content = readMarkdownFile(filePath);
+
+  if (isSourceFile(filePath)) {
+    const snippets = extractSnippetsFromSource(content, filePath, options);
+    return {
+      snippets: checkSnippets(snippets, options).map(resolveSource),
+      guidelines: [],
+      references: [],
+      summary: EMPTY_SUMMARY,
+      settings: {}
+    };
+  }
 
-  console.log(`Wrote ${snippets.length} snippets to ${outputInfo.outputPath}`);
+  const frontMatter = parseFrontMatter(content, filePath);
+  const settings = getDocumentSettings(frontMatter.data, filePath);
+  if (settings.skip) {
+    return { snippets: [], guidelines: [], references: [], summary: EMPTY_SUMMARY, settings };
+  }
+
+  const tokens = resolveTransclusions(parseBody(frontMatter.content, filePath), filePath, parseDocument, options.sourceDirs);
+  const snippets = extractSnippetsFromTokens(tokens, filePath, options);
+  const guidelines = options.guidelines ? extractGuidelinesFromTokens(tokens, filePath) : [];
+  const references = options.tables ? extractTablesFromTokens(tokens, filePath, options) : [];
+
+  return {
+    snippets: checkSnippets(snippets, options).map(resolveSource),
+    guidelines: redactGuidelines(guidelines, options).map(resolveSource),
+    references: redactReferences(references, options).map(resolveSource),
+    summary: summarizeDocument(tokens, { filePath, ruleFiles: options.ruleFiles, plain: true }),
+    settings
+  };
+}
+
+/**
+ * Validates snippets and redacts their secrets, recording problems in the conversion report
+ * @param {Array} snippets - Extracted snippets
+ * @param {Object} options - Normalized options object
+ * @returns {Array} Snippets to write
+ */
+function checkSnippets(snippets, options) {
+  return redactSnippets(validateSnippets(snippets, options), options);
+}
+
+/**
+ * Parses markdown or MDX content into tokens, leaving out any front matter
+ * @param {string} content - Document content
+ * @param {string} filePath - Document path, used to recognise MDX
+ * @returns {Array} Parsed markdown tokens
+ */
+function parseDocument(content, filePath) {
+  return parseBody(parseFrontMatter(content, filePath).content, filePath);
+}
+
+/**
+ * Parses markdown or MDX content whose front matter has already been removed into tokens
+ * @param {string} body - Document content without front matter
+ * @param {string} filePath - Document path, used to recognise MDX
+ * @returns {Array} Parsed markdown tokens
+ */
+function parseBody(body, filePath) {
+  return md.parse(isMdxFile(filePath) ? preprocessMdx(body) : body, {});
+}
+
+/**
+ * Resolves the local source path of a snippet, guideline or reference to a source URL linking to its lines
+ * @param {Object} entry - Snippet, guideline or reference with source, lineStart and lineEnd
+ * @returns {Object} Copy of the entry with its source resolved
+ */
+function resolveSource(entry) {
+  return {
+    ...entry,
+    source: getSourceUrl(entry.source, { start: entry.lineStart, end: entry.lineEnd })
+  };
+}
+
+/**
+ * Describes the extracted content written to an output file
+ * @param {Object} document - Extracted content with snippets, guidelines and references
+ * @returns {string} Description such as "3 snippets, 2 guidelines and 1 references"
+ */
+function describeContent(document) {
+  const counts = [`${document.snippets.length} snippets`];
+  if (document.guidelines.length > 0) {
+    counts.push(`${document.guidelines.length} guidelines`);
+  }
+  if (document.references.length > 0) {
+    counts.push(`${document.references.length} references`);
+  }
+
+  const last = counts.pop();
+  return counts.length > 0 ? `${counts.join(', ')} and ${last}` : last;
+}
+
+/**
+ * Gets the document name of an input file, used for output file names and at-tags
+ * @param {string} filePath - Input file path
+ * @returns {string} File name without its markdown, MDX or source extension
+ */
+function getDocumentName(filePath) {
+  const fileName = path.basename(filePath);
+
+  if (isSourceFile(fileName)) {
+    return fileName.replace(/(?:\.d)?\.[^.]+$/, '');
+  }
+
+  return fileName.replace(/\.mdx?$/, '');
 }
 
 /**
@@ -77,7 +265,12 @@ function readMarkdownFile(filePath) {
  * @returns {Object} Output file information
  */
 function determineOutputInfo(filePath, rulesDir, format) {
-  const fileNameWithoutExt = path.basename(filePath, '.md');
+  const packageContext = isPackageFileFormat(format) ? getPackageContext(filePath) : null;
+  if (packageContext) {
+    return determinePackageFileInfo(filePath, packageContext, rulesDir, format);
+  }
+
+  const fileNameWithoutExt = getDocumentName(filePath);
   let outputFileName = fileNameWithoutExt;
   let outputDir = rulesDir;
   let atTag = fileNameWithoutExt;
@@ -91,16 +284,12 @@ function determineOutputInfo(filePath, rulesDir, format) {
 
       if (packageInfo.scope) {
         outputDir = path.join(rulesDir, packageInfo.scope);
-        createDirectory(outputDir);
       }
     }
   }
 
-  const outputExt = format === 'mdc' ? '.mdc' : '.md';
-  const outputPath = path.join(outputDir, `${outputFileName}${outputExt}`);
-
   return {
-    outputPath,
+    outputPath: path.join(outputDir, `${outputFileName}${getOutputExtension(format)}`),
     outputDir,
     outputFileName,
     atTag,
@@ -108,6 +297,45 @@ function determineOutputInfo(filePath, rulesDir, format) {
   };
 }
 
+/**
+ * Determines the output file of a package for formats that write one file per package
+ * The file is named after the package, with its scope joined by a dash, at the root of the
+ * output directory, and applies to the files under the package directory.
+ * @param {string} filePath - Main document of the package
+ * @param {Object} packageContext - Package context with packageJson and packageDir
+ * @param {string} rulesDir - Base rules directory
+ * @param {string} format - Output format
+ * @returns {Object} Output file information with the package's applyTo glob
+ */
+function determinePackageFileInfo(filePath, packageContext, rulesDir, format) {
+  const { scope, name } = getScopeAndName(packageContext.packageJson.name);
+  const outputFileName = scope ? `${scope.slice(1)}-${name}` : name;
+
+  return {
+    outputPath: path.join(rulesDir, `${outputFileName}${getOutputExtension(format)}`),
+    outputDir: rulesDir,
+    outputFileName,
+    atTag: name,
+    source: getSourceUrl(filePath),
+    applyTo: getPackageGlob(packageContext.packageDir)
+  };
+}
+
+/**
+ * Builds a glob matching the files of a package, relative to the working directory
+ * @param {string} packageDir - Package directory
+ * @returns {string} Glob such as "packages/client/**", or "**" for the working directory or outside it
+ */
+function getPackageGlob(packageDir) {
+  const relative = toForwardSlashes(path.relative(process.cwd(), path.resolve(packageDir)));
+
+  if (!relative || relative.startsWith('../') || relative === '..' || path.isAbsolute(relative)) {
+    return '**';
+  }
+
+  return `${relative}/**`;
+}
+
 /**
  * Checks if file is a package README.md
  * @param {string} filePath - File path to check
@@ -134,6 +362,16 @@ function extractPackageInfo(filePath) {
   return getScopeAndName(packageJson.name);
 }
 
+/**
+ * Finds the package a document belongs to, for structured output records
+ * @param {string} filePath - Document path
+ * @returns {Object|null} Package scope and name, or null if the document is not in a package
+ */
+function findPackage(filePath) {
+  const packageContext = getPackageContext(filePath);
+  return packageContext ? getScopeAndName(packageContext.packageJson.name) : null;
+}
+
 /**
  * Writes output content to file
  * @param {string} outputPath - Path to output file
@@ -152,48 +390,166 @@ function writeOutputFile(outputPath, content) {
   }
 }
 
+/**
+ * Maps each markdown document to the rule file it is converted to
+ * Links between documents are pointed at these rule files.
+ * @param {Array} packageGroups - Grouped package files
+ * @param {string[]} standaloneFiles - Standalone files
+ * @param {string} rulesDir - Output directory for generated files
+ * @param {string} format - Output format
+ * @returns {Map} Absolute rule file paths by absolute document path
+ */
+export function mapRuleFiles(packageGroups, standaloneFiles, rulesDir, format) {
+  const ruleFiles = new Map();
+  const addRuleFile = (filePath, outputPath) => ruleFiles.set(path.resolve(filePath), path.resolve(outputPath));
+
+  for (const packageGroup of packageGroups) {
+    const documents = packageGroup.files.filter(file => !isSourceFile(file));
+
+    if (hasMultipleMarkdownFiles(packageGroup) && !isPackageFileFormat(format)) {
+      const { packageDir } = determinePackageOutputInfo(packageGroup.packageInfo.packageJson, rulesDir, format);
+      documents.forEach(filePath => {
+        addRuleFile(filePath, path.join(packageDir, `${getDocumentName(filePath)}${getOutputExtension(format)}`));
+      });
+    } else {
+      documents.forEach(filePath => addRuleFile(filePath, determineOutputInfo(filePath, rulesDir, format).outputPath));
+    }
+  }
+
+  standaloneFiles.forEach(filePath => addRuleFile(filePath, determineOutputInfo(filePath, rulesDir, format).outputPath));
+  return ruleFiles;
+}
+
 /**
  * Processes multiple markdown files from a package
  * @param {Object} packageGroup - Package group containing multiple files
  * @param {string} rulesDir - Output directory for generated files
- * @param {string|Object} formatOrOptions - Output format ('md' or 'mdc') or options object
+ * @param {string|Object} formatOrOptions - Output format, such as 'md', 'mdc', 'json' or 'copilot' or options object
  */
 export function processPackageMarkdownFiles(packageGroup, rulesDir, formatOrOptions = 'md') {
   if (!packageGroup || !rulesDir) {
     throw new Error('Package group and rules directory are required');
   }
 
-  const { packageInfo, files } = packageGroup;
-  const packageJson = packageInfo.packageJson;
+  const { files } = packageGroup;
 
   // Normalize format and options
   const options = normalizeFormatOrOptions(formatOrOptions);
-  const format = options.format;
+
+  // JSDoc examples from source files are appended to the package's main document
+  const documents = files.filter(file => !isSourceFile(file));
+  const sourceSnippets = files.filter(isSourceFile).flatMap(file => extractDocument(file, options).snippets);
+
+  // Formats with one file per package combine all of the package's documents
+  if (isPackageFileFormat(options.format)) {
+    processCombinedPackage(packageGroup, documents, rulesDir, { options, sourceSnippets });
+    return;
+  }
 
   // If only one file (README.md), use existing single-file logic
   if (!hasMultipleMarkdownFiles(packageGroup)) {
-    const singleFile = files[0];
-    processMarkdownFile(singleFile, rulesDir, options);
+    processSingleDocumentPackage(packageGroup, documents[0], rulesDir, { options, sourceSnippets });
     return;
   }
 
   // Multiple files - create directory structure
-  console.log(`Processing ${files.length} markdown files for package ${packageJson.name}`);
+  processMultiDocumentPackage(packageGroup, documents, rulesDir, { options, sourceSnippets });
+}
+
+/**
+ * Processes a package with multiple markdown documents into a package directory
+ * @param {Object} packageGroup - Package group
+ * @param {string[]} documents - The package's markdown documents
+ * @param {string} rulesDir - Output directory for generated files
+ * @param {Object} context - Normalized options and JSDoc snippets from the package's source files
+ */
+function processMultiDocumentPackage(packageGroup, documents, rulesDir, context) {
+  const { options, sourceSnippets } = context;
+  const packageJson = packageGroup.packageInfo.packageJson;
+
+  console.log(`Processing ${documents.length} markdown files for package ${packageJson.name}`);
 
   // Determine package output directory
-  const packageOutputInfo = determinePackageOutputInfo(packageJson, rulesDir, format);
+  const packageOutputInfo = determinePackageOutputInfo(packageJson, rulesDir, options.format);
   createDirectory(packageOutputInfo.packageDir);
 
   // Process each file in the package
+  const mainDocument = getReadmeFile(packageGroup) || documents[0];
   let totalSnippets = 0;
-  for (const filePath of files) {
-    const snippetCount = processFileInPackageDirectory(filePath, packageOutputInfo, options);
+  for (const filePath of documents) {
+    const extraSnippets = filePath === mainDocument ? sourceSnippets : [];
+    const snippetCount = processFileInPackageDirectory(filePath, packageOutputInfo, options, extraSnippets);
     totalSnippets += snippetCount;
   }
 
   console.log(`Wrote ${totalSnippets} total snippets for package ${packageJson.name} to ${packageOutputInfo.packageDir}`);
 }
 
+/**
+ * Processes a package with at most one markdown document
+ * Packages documented only by JSDoc examples are written as if they had a README,
+ * so the output is still named after the package.
+ * @param {Object} packageGroup - Package group
+ * @param {string|undefined} document - The package's markdown document, if any
+ * @param {string} rulesDir - Output directory for generated files
+ * @param {Object} context - Normalized options and JSDoc snippets from the package's source files
+ */
+function processSingleDocumentPackage(packageGroup, document, rulesDir, context) {
+  const { options, sourceSnippets } = context;
+
+  if (document) {
+    processMarkdownFile(document, rulesDir, options, sourceSnippets);
+    return;
+  }
+
+  if (sourceSnippets.length === 0) {
+    console.log(`No snippets found in package ${packageGroup.packageInfo.packageJson.name}`);
+    return;
+  }
+
+  const readmePath = path.join(packageGroup.packageInfo.packageDir, 'README.md');
+  const summary = { title: '', description: packageGroup.packageInfo.packageJson.description || '' };
+  writeSnippetsOutput(readmePath, rulesDir, { snippets: sourceSnippets, guidelines: [], references: [], summary }, options);
+}
+
+/**
+ * Processes all documents of a package into one rule file named after the package
+ * The main document comes first and its front matter settings apply to the whole file;
+ * documents that are skipped in their front matter or have no content are left out.
+ * @param {Object} packageGroup - Package group
+ * @param {string[]} documents - The package's markdown documents
+ * @param {string} rulesDir - Output directory for generated files
+ * @param {Object} context - Normalized options and JSDoc snippets from the package's source files
+ */
+function processCombinedPackage(packageGroup, documents, rulesDir, context) {
+  const { options, sourceSnippets } = context;
+  const { packageJson, packageDir } = packageGroup.packageInfo;
+  const mainDocument = getReadmeFile(packageGroup) || documents[0];
+  const ordered = mainDocument ? [mainDocument, ...documents.filter(filePath => filePath !== mainDocument)] : [];
+
+  const extracted = ordered
+    .map(filePath => ({ filePath, ...extractDocument(filePath, options) }))
+    .filter(part => hasOutput(part.filePath, part));
+  const main = extracted[0] || {
+    summary: { title: '', description: packageJson.description || '' },
+    settings: {}
+  };
+  const document = {
+    snippets: [...extracted.flatMap(part => part.snippets), ...sourceSnippets],
+    guidelines: extracted.flatMap(part => part.guidelines),
+    references: extracted.flatMap(part => part.references),
+    summary: main.summary,
+    settings: main.settings
+  };
+
+  if (!hasOutput(`package ${packageJson.name}`, document)) {
+    return;
+  }
+
+  const outputFilePath = mainDocument || path.join(packageDir, 'README.md');
+  writeSnippetsOutput(outputFilePath, rulesDir, document, applyDocumentSettings(options, document.settings));
+}
+
 /**
  * Determines output directory information for a package with multiple files
  * @param {Object} packageJson - Package.json content
@@ -224,29 +580,24 @@ function determinePackageOutputInfo(packageJson, rulesDir, format) {
  * @param {string} filePath - Path to markdown file
  * @param {Object} packageOutputInfo - Package output information
  * @param {string|Object} formatOrOptions - Output format or options object
+ * @param {Array} [extraSnippets] - Additional snippets to append to this file's output
  * @returns {number} Number of snippets processed
  */
-function processFileInPackageDirectory(filePath, packageOutputInfo, formatOrOptions) {
-  // Read and parse markdown file
-  const markdownContent = readMarkdownFile(filePath);
-  const tokens = md.parse(markdownContent, {});
+function processFileInPackageDirectory(filePath, packageOutputInfo, formatOrOptions, extraSnippets = []) {
+  // Normalize format and options
+  const options = normalizeFormatOrOptions(formatOrOptions);
 
-  // Extract snippets from parsed tokens
-  const snippets = extractSnippetsFromTokens(tokens, filePath);
+  // Read the file and extract its snippets, guidelines and tables
+  const extracted = extractDocument(filePath, options);
+  const document = { ...extracted, snippets: [...extracted.snippets, ...extraSnippets] };
 
-  if (snippets.length === 0) {
-    console.log(`No snippets found in ${filePath}`);
+  if (!hasOutput(filePath, document)) {
     return 0;
   }
 
-  // Normalize format and options
-  const options = normalizeFormatOrOptions(formatOrOptions);
-  const format = options.format;
-
   // Determine output file name based on original file
-  const fileNameWithoutExt = path.basename(filePath, '.md');
-  const outputExt = format === 'mdc' ? '.mdc' : '.md';
-  const outputFileName = `${fileNameWithoutExt}${outputExt}`;
+  const fileNameWithoutExt = getDocumentName(filePath);
+  const outputFileName = `${fileNameWithoutExt}${getOutputExtension(options.format)}`;
   const outputPath = path.join(packageOutputInfo.packageDir, outputFileName);
 
   const outputInfo = {
@@ -254,15 +605,20 @@ function processFileInPackageDirectory(filePath, packageOutputInfo, formatOrOpti
     outputDir: packageOutputInfo.packageDir,
     outputFileName: fileNameWithoutExt,
     atTag: fileNameWithoutExt,
-    source: getSourceUrl(filePath)
+    source: getSourceUrl(filePath),
+    guidelines: document.guidelines,
+    references: document.references,
+    package: { name: packageOutputInfo.packageName, scope: packageOutputInfo.packageScope }
   };
 
   // Generate and write output content with options
-  const outputContent = generateOutputContent(snippets, outputInfo, format, options);
+  const documentOptions = applyDocumentSettings(options, document.settings);
+  const outputContent = generateOutputContent(document.snippets, outputInfo, options.format, documentOptions);
   writeOutputFile(outputPath, outputContent);
+  recordOutput(filePath, outputInfo, document, documentOptions);
 
-  console.log(`  Wrote ${snippets.length} snippets from ${path.basename(filePath)} to ${outputFileName}`);
-  return snippets.length;
+  console.log(`  Wrote ${describeContent(document)} from ${path.basename(filePath)} to ${outputFileName}`);
+  return document.snippets.length;
 }
 
 /**
@@ -275,11 +631,10 @@ function normalizeFormatOrOptions(formatOrOptions) {
     return { format: formatOrOptions };
   }
 
-  if (typeof formatOrOptions === 'object' && formatOrOptions !== null) {
+  if (typeof formatOrOptions === 'object' && formatOrOptions != null) {
     return {
-      format: formatOrOptions.format || 'md',
-      alwaysApply: formatOrOptions.alwaysApply,
-      applyGlob: formatOrOptions.applyGlob
+      ...formatOrOptions,
+      format: formatOrOptions.format || 'md'
     };
   }
 
@@ -0,0 +1,279 @@
+/**
+ * MDX Preprocessor
+ *
+ * Turns MDX documents into plain markdown before they are parsed.
+ * ESM import/export statements and JSX component tags are blanked so markdown-it
+ * does not treat them as text, while fenced code is kept verbatim. Code-bearing
+ * components are converted to fences: <CodeBlock language="tsx"> becomes a tsx fence, as does
+ * a self-closing <CodeBlock code="..." /> with its code in a string attribute, and the label
+ * of a <TabItem> becomes the title of the fences inside it.
+ * Blanked statements and tags are replaced by empty lines rather than removed,
+ * so snippet line numbers still point at the MDX source.
+ */
+
+/**
+ * Matches the opening line of a fenced code block
+ */
+const FENCE_OPEN_PATTERN = /^(\s*)(`{3,}|~{3,})(.*)$/;
+
+/**
+ * Matches the start of a top-level ESM statement
+ */
+const ESM_PATTERN = /^(?:import|export)\s/;
+
+/**
+ * Matches a line that opens or closes a JSX component or fragment
+ */
+const JSX_TAG_PATTERN = /^\s*<\/?(?:[A-Z][\w.]*|>)/;
+
+/**
+ * Matches a line that is only an MDX expression comment, e.g. {/* note *\/}
+ */
+const JSX_COMMENT_PATTERN = /^\s*\{\/\*[\s\S]*\*\/\}\s*$/;
+
+/**
+ * Components whose children are code
+ */
+const CODE_COMPONENT_PATTERN = /^\s*<(CodeBlock|Code)\b([^>]*)>(.*)$/;
+
+/**
+ * Matches opening and closing JSX tags and fragments within a line
+ */
+const INLINE_TAG_PATTERN = /<\/?(?:[A-Z][\w.]*[^>]*)?>/g;
+
+/**
+ * Change in {expression} depth for each brace
+ */
+const BRACE_DEPTH = { '{': 1, '}': -1 };
+
+/**
+ * Components whose label titles the code inside them
+ */
+const TAB_COMPONENT_PATTERN = /^\s*<(TabItem|Tab)\b([^>]*)>/;
+
+/**
+ * Converts MDX content to markdown that markdown-it can parse
+ * @param {string} content - MDX document content
+ * @returns {string} Markdown content
+ */
+export function preprocessMdx(content) {
+  if (!content || typeof content !== 'string') {
+    return '';
+  }
+
+  const lines = content.split('\n');
+  const output = [];
+  const state = { tabLabel: '' };
+  let index = 0;
+
+  while (index < lines.length) {
+    const consumed = processLine(lines, index, state);
+    output.push(...consumed.lines);
+    index = consumed.nextIndex;
+  }
+
+  return output.join('\n');
+}
+
+/**
+ * Processes the construct starting at a line
+ * @param {string[]} lines - Document lines
+ * @param {number} index - Index of the current line
+ * @param {Object} state - Preprocessing state with the current tab label
+ * @returns {Object} Output lines and the index of the next unprocessed line
+ */
+function processLine(lines, index, state) {
+  const line = lines[index];
+
+  if (FENCE_OPEN_PATTERN.test(line)) {
+    return copyFence(lines, index, state.tabLabel);
+  }
+
+  if (ESM_PATTERN.test(line)) {
+    return blankStatement(lines, index);
+  }
+
+  if (CODE_COMPONENT_PATTERN.test(line)) {
+    return convertCodeComponent(lines, index);
+  }
+
+  const tabMatch = line.match(TAB_COMPONENT_PATTERN);
+  if (tabMatch) {
+    const attributes = tabMatch[2];
+    state.tabLabel = getAttribute(attributes, 'label') || getAttribute(attributes, 'title') || getAttribute(attributes, 'value');
+  } else if (/^\s*<\/(?:TabItem|Tab)>/.test(line)) {
+    state.tabLabel = '';
+  }
+
+  if (JSX_TAG_PATTERN.test(line)) {
+    return blankTag(lines, index);
+  }
+
+  return { lines: [JSX_COMMENT_PATTERN.test(line) ? '' : line], nextIndex: index + 1 };
+}
+
+/**
+ * Copies a fenced code block verbatim, labelling it with the enclosing tab label
+ * The label is kept as the fence's tab attribute, and titles fences without a title.
+ * The fence is dedented so fences indented inside components stay fences.
+ * @param {string[]} lines - Document lines
+ * @param {number} index - Index of the opening fence line
+ * @param {string} tabLabel - Label of the enclosing tab, if any
+ * @returns {Object} Output lines and the index of the next unprocessed line
+ */
+function copyFence(lines, index, tabLabel) {
+  const [, indent, marker, info] = lines[index].match(FENCE_OPEN_PATTERN);
+  const hasTitle = /\b(?:title|filename)=/.test(info) || /\[[^\]]*\]/.test(info);
+  const openInfo = tabLabel ? `${info.trim()}${hasTitle ? '' : ` title="${tabLabel}"`} tab="${tabLabel}"` : info;
+  const output = [`${marker}${openInfo}`];
+  const closePattern = new RegExp(`^\\s*${marker[0]}{${marker.length},}\\s*$`);
+
+  let next = index + 1;
+  while (next < lines.length) {
+    const line = lines[next];
+    output.push(line.startsWith(indent) ? line.slice(indent.length) : line.trimStart());
+    next++;
+    if (closePattern.test(line)) {
+      break;
+    }
+  }
+
+  return { lines: output, nextIndex: next };
+}
+
+/**
+ * Blanks a possibly multi-line ESM statement
+ * The statement ends on the first line where its brackets are balanced.
+ * @param {string[]} lines - Document lines
+ * @param {number} index - Index of the statement's first line
+ * @returns {Object} Blank output lines and the index of the next unprocessed line
+ */
+function blankStatement(lines, index) {
+  let depth = 0;
+  let next = index;
+
+  do {
+    depth += countBrackets(lines[next]);
+    next++;
+  } while (next < lines.length && depth > 0);
+
+  return { lines: new Array(next - index).fill(''), nextIndex: next };
+}
+
+/**
+ * Blanks a JSX tag, following its attributes across lines until the tag closes
+ * Text after the tag on its last line, as in `<Note>Use this carefully.`, is kept without any
+ * further tags on that line.
+ * @param {string[]} lines - Document lines
+ * @param {number} index - Index of the tag's first line
+ * @returns {Object} Output lines and the index of the next unprocessed line
+ */
+function blankTag(lines, index) {
+  const end = findTagEnd(lines, index);
+  const rest = lines[end.line].slice(end.column + 1).replace(INLINE_TAG_PATTERN, '').trim();
+
+  return { lines: [...new Array(end.line - index).fill(''), rest], nextIndex: end.line + 1 };
+}
+
+/**
+ * Finds the `>` that closes a JSX tag, skipping any inside {expressions} such as arrow functions
+ * @param {string[]} lines - Document lines
+ * @param {number} index - Index of the tag's first line
+ * @returns {Object} Line index and column of the closing `>`, or the end of the document when the tag never closes
+ */
+function findTagEnd(lines, index) {
+  let depth = 0;
+
+  for (let line = index; line < lines.length; line++) {
+    const text = lines[line];
+    for (let column = line === index ? text.indexOf('<') : 0; column < text.length; column++) {
+      depth += BRACE_DEPTH[text[column]] || 0;
+      if (text[column] === '>' && depth === 0) {
+        return { line, column };
+      }
+    }
+  }
+
+  return { line: lines.length - 1, column: lines[lines.length - 1].length };
+}
+
+/**
+ * Converts a <CodeBlock> component into a fenced code block
+ * Code passed as a template literal child, {`...`}, is unwrapped. A self-closing component
+ * takes its code from a string code attribute, and is blanked when it has none.
+ * @param {string[]} lines - Document lines
+ * @param {number} index - Index of the component's opening line
+ * @returns {Object} Output lines and the index of the next unprocessed line
+ */
+function convertCodeComponent(lines, index) {
+  const [, component, attributes, rest] = lines[index].match(CODE_COMPONENT_PATTERN);
+  if (/\/\s*$/.test(attributes)) {
+    const code = getAttribute(attributes, 'code');
+    return { lines: code ? [`\`\`\`${getFenceInfo(attributes)}`, code, '```'] : [''], nextIndex: index + 1 };
+  }
+
+  const closeTag = `</${component}>`;
+  const body = [rest];
+
+  let next = index;
+  while (!body[body.length - 1].includes(closeTag) && next < lines.length - 1) {
+    next++;
+    body.push(lines[next]);
+  }
+
+  const code = unwrapTemplateLiteral(body.join('\n').split(closeTag)[0]);
+  const fence = [`\`\`\`${getFenceInfo(attributes)}`, ...code.split('\n'), '```'];
+
+  // Pad with blank lines so the lines after the component keep their line numbers
+  const padding = Math.max(0, next + 1 - index - fence.length);
+  return { lines: [...fence, ...new Array(padding).fill('')], nextIndex: next + 1 };
+}
+
+/**
+ * Builds a fence info string from the language and title attributes of a code component
+ * @param {string} attributes - Raw attribute string
+ * @returns {string} Fence info string
+ */
+function getFenceInfo(attributes) {
+  const language = getAttribute(attributes, 'language') || getAttribute(attributes, 'lang');
+  const title = getAttribute(attributes, 'title');
+  return title ? `${language} title="${title}"` : language;
+}
+
+/**
+ * Removes a surrounding {`...`} template literal from component children
+ * @param {string} text - Component children
+ * @returns {string} Code without the wrapper and surrounding blank lines
+ */
+function unwrapTemplateLiteral(text) {
+  const trimmed = text.replace(/^\s*\n|\n\s*$/g, '');
+  const literal = trimmed.trim().match(/^\{\s*`([\s\S]*)`\s*\}$/);
+
+  if (!literal) {
+    return trimmed;
+  }
+
+  return literal[1].replace(/^\n|\n$/g, '').replace(/\\`/g, '`');
+}
+
+/**
+ * Reads a string attribute from a JSX attribute list
+ * @param {string} attributes - Raw attribute string
+ * @param {string} name - Attribute name
+ * @returns {string} Attribute value or empty string
+ */
+function getAttribute(attributes, name) {
+  const match = (attributes || '').match(new RegExp(`\\b${name}=(?:"([^"]*)"|'([^']*)'|\\{["'\`]([^"'\`]*)["'\`]\\})`));
+  return match ? (match[1] ?? match[2] ?? match[3]).trim() : '';
+}
+
+/**
+ * Counts the net number of opened brackets on a line
+ * @param {string} line - Line to count
+ * @returns {number} Opened minus closed brackets
+ */
+function countBrackets(line) {
+  const opened = (line.match(/[{[(]/g) || []).length;
+  const closed = (line.match(/[}\])]/g) || []).length;
+  return opened - closed;
+}
@@ -0,0 +1,285 @@
+import { getSourceLine, formatLocation } from './snippet-validator.js';
+
+/**
+ * Secret Redactor
+ *
+ * Replaces API keys, tokens, private keys, passwords, email addresses and internal
+ * host names in snippets, guidelines and tables with placeholders such as `<API_KEY>`, so realistic-looking
+ * credentials in documentation do not end up in committed rules files. Host names are only
+ * matched after `//`, `@`, `=` or a quote, so property access such as `state.local` is kept.
+ * Values that already look like placeholders (`<token>`, `${API_KEY}`, `your-api-key`,
+ * `process.env.TOKEN`) and example addresses (`@example.com`) are left alone.
+ */
+
+/**
+ * Builds a pattern for values assigned to keys with secret-sounding names
+ * Quoted values may follow `:` or `=`; unquoted values only `KEY=value`, as in shell and .env files.
+ * @param {string} keys - Alternation of key name endings
+ * @returns {RegExp} Pattern whose quoted or bare group is the secret
+ */
+function assignmentPattern(keys) {
+  return new RegExp(
+    `\\b[\\w-]*?(?:${keys})["']?(?:\\s*[:=]\\s*(["'\`])(?<quoted>[^"'\`\\s]{6,})\\1|=(?<bare>[^\\s"'\`;,)]{6,}))`,
+    'gi'
+  );
+}
+
+/**
+ * Built-in detectors, most specific first; each match is replaced by `<name>`
+ * Named groups mark the secret within a match, leaving the rest (e.g. `Bearer `) in place.
+ */
+const SECRET_DETECTORS = [
+  { name: 'PRIVATE_KEY', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { name: 'AWS_ACCESS_KEY', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'GITHUB_TOKEN', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_\w{40,})\b/g },
+  { name: 'SLACK_TOKEN', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+  { name: 'API_KEY', pattern: /\b(?:[rs]k_(?:live|test)_[A-Za-z0-9]{16,}|sk-[A-Za-z0-9_-]{20,}|AIza[0-9A-Za-z_-]{35})/g },
+  { name: 'JWT', pattern: /\beyJ[\w-]+\.eyJ[\w-]+\.[\w-]+/g },
+  { name: 'TOKEN', pattern: /\b(?:Bearer|Token)\s+(?<secret>[A-Za-z0-9._~+/-]{16,}=*)/g },
+  { name: 'PASSWORD', pattern: assignmentPattern('password|passwd|pwd') },
+  { name: 'API_KEY', pattern: assignmentPattern('api[_-]?key') },
+  { name: 'SECRET', pattern: assignmentPattern('secret|token|access[_-]?key|private[_-]?key|credentials?') },
+  {
+    name: 'EMAIL',
+    pattern: /\b[A-Za-z0-9._%+-]+@(?:[A-Za-z0-9-]+\.)+(?:[A-Za-z]{2}|com|org|net|edu|gov|info|biz|dev|app)\b(?!\.\w)/g
+  },
+  {
+    name: 'INTERNAL_HOST',
+    pattern: /(?<=\/\/|@|["'`=])(?:[a-z0-9-]+\.)+(?:internal|corp|intranet|lan|local)\b(?![(-]|\.\w)/gi
+  }
+];
+
+/**
+ * Values that are never redacted: placeholders, environment lookups and reserved example domains
+ */
+const ALLOWED_VALUES = [
+  /^(?:<[^>]+>|\$\{?\w+\}?|\{\{.*\}\}|\*+|x+|\.{3}|…)$/i,
+  /process\.env|os\.environ|getenv|your[_-]|example|placeholder|changeme|dummy|redacted|xxxx/i,
+  /@(?:[\w-]+\.)*(?:example\.(?:com|org|net)|[\w-]+\.(?:test|example|invalid|localhost))$/i,
+  /^git@/
+];
+
+/**
+ * Snippet fields that are redacted, on the snippet itself and on each variant
+ */
+const REDACTED_FIELDS = ['code', 'output', 'description'];
+
+/**
+ * Guideline fields that are redacted
+ */
+const GUIDELINE_FIELDS = ['text'];
+
+/**
+ * Table reference row fields that are redacted
+ */
+const REFERENCE_ROW_FIELDS = ['key', 'type', 'default', 'description'];
+
+/**
+ * Replaces secrets in text with placeholders
+ * @param {string} text - Text to redact
+ * @param {Object} [options] - Redaction options
+ * @param {Array} [options.redactPatterns] - Extra detectors, each with a name and a global pattern
+ * @param {RegExp[]} [options.redactAllow] - Patterns of values that must not be redacted
+ * @returns {Object} Object with the redacted text and redactions in line order, each with
+ *   the detector name and the 1-based line of the secret
+ */
+export function redactSecrets(text, options = {}) {
+  if (!text || typeof text !== 'string') {
+    return { text: text || '', redactions: [] };
+  }
+
+  const detectors = [...SECRET_DETECTORS, ...(options.redactPatterns || [])];
+  const allowed = [...ALLOWED_VALUES, ...(options.redactAllow || [])];
+  const redactions = [];
+  let lineOrigins = text.split('\n').map((line, index) => index + 1);
+
+  const redacted = detectors.reduce((current, detector) => {
+    const result = replaceSecrets(current, detector, allowed, lineOrigins);
+    redactions.push(...result.redactions);
+    lineOrigins = result.lineOrigins;
+    return result.text;
+  }, text);
+
+  return { text: redacted, redactions: redactions.sort((a, b) => a.line - b.line) };
+}
+
+/**
+ * Replaces the secrets one detector finds
+ * Multi-line secrets such as private keys collapse to a single line, so lines are tracked back
+ * to the original text to report later secrets where they were written.
+ * @param {string} text - Text redacted by the previous detectors
+ * @param {Object} detector - Detector with a name and a global pattern
+ * @param {RegExp[]} allowed - Patterns of values that must not be redacted
+ * @param {number[]} lineOrigins - 1-based original line of each line of the text
+ * @returns {Object} Object with the redacted text, its redactions and the original line of each of its lines
+ */
+function replaceSecrets(text, { name, pattern }, allowed, lineOrigins) {
+  const redactions = [];
+  const collapsed = new Set();
+
+  const redacted = text.replace(pattern, (...args) => {
+    const [match, offset, secret] = parseReplacement(args);
+    if (allowed.some(allow => allow.test(secret))) {
+      return match;
+    }
+
+    const start = match.lastIndexOf(secret);
+    const line = text.slice(0, offset + start).split('\n').length;
+    redactions.push({ name, line: lineOrigins[line - 1] });
+    secret.split('\n').slice(1).forEach((part, index) => collapsed.add(line + index));
+    return `${match.slice(0, start)}<${name}>${match.slice(start + secret.length)}`;
+  });
+
+  return { text: redacted, redactions, lineOrigins: lineOrigins.filter((origin, index) => !collapsed.has(index)) };
+}
+
+/**
+ * Reads the match, its offset and the secret part from String.prototype.replace arguments
+ * @param {Array} args - Replacer arguments
+ * @returns {Array} Match, offset and secret, which is the first named group that matched or the whole match
+ */
+function parseReplacement(args) {
+  const hasGroups = typeof args[args.length - 1] === 'object' && args[args.length - 1] != null;
+  const groups = hasGroups ? args[args.length - 1] : {};
+  const offset = args[args.length - (hasGroups ? 3 : 2)];
+  const secret = Object.values(groups).find(value => value != null);
+
+  return [args[0], offset, secret || args[0]];
+}
+
+/**
+ * Redacts secrets in snippets and records each redaction in the conversion report
+ * Secrets are reported by file, line and kind, never by value.
+ * @param {Array} snippets - Snippets to redact
+ * @param {Object} options - Redaction options
+ * @param {boolean} [options.redact] - Whether to redact snippets at all
+ * @param {Array} [options.redactPatterns] - Extra detectors
+ * @param {RegExp[]} [options.redactAllow] - Patterns of values that must not be redacted
+ * @param {Object} [options.report] - Conversion report collecting redactions
+ * @returns {Array} Redacted snippets
+ */
+export function redactSnippets(snippets, options = {}) {
+  if (!options.redact) {
+    return snippets;
+  }
+
+  return snippets.map(snippet => redactSnippet(snippet, options));
+}
+
+/**
+ * Redacts secrets in guidelines and records each redaction in the conversion report
+ * @param {Array} guidelines - Guidelines to redact
+ * @param {Object} options - Redaction options, as for redactSnippets
+ * @returns {Array} Redacted guidelines
+ */
+export function redactGuidelines(guidelines, options = {}) {
+  if (!options.redact) {
+    return guidelines;
+  }
+
+  return guidelines.map(guideline => {
+    const { redacted, redactions } = redactFields(guideline, options, GUIDELINE_FIELDS);
+    const entry = { ...guideline, title: describeEntry('Guideline', guideline) };
+    redactions.forEach(redaction => recordRedaction(entry, redaction, options.report));
+    return redacted;
+  });
+}
+
+/**
+ * Redacts secrets in the rows of table references and records each redaction in the conversion report
+ * @param {Array} references - Table references to redact
+ * @param {Object} options - Redaction options, as for redactSnippets
+ * @returns {Array} Redacted references
+ */
+export function redactReferences(references, options = {}) {
+  if (!options.redact) {
+    return references;
+  }
+
+  return references.map(reference => {
+    const entry = { ...reference, title: describeEntry('Table', reference) };
+    const rows = reference.rows.map(row => {
+      const { redacted, redactions } = redactFields(row, options, REFERENCE_ROW_FIELDS);
+      redactions.forEach(redaction => recordRedaction(entry, redaction, options.report));
+      return redacted;
+    });
+
+    return { ...reference, rows };
+  });
+}
+
+/**
+ * Describes a guideline or table for the report, by the headings it is under
+ * @param {string} kind - Kind of entry, such as "Guideline"
+ * @param {Object} entry - Guideline or reference with its heading breadcrumb as context
+ * @returns {string} Description such as "Table under Setup > Options"
+ */
+function describeEntry(kind, entry) {
+  return entry.context ? `${kind} under ${entry.context}` : kind;
+}
+
+/**
+ * Redacts a snippet and its variants
+ * A grouped snippet's code and output repeat its first variant's, so only the variants' are reported.
+ * @param {Object} snippet - Snippet to redact
+ * @param {Object} options - Redaction options
+ * @returns {Object} Redacted copy of the snippet
+ */
+function redactSnippet(snippet, options) {
+  const { redacted, redactions } = redactFields(snippet, options);
+  const reported = snippet.variants ? redactions.filter(redaction => redaction.field === 'description') : redactions;
+  reported.forEach(redaction => recordRedaction(snippet, redaction, options.report));
+
+  if (snippet.variants) {
+    redacted.variants = snippet.variants.map(variant => {
+      const result = redactFields(variant, options);
+      result.redactions.forEach(redaction => recordRedaction({ ...snippet, ...variant }, redaction, options.report));
+      return result.redacted;
+    });
+  }
+
+  return redacted;
+}
+
+/**
+ * Redacts the text fields of a snippet, variant, guideline or table row
+ * @param {Object} target - Object to redact
+ * @param {Object} options - Redaction options
+ * @param {string[]} [fields] - Fields to redact, the snippet fields by default
+ * @returns {Object} Object with the redacted copy and its redactions, each with the field it was found in
+ */
+function redactFields(target, options, fields = REDACTED_FIELDS) {
+  const redacted = { ...target };
+  const redactions = [];
+
+  fields.filter(field => typeof target[field] === 'string').forEach(field => {
+    const result = redactSecrets(target[field], options);
+    redacted[field] = result.text;
+    redactions.push(...result.redactions.map(redaction => ({ ...redaction, field })));
+  });
+
+  return { redacted, redactions };
+}
+
+/**
+ * Records a redaction in the report, or warns when there is no report
+ * @param {Object} snippet - Redacted snippet, merged with the variant when one was redacted, or the
+ *   guideline or table with a title describing it
+ * @param {Object} redaction - Redaction with name, field and line within the field
+ * @param {Object} [report] - Conversion report
+ */
+function recordRedaction(snippet, redaction, report) {
+  const record = {
+    source: snippet.source,
+    line: redaction.field === 'code' ? getSourceLine(snippet, redaction.line) : snippet.lineStart,
+    title: snippet.label ? `${snippet.title} (${snippet.label})` : snippet.title,
+    name: redaction.name
+  };
+
+  if (report) {
+    report.redactions.push(record);
+    return;
+  }
+
+  console.warn(`Warning: Redacted ${record.name} at ${formatLocation(record)}`);
+}
@@ -0,0 +1,93 @@
+/**
+ * Shell Session Parser
+ *
+ * Splits shell session transcripts into the commands that were typed and the output
+ * they printed. Prompts such as `$ `, `% `, `user@host:~$ `, `(venv) $ ` or `PS C:\> `
+ * are stripped, so commands can be copied as they are.
+ */
+
+/**
+ * Languages whose code blocks may be shell sessions
+ */
+const SESSION_LANGUAGES = ['console', 'bash', 'powershell'];
+
+/**
+ * Matches a prompt at the start of a line, with an optional virtualenv or conda prefix.
+ * Prompt characters must be followed by whitespace, so `$HOME` is not a prompt.
+ */
+const PROMPT_PATTERN = /^\s*(?:\([\w.-]+\)\s+)?(?:PS [^>\n]*>|[\w.-]+@[\w.-]+(?::[^$#\s]*)?[$#]|[$%❯])(?:\s+|$)/;
+
+/**
+ * Checks whether snippets in a language may be shell sessions
+ * @param {string} language - Canonical language name
+ * @returns {boolean} True if the language is a shell or console language
+ */
+export function isSessionLanguage(language) {
+  return SESSION_LANGUAGES.includes(language);
+}
+
+/**
+ * Parses a shell session into commands and output
+ * Lines after a prompt are commands, as are lines continuing a command that ends in a backslash;
+ * all other lines are output.
+ * @param {string} code - Code block content
+ * @returns {Object|null} Object with commands, output and the 1-based line in the code block of each
+ * command line, or null if no line starts with a prompt
+ */
+export function parseShellSession(code) {
+  if (!code || typeof code !== 'string') {
+    return null;
+  }
+
+  const lines = code.split('\n');
+  if (!lines.some(line => PROMPT_PATTERN.test(line))) {
+    return null;
+  }
+
+  const session = { commands: [], output: [] };
+  let continuing = false;
+
+  lines.forEach((line, index) => {
+    const prompt = line.match(PROMPT_PATTERN);
+    if (prompt || continuing) {
+      const command = prompt ? line.slice(prompt[0].length) : line;
+      continuing = /\\\s*$/.test(command);
+      session.commands.push({ text: command, line: index + 1 });
+    } else {
+      session.output.push(line);
+    }
+  });
+
+  const commands = session.commands.filter(command => command.text.trim());
+  return {
+    commands: commands.map(command => command.text).join('\n').trim(),
+    commandLines: commands.map(command => command.line),
+    output: session.output.join('\n').trim()
+  };
+}
+
+/**
+ * Maps highlighted line ranges of a shell session to the lines of its commands
+ * Highlighted output lines are dropped, since the output is written apart from the commands.
+ * @param {Array} highlightLines - { start, end } line ranges of the code block
+ * @param {number[]} commandLines - 1-based code block line of each command line
+ * @returns {Array} { start, end } line ranges of the commands
+ */
+export function remapHighlightLines(highlightLines, commandLines) {
+  const ranges = [];
+
+  commandLines.forEach((line, index) => {
+    if (!highlightLines.some(range => line >= range.start && line <= range.end)) {
+      return;
+    }
+
+    const last = ranges[ranges.length - 1];
+    if (last && last.end === index) {
+      last.end = index + 1;
+    } else {
+      ranges.push({ start: index + 1, end: index + 1 });
+    }
+  });
+
+  return ranges;
+}
@@ -1,3 +1,13 @@
+import { parseFenceInfo, formatLineRanges } from './fence-info-parser.js';
+import { parseDirectives, DIRECTIVES } from './directive-parser.js';
+import { parseHtmlCodeBlocks } from './html-code-parser.js';
+import { detectLanguage } from './language-detector.js';
+import { mergeVariant, selectPreferredVariants } from './variant-grouper.js';
+import { classifyExample, parseExampleLabel, EXAMPLE_LABELS } from './example-classifier.js';
+import { isSessionLanguage, parseShellSession, remapHighlightLines } from './shell-session-parser.js';
+import { collectDescription, truncateDescription } from './description-extractor.js';
+import { normalizeLanguage, isLanguageAllowed } from '../utils/language-normalizer.js';
+
 /**
  * Snippet Extractor
  *
@@ -5,46 +15,283 @@
  * Handles snippet metadata extraction including titles, descriptions, and language detection.
  */
 
+/**
+ * Snippet origins by the token type the code was found in
+ */
+const SNIPPET_ORIGINS = {
+  fence: 'fence',
+  code_block: 'indented',
+  html_block: 'html'
+};
+
+/**
+ * Separator used between heading levels in snippet titles
+ */
+const BREADCRUMB_SEPARATOR = ' > ';
+
 /**
  * Extracts code snippets from markdown tokens
  * @param {Array} tokens - Parsed markdown tokens
  * @param {string} filePath - Source file path for context
+ * @param {Object} [options] - Extraction options
+ * @param {string[]|null} [options.languages] - Canonical languages to keep, null for all
+ * @param {string[]} [options.excludeLanguages] - Canonical languages to drop
+ * @param {boolean} [options.detectLanguage] - Detect the language of unlabeled code, defaults to true
+ * @param {string[]} [options.preferVariants] - Variant labels or languages to keep from grouped snippets
+ * @param {boolean} [options.dropShellOutput] - Leave the printed output of shell sessions out of snippets
+ * @param {Map} [options.ruleFiles] - Rule file paths by absolute source document path, for resolving links
+ * @param {boolean} [options.plainDescriptions] - Render descriptions as plain text without markdown syntax
+ * @param {string} [options.descriptionStrategy] - How prose before a block is chosen: nearest, paragraph or section
+ * @param {boolean} [options.descriptionAfter] - Add the paragraph after a block to its description
+ * @param {number|null} [options.descriptionMaxLength] - Maximum description length, null for no limit
  * @returns {Array} Array of snippet objects
  */
-export function extractSnippetsFromTokens(tokens, filePath) {
+export function extractSnippetsFromTokens(tokens, filePath, options = {}) {
   if (!tokens || !Array.isArray(tokens)) {
     return [];
   }
 
-  const snippets = [];
-  let lastHeading = '';
-  let snippetCount = 1;
+  const state = {
+    tokens,
+    filePath,
+    options,
+    snippets: [],
+    headings: [],
+    hasDocumentTitle: countHeadings(tokens, 'h1') === 1,
+    snippetCount: 1,
+    ignoring: false,
+    pending: {},
+    lastSnippetTokenIndex: -1
+  };
 
   for (let i = 0; i < tokens.length; i++) {
-    const token = tokens[i];
+    processToken(tokens[i], i, state);
+  }
 
-    // Track headings for snippet titles
-    if (token.type === 'heading_open') {
-      lastHeading = extractHeadingText(tokens, i);
+  return selectPreferredVariants(state.snippets, options.preferVariants);
+}
+
+/**
+ * Processes a single token, updating extraction state and collecting snippets
+ * @param {Object} token - Markdown token
+ * @param {number} tokenIndex - Index of the token
+ * @param {Object} state - Extraction state
+ */
+function processToken(token, tokenIndex, state) {
+  // Track headings for snippet titles; directives never carry across sections
+  if (token.type === 'heading_open') {
+    pushHeading(state.headings, getHeadingLevel(token), extractHeadingText(state.tokens, tokenIndex));
+    state.pending = {};
+  }
+
+  // Apply in-document md2llm directives, then pick up any raw <pre><code> blocks
+  if (token.type === 'html_block') {
+    applyDirectives(parseDirectives(token.content), state);
+
+    for (const block of parseHtmlCodeBlocks(token.content)) {
+      const codeToken = { type: 'html_block', info: block.language, content: block.code, map: token.map };
+      collectSnippet(codeToken, tokenIndex, state);
     }
+  }
+
+  // Extract code snippets from fenced and indented code blocks
+  if (token.type === 'fence' || token.type === 'code_block') {
+    collectSnippet(token, tokenIndex, state);
+  }
+}
+
+/**
+ * Extracts a snippet from a code token and adds it to the extraction state
+ * @param {Object} token - Code token (fence, code_block or synthetic html_block)
+ * @param {number} tokenIndex - Index of the token
+ * @param {Object} state - Extraction state
+ */
+function collectSnippet(token, tokenIndex, state) {
+  const snippet = extractDirectedSnippet(token, tokenIndex, state);
+  if (!snippet) {
+    return;
+  }
+
+  // Adjacent blocks showing the same step in different ways become variants of one snippet
+  const previous = state.snippets[state.snippets.length - 1];
+  const adjacent = previous && isAdjacentBlock(state.tokens, state.lastSnippetTokenIndex, tokenIndex);
+  state.lastSnippetTokenIndex = tokenIndex;
+
+  if (adjacent && mergeVariant(previous, snippet)) {
+    retitleVariantGroup(previous, state);
+    return;
+  }
+
+  state.snippets.push(snippet);
+  state.snippetCount++;
+}
 
-    // Extract code snippets from fence tokens
-    if (token.type === 'fence') {
-      const snippet = extractSnippetFromToken(token, {
-        tokens,
-        tokenIndex: i,
-        lastHeading,
-        snippetCount,
-        filePath
-      });
-      if (snippet) {
-        snippets.push(snippet);
-        snippetCount++;
-      }
+/**
+ * Checks whether two code blocks have no content between them
+ * HTML blocks such as comments or tab markup do not separate blocks.
+ * @param {Array} tokens - All markdown tokens
+ * @param {number} previousIndex - Index of the earlier code token
+ * @param {number} tokenIndex - Index of the later code token
+ * @returns {boolean} True if only HTML blocks lie between the two tokens
+ */
+function isAdjacentBlock(tokens, previousIndex, tokenIndex) {
+  if (previousIndex < 0 || previousIndex >= tokenIndex) {
+    return false;
+  }
+
+  return tokens.slice(previousIndex + 1, tokenIndex).every(token => token.type === 'html_block');
+}
+
+/**
+ * Titles a variant group by its headings rather than the first variant's own title,
+ * which labels the variant instead, e.g. "npm"
+ * @param {Object} group - Grouped snippet
+ * @param {Object} state - Extraction state
+ */
+function retitleVariantGroup(group, state) {
+  if (group.variants.length === 2 && group.attributes.title && group.title === group.attributes.title) {
+    group.title = buildBreadcrumb(group.headingPath, state.hasDocumentTitle) || group.title;
+  }
+}
+
+/**
+ * Updates extraction state from parsed directives
+ * @param {Array} directives - Parsed directives from an HTML block
+ * @param {Object} state - Extraction state
+ */
+function applyDirectives(directives, state) {
+  for (const { name, value } of directives) {
+    switch (name) {
+      case DIRECTIVES.IGNORE_START:
+        state.ignoring = true;
+        break;
+      case DIRECTIVES.IGNORE_END:
+        state.ignoring = false;
+        break;
+      case DIRECTIVES.IGNORE:
+      case DIRECTIVES.INCLUDE:
+        state.pending[name] = true;
+        break;
+      case DIRECTIVES.TITLE:
+      case DIRECTIVES.DESCRIPTION:
+        state.pending[name] = value;
+        break;
+      default:
+        console.warn(`Warning: Unknown md2llm directive "${name}" in ${state.filePath}`);
     }
   }
+}
+
+/**
+ * Extracts a snippet from a code token, honouring pending directives
+ * @param {Object} token - Code token
+ * @param {number} tokenIndex - Index of the fence token
+ * @param {Object} state - Extraction state
+ * @returns {Object|null} Snippet object or null if skipped
+ */
+function extractDirectedSnippet(token, tokenIndex, state) {
+  const directives = state.pending;
+  state.pending = {};
+
+  const forceInclude = Boolean(directives[DIRECTIVES.INCLUDE]);
+  if (!forceInclude && (state.ignoring || directives[DIRECTIVES.IGNORE])) {
+    return null;
+  }
+
+  const snippet = extractSnippetFromToken(token, {
+    tokens: state.tokens,
+    tokenIndex,
+    headingPath: state.headings.map(heading => heading.text),
+    hasDocumentTitle: state.hasDocumentTitle,
+    snippetCount: state.snippetCount,
+    filePath: state.filePath,
+    detectLanguage: state.options.detectLanguage !== false,
+    dropShellOutput: state.options.dropShellOutput === true,
+    description: {
+      filePath: state.filePath,
+      ruleFiles: state.options.ruleFiles,
+      plain: state.options.plainDescriptions === true,
+      strategy: state.options.descriptionStrategy,
+      after: state.options.descriptionAfter === true,
+      maxLength: state.options.descriptionMaxLength
+    }
+  });
+
+  if (!snippet) {
+    return null;
+  }
+
+  if (!forceInclude && !isLanguageAllowed(snippet.language, state.options)) {
+    return null;
+  }
+
+  return applyDirectiveOverrides(snippet, directives);
+}
+
+/**
+ * Applies title, description and force-include directives to a snippet
+ * @param {Object} snippet - Extracted snippet
+ * @param {Object} directives - Pending directives for the snippet
+ * @returns {Object} The updated snippet
+ */
+function applyDirectiveOverrides(snippet, directives) {
+  if (directives[DIRECTIVES.TITLE]) {
+    snippet.title = directives[DIRECTIVES.TITLE].trim();
+  }
+  if (directives[DIRECTIVES.DESCRIPTION]) {
+    snippet.description = directives[DIRECTIVES.DESCRIPTION].trim();
+  }
+  if (directives[DIRECTIVES.INCLUDE]) {
+    snippet.forceInclude = true;
+  }
+
+  return snippet;
+}
+
+/**
+ * Counts heading tokens of a given tag
+ * @param {Array} tokens - All markdown tokens
+ * @param {string} tag - Heading tag such as 'h1'
+ * @returns {number} Number of matching headings
+ */
+export function countHeadings(tokens, tag) {
+  return tokens.filter(token => token.type === 'heading_open' && token.tag === tag).length;
+}
+
+/**
+ * Gets the numeric level of a heading token
+ * @param {Object} token - heading_open token
+ * @returns {number} Heading level from 1 to 6
+ */
+export function getHeadingLevel(token) {
+  const level = parseInt(String(token.tag || '').replace(/^h/, ''), 10);
+  return Number.isNaN(level) ? 1 : level;
+}
+
+/**
+ * Pushes a heading onto the heading stack, closing any sections at the same or deeper level
+ * @param {Array} headings - Stack of { level, text } headings
+ * @param {number} level - Heading level
+ * @param {string} text - Heading text
+ */
+export function pushHeading(headings, level, text) {
+  while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+    headings.pop();
+  }
+  headings.push({ level, text });
+}
 
-  return snippets;
+/**
+ * Builds a breadcrumb title from a heading path
+ * A lone h1 is treated as the document title and left out of deeper breadcrumbs,
+ * since the output file already identifies the document.
+ * @param {string[]} headingPath - Heading texts from outermost to innermost
+ * @param {boolean} hasDocumentTitle - Whether the first heading is the document title
+ * @returns {string} Breadcrumb title such as "Client > Authentication > Example"
+ */
+export function buildBreadcrumb(headingPath, hasDocumentTitle) {
+  const crumbs = hasDocumentTitle && headingPath.length > 1 ? headingPath.slice(1) : headingPath;
+  return crumbs.filter(Boolean).join(BREADCRUMB_SEPARATOR);
 }
 
 /**
@@ -53,7 +300,7 @@ export function extractSnippetsFromTokens(tokens, filePath) {
  * @param {number} headingIndex - Index of heading_open token
  * @returns {string} Heading text
  */
-function extractHeadingText(tokens, headingIndex) {
+export function extractHeadingText(tokens, headingIndex) {
   if (headingIndex + 1 < tokens.length && tokens[headingIndex + 1].type === 'inline') {
     return tokens[headingIndex + 1].content.trim();
   }
@@ -61,14 +308,18 @@ function extractHeadingText(tokens, headingIndex) {
 }
 
 /**
- * Extracts a single snippet from a fence token
- * @param {Object} fenceToken - The fence token containing code
+ * Extracts a single snippet from a code token
+ * @param {Object} fenceToken - The fence, code_block or html_block token containing code
  * @param {Object} options - Options object containing context
  * @param {Array} options.tokens - All markdown tokens for context
  * @param {number} options.tokenIndex - Index of the fence token
- * @param {string} options.lastHeading - Last heading text for title
+ * @param {string[]} options.headingPath - Enclosing heading texts from outermost to innermost
+ * @param {boolean} options.hasDocumentTitle - Whether the first heading is the document title
  * @param {number} options.snippetCount - Current snippet number
  * @param {string} options.filePath - Source file path
+ * @param {boolean} options.detectLanguage - Whether to detect the language of unlabeled code
+ * @param {boolean} options.dropShellOutput - Whether to leave shell session output out of the snippet
+ * @param {Object} options.description - Description context for collectDescription, with maxLength
  * @returns {Object|null} Snippet object or null if invalid
  */
 function extractSnippetFromToken(fenceToken, options) {
@@ -76,46 +327,108 @@ function extractSnippetFromToken(fenceToken, options) {
     return null;
   }
 
-  const { tokens, tokenIndex, lastHeading, snippetCount, filePath } = options;
-  const title = lastHeading || `Snippet ${snippetCount}`;
-  const language = fenceToken.info || 'text';
+  const { tokens, tokenIndex, headingPath, filePath } = options;
+  const info = parseFenceInfo(fenceToken.info);
   const code = fenceToken.content;
-  const description = extractSnippetDescription(tokens, tokenIndex);
+  const { language, languageConfidence, languageDetected } = resolveLanguage(info.language, code, options.detectLanguage);
+  const description = collectDescription(tokens, tokenIndex, options.description);
+  const example = describeExample(code, info.title, description, options);
+  const session = isSessionLanguage(language) ? parseShellSession(code) : null;
 
   return {
-    title: title.trim(),
-    description: description.trim(),
+    title: example.title.trim(),
+    description: truncateDescription(example.description.trim(), options.description.maxLength),
+    ...(example.polarity ? { polarity: example.polarity } : {}),
     source: filePath,
-    language: language.trim(),
-    code: code.trim()
+    language,
+    languageConfidence,
+    languageDetected,
+    code: (session ? session.commands : code).trim(),
+    ...(session && session.output && !options.dropShellOutput ? { output: session.output } : {}),
+    origin: SNIPPET_ORIGINS[fenceToken.type] || SNIPPET_ORIGINS.fence,
+    ...getLineRange(fenceToken.map),
+    headingPath,
+    highlightLines: session ? remapHighlightLines(info.highlightLines, session.commandLines) : info.highlightLines,
+    flags: info.flags,
+    attributes: info.attributes
   };
 }
 
 /**
- * Extracts description for a snippet by looking backwards from the fence token
- * @param {Array} tokens - All markdown tokens
- * @param {number} fenceIndex - Index of the fence token
- * @returns {string} Description text
+ * Resolves a snippet's title and description, classifying it as a positive or negative example
+ * A label such as "❌ Bad" or a "Don't" heading sets the polarity and is left out of the title and description.
+ * @param {string} code - Snippet code
+ * @param {string} fenceTitle - Title from the fence info string, possibly empty
+ * @param {Object} description - Prose around the code block from collectDescription
+ * @param {Object} options - Extraction context with headingPath, hasDocumentTitle and snippetCount
+ * @returns {Object} Object with title, description and polarity (null when unlabelled)
  */
-function extractSnippetDescription(tokens, fenceIndex) {
-  // Walk backwards to find the nearest non-empty inline or paragraph for description
-  for (let i = fenceIndex - 1; i >= 0; i--) {
-    const token = tokens[i];
+function describeExample(code, fenceTitle, description, options) {
+  const heading = options.headingPath[options.headingPath.length - 1] || '';
+  const paragraphs = description.paragraphs.slice(0, -1);
+  const lead = description.paragraphs[description.paragraphs.length - 1] || '';
 
-    if (token.type === 'inline' && token.content.trim()) {
-      return token.content.trim();
-    }
+  // A block right after a heading is described by the heading itself; a label is in the paragraph nearest the block
+  const headingDescribed = description.heading;
+  const example = classifyExample({ code, title: fenceTitle, description: headingDescribed ? '' : lead, heading }) ||
+    { from: '', polarity: null };
+  const labelledDescription = example.from === 'description' || (example.from === 'heading' && headingDescribed);
 
-    if (token.type === 'paragraph_open') {
-      continue;
-    }
+  return {
+    title: (example.from === 'title' ? example.rest : fenceTitle) || getSectionTitle(options),
+    description: [...paragraphs, labelledDescription ? example.rest : lead, description.after].filter(Boolean).join(' '),
+    polarity: example.polarity
+  };
+}
 
-    if (token.type === 'heading_open' || token.type === 'fence') {
-      break;
-    }
+/**
+ * Builds a snippet title from its enclosing headings, leaving out a heading that labels examples
+ * @param {Object} options - Extraction context with headingPath, hasDocumentTitle and snippetCount
+ * @returns {string} Breadcrumb title, or a numbered fallback when there are no headings
+ */
+function getSectionTitle(options) {
+  const { headingPath, hasDocumentTitle, snippetCount } = options;
+  const sectionPath = parseExampleLabel(headingPath[headingPath.length - 1]) ? headingPath.slice(0, -1) : headingPath;
+
+  const breadcrumb = buildBreadcrumb(sectionPath, hasDocumentTitle) || buildBreadcrumb(headingPath, hasDocumentTitle);
+  return breadcrumb || `Snippet ${snippetCount}`;
+}
+
+/**
+ * Converts a markdown-it token map into 1-based source line numbers
+ * @param {number[]|null} map - Token map of [startLine, endLine) with 0-based lines
+ * @returns {Object} Object with lineStart and lineEnd, null when the token has no map
+ */
+function getLineRange(map) {
+  if (!map) {
+    return { lineStart: null, lineEnd: null };
   }
 
-  return '';
+  return { lineStart: map[0] + 1, lineEnd: map[1] };
+}
+
+/**
+ * Resolves the canonical language of a snippet, detecting it when the code is unlabeled
+ * @param {string} label - Language label from the code block, possibly empty
+ * @param {string} code - Snippet code
+ * @param {boolean} detect - Whether to detect the language of unlabeled code
+ * @returns {Object} Object with language, languageConfidence and languageDetected
+ */
+function resolveLanguage(label, code, detect) {
+  if (label) {
+    return { language: normalizeLanguage(label), languageConfidence: 1, languageDetected: false };
+  }
+
+  if (!detect) {
+    return { language: 'text', languageConfidence: 0, languageDetected: false };
+  }
+
+  const detected = detectLanguage(code);
+  return {
+    language: detected.language,
+    languageConfidence: detected.confidence,
+    languageDetected: detected.language !== 'text'
+  };
 }
 
 /**
@@ -132,12 +445,100 @@ export function formatSnippet(snippet) {
     `TITLE: ${snippet.title}`,
     `DESCRIPTION: ${snippet.description || ''}`,
     `SOURCE: ${snippet.source || ''}`,
-    `LANGUAGE: ${snippet.language || 'text'}`,
+    `LANGUAGE: ${formatSnippetLanguages(snippet)}`,
+    ...formatSnippetMetadata(snippet),
     `CODE:`,
-    `\`\`\`${snippet.language || 'text'}`,
-    snippet.code,
-    '```',
+    ...formatSnippetCode(snippet),
     '',
     '----------------------------------------'
   ].join('\n');
 }
+
+/**
+ * Formats a negative and a positive example of the same thing as a DON'T / DO pair
+ * @param {Object} pair - Example pair
+ * @param {Object} pair.negative - Snippet showing what not to do
+ * @param {Object} pair.positive - Snippet showing what to do instead
+ * @returns {string} Formatted pair string
+ */
+export function formatExamplePair(pair) {
+  const { negative, positive } = pair;
+  const languages = [...new Set([formatSnippetLanguages(negative), formatSnippetLanguages(positive)])];
+
+  return [
+    `TITLE: ${positive.title}`,
+    `SOURCE: ${negative.source || ''}`,
+    `LANGUAGE: ${languages.join(', ')}`,
+    `${EXAMPLE_LABELS[negative.polarity]}: ${negative.description || ''}`,
+    ...formatSnippetCode(negative),
+    `${EXAMPLE_LABELS[positive.polarity]}: ${positive.description || ''}`,
+    ...formatSnippetCode(positive),
+    '',
+    '----------------------------------------'
+  ].join('\n');
+}
+
+/**
+ * Formats the languages of a snippet, listing each distinct variant language
+ * @param {Object} snippet - Snippet object
+ * @returns {string} Comma-separated languages
+ */
+function formatSnippetLanguages(snippet) {
+  if (!snippet.variants) {
+    return snippet.language || 'text';
+  }
+
+  return [...new Set(snippet.variants.map(variant => variant.language || 'text'))].join(', ');
+}
+
+/**
+ * Formats the code of a snippet as fenced blocks, one per variant when grouped
+ * Shell session output follows the commands that printed it.
+ * @param {Object} snippet - Snippet object
+ * @returns {string[]} Code lines
+ */
+function formatSnippetCode(snippet) {
+  if (!snippet.variants) {
+    return [`\`\`\`${snippet.language || 'text'}`, snippet.code, '```', ...formatSnippetOutput(snippet)];
+  }
+
+  return snippet.variants.flatMap(variant => [
+    `VARIANT: ${variant.label}`,
+    `\`\`\`${variant.language || 'text'}`,
+    variant.code,
+    '```',
+    ...formatSnippetOutput(variant)
+  ]);
+}
+
+/**
+ * Formats the printed output of a shell session snippet or variant
+ * @param {Object} snippet - Snippet or variant
+ * @returns {string[]} Output lines, empty when there is no output
+ */
+function formatSnippetOutput(snippet) {
+  return snippet.output ? ['OUTPUT:', '```text', snippet.output, '```'] : [];
+}
+
+/**
+ * Formats optional fence metadata lines for a snippet
+ * @param {Object} snippet - Snippet object
+ * @returns {string[]} Metadata lines, empty when the snippet has none
+ */
+function formatSnippetMetadata(snippet) {
+  const lines = [];
+
+  if (snippet.polarity) {
+    lines.push(`EXAMPLE: ${EXAMPLE_LABELS[snippet.polarity]}`);
+  }
+
+  if (snippet.highlightLines && snippet.highlightLines.length > 0) {
+    lines.push(`HIGHLIGHT: ${formatLineRanges(snippet.highlightLines)}`);
+  }
+
+  if (snippet.flags && snippet.flags.length > 0) {
+    lines.push(`FLAGS: ${snippet.flags.join(', ')}`);
+  }
+
+  return lines;
+}
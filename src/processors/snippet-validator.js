@@ -0,0 +1,258 @@
+import { createRequire } from 'module';
+import { parseAllDocuments } from 'yaml';
+import { collapseToVariant } from './variant-grouper.js';
+
+/**
+ * Snippet Validator
+ *
+ * Checks that JavaScript, TypeScript, JSON and YAML snippets parse.
+ * Only syntax is checked; snippets are never type-checked or executed.
+ */
+
+const require = createRequire(import.meta.url);
+
+/**
+ * File names that select the TypeScript parser's dialect for each language
+ */
+const SCRIPT_FILE_NAMES = {
+  javascript: 'snippet.js',
+  jsx: 'snippet.jsx',
+  typescript: 'snippet.ts',
+  tsx: 'snippet.tsx'
+};
+
+/**
+ * Parsers for each validated language
+ */
+const VALIDATORS = {
+  javascript: validateScript,
+  jsx: validateScript,
+  typescript: validateScript,
+  tsx: validateScript,
+  json: validateJson,
+  yaml: validateYaml
+};
+
+/**
+ * TypeScript compiler, loaded on first use since it is only needed with --validate
+ * and is an optional peer dependency
+ */
+let typescript = null;
+
+/**
+ * Checks whether snippets in a language can be validated
+ * @param {string} language - Canonical language name
+ * @returns {boolean} True if the language has a validator
+ */
+export function isValidatable(language) {
+  return Object.hasOwn(VALIDATORS, language);
+}
+
+/**
+ * Validates the syntax of a single snippet
+ * Snippets in languages without a validator are always valid.
+ * @param {Object} snippet - Snippet object with language and code
+ * @returns {Object} Object with valid, and message and line (1-based, within the code) when invalid
+ */
+export function validateSnippet(snippet) {
+  if (!snippet || !isValidatable(snippet.language)) {
+    return { valid: true };
+  }
+
+  return VALIDATORS[snippet.language](snippet.code, snippet.language);
+}
+
+/**
+ * Validates snippets and records invalid ones in the conversion report
+ * Each variant of a grouped snippet is validated on its own; dropping removes
+ * only the invalid variants, and a group left with one variant is ungrouped.
+ * @param {Array} snippets - Snippets to validate
+ * @param {Object} options - Validation options
+ * @param {boolean} [options.validate] - Whether to validate snippets at all
+ * @param {boolean} [options.dropInvalid] - Whether to remove invalid snippets
+ * @param {Object} [options.report] - Conversion report collecting invalidSnippets
+ * @returns {Array} Snippets to keep
+ */
+export function validateSnippets(snippets, options = {}) {
+  if (!options.validate) {
+    return snippets;
+  }
+
+  return snippets.flatMap(snippet => {
+    if (!snippet.variants) {
+      return isKept(snippet, options) ? [snippet] : [];
+    }
+
+    const variants = snippet.variants.filter(variant => isKept({ ...snippet, ...variant, variant: variant.label }, options));
+    if (variants.length === 0) {
+      return [];
+    }
+
+    return variants.length === 1 ? [collapseToVariant(snippet, variants[0])] : [{ ...snippet, variants }];
+  });
+}
+
+/**
+ * Validates a snippet or variant, recording it when invalid
+ * @param {Object} snippet - Snippet, or snippet merged with one of its variants
+ * @param {Object} options - Validation options
+ * @returns {boolean} True if the snippet should be kept
+ */
+function isKept(snippet, options) {
+  const result = validateSnippet(snippet);
+  if (result.valid) {
+    return true;
+  }
+
+  recordInvalidSnippet(snippet, result, options.report);
+  return !options.dropInvalid;
+}
+
+/**
+ * Records an invalid snippet in the report, or warns when there is no report
+ * @param {Object} snippet - Invalid snippet
+ * @param {Object} result - Validation result with message and line
+ * @param {Object} [report] - Conversion report
+ */
+function recordInvalidSnippet(snippet, result, report) {
+  const problem = {
+    source: snippet.source,
+    line: getSourceLine(snippet, result.line),
+    title: snippet.variant ? `${snippet.title} (${snippet.variant})` : snippet.title,
+    language: snippet.language,
+    message: result.message
+  };
+
+  if (report) {
+    report.invalidSnippets.push(problem);
+    return;
+  }
+
+  console.warn(`Warning: Invalid ${problem.language} snippet at ${formatLocation(problem)}: ${problem.message}`);
+}
+
+/**
+ * Maps a line within a snippet's code to a line in its source file
+ * @param {Object} snippet - Snippet with lineStart and origin
+ * @param {number} codeLine - 1-based line within the code
+ * @returns {number|null} 1-based source line, or null when the snippet has no position
+ */
+export function getSourceLine(snippet, codeLine) {
+  if (snippet.lineStart == null) {
+    return null;
+  }
+
+  // Fenced code starts on the line after the opening fence
+  const codeStart = snippet.origin === 'fence' ? snippet.lineStart + 1 : snippet.lineStart;
+  return codeStart + (codeLine || 1) - 1;
+}
+
+/**
+ * Formats the file and line of an invalid snippet
+ * @param {Object} problem - Invalid snippet record with source and line
+ * @returns {string} Location such as docs/api.md:42
+ */
+export function formatLocation(problem) {
+  return problem.line == null ? problem.source : `${problem.source}:${problem.line}`;
+}
+
+/**
+ * Validates JavaScript, JSX, TypeScript or TSX with the TypeScript parser
+ * @param {string} code - Snippet code
+ * @param {string} language - Canonical language name
+ * @returns {Object} Validation result
+ * @throws {Error} If the typescript package is not installed
+ */
+function validateScript(code, language) {
+  loadTypescript();
+
+  const { diagnostics } = typescript.transpileModule(code, {
+    fileName: SCRIPT_FILE_NAMES[language],
+    reportDiagnostics: true,
+    compilerOptions: {
+      jsx: typescript.JsxEmit.Preserve,
+      target: typescript.ScriptTarget.ESNext,
+      module: typescript.ModuleKind.ESNext
+    }
+  });
+
+  const error = diagnostics.find(diagnostic => diagnostic.category === typescript.DiagnosticCategory.Error);
+  if (!error) {
+    return { valid: true };
+  }
+
+  return {
+    valid: false,
+    message: typescript.flattenDiagnosticMessageText(error.messageText, ' '),
+    line: getLineAtOffset(code, error.start)
+  };
+}
+
+/**
+ * Loads the TypeScript compiler
+ * @returns {Object} TypeScript module
+ * @throws {Error} If the typescript package is not installed
+ */
+function loadTypescript() {
+  if (typescript == null) {
+    try {
+      typescript = require('typescript');
+    } catch (error) {
+      throw new Error(
+        'Validating JavaScript and TypeScript snippets requires the typescript package; run npm install --save-dev typescript'
+      );
+    }
+  }
+
+  return typescript;
+}
+
+/**
+ * Validates JSON
+ * @param {string} code - Snippet code
+ * @returns {Object} Validation result
+ */
+function validateJson(code) {
+  try {
+    JSON.parse(code);
+    return { valid: true };
+  } catch (error) {
+    const position = error.message.match(/at position (\d+)/);
+    return {
+      valid: false,
+      message: error.message,
+      line: position ? getLineAtOffset(code, Number(position[1])) : 1
+    };
+  }
+}
+
+/**
+ * Validates YAML, including multi-document streams
+ * @param {string} code - Snippet code
+ * @returns {Object} Validation result
+ */
+function validateYaml(code) {
+  const error = parseAllDocuments(code)
+    .flatMap(document => document.errors || [])
+    .find(Boolean);
+
+  if (!error) {
+    return { valid: true };
+  }
+
+  return {
+    valid: false,
+    message: error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, ''),
+    line: error.linePos ? error.linePos[0].line : 1
+  };
+}
+
+/**
+ * Gets the 1-based line of a character offset
+ * @param {string} text - Text containing the offset
+ * @param {number} offset - Character offset
+ * @returns {number} 1-based line number
+ */
+function getLineAtOffset(text, offset) {
+  return text.slice(0, offset || 0).split('\n').length;
+}
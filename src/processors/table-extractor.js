@@ -0,0 +1,205 @@
+import { parseDirectives, updateIgnoring } from './directive-parser.js';
+import { renderDescription } from './description-renderer.js';
+import {
+  buildBreadcrumb,
+  countHeadings,
+  extractHeadingText,
+  getHeadingLevel,
+  pushHeading
+} from './snippet-extractor.js';
+
+/**
+ * Table Extractor
+ *
+ * Extracts markdown tables, such as option, prop or environment variable tables, as
+ * reference entries attached to the enclosing heading. Columns are mapped by their
+ * headers onto key, type, default and description, so each row can be written as
+ * one compact line like "- `timeout` (number, default: `3000`): Request timeout".
+ */
+
+/**
+ * Header names recognised for each column role, matched case-insensitively
+ */
+const COLUMN_ROLES = {
+  key: /^(?:name|key|option|prop|property|flag|param|parameter|field|attribute|argument|setting|variable|env|event|method)s?$/,
+  type: /^(?:type|kind|accepts)s?$/,
+  default: /^default(?: value)?s?$/,
+  description: /^(?:description|desc|details|notes?|meaning|purpose|summary|explanation|comments?)$/
+};
+
+/**
+ * Extracts tables from markdown tokens as reference entries
+ * Tables without body rows are skipped, and md2llm ignore regions are honoured.
+ * @param {Array} tokens - Parsed markdown tokens
+ * @param {string} filePath - Source file path for context
+ * @param {Object} [options] - Extraction options
+ * @param {Map} [options.ruleFiles] - Rule file paths by absolute source document path, for resolving links
+ * @param {boolean} [options.plainDescriptions] - Render cells as plain text instead of markdown
+ * @returns {Array} Array of reference objects with context, headingPath, columns, rows, source and lines
+ */
+export function extractTablesFromTokens(tokens, filePath, options = {}) {
+  if (!tokens || !Array.isArray(tokens)) {
+    return [];
+  }
+
+  const hasDocumentTitle = countHeadings(tokens, 'h1') === 1;
+  const renderContext = { filePath, ruleFiles: options.ruleFiles, plain: options.plainDescriptions };
+  const headings = [];
+  const references = [];
+  let ignoring = false;
+
+  tokens.forEach((token, index) => {
+    if (token.type === 'heading_open') {
+      pushHeading(headings, getHeadingLevel(token), extractHeadingText(tokens, index));
+    } else if (token.type === 'html_block') {
+      ignoring = updateIgnoring(parseDirectives(token.content), ignoring);
+    } else if (!ignoring && token.type === 'table_open') {
+      const headingPath = headings.map(heading => heading.text);
+      const reference = createReference(tokens, index, { headingPath, hasDocumentTitle, filePath, renderContext });
+      if (reference) {
+        references.push(reference);
+      }
+    }
+  });
+
+  return references;
+}
+
+/**
+ * Maps table header cells onto the key, type, default and description roles
+ * The first column is the key and the last remaining column the description when
+ * no header names them; columns matching no role are kept as extra columns.
+ * @param {string[]} columns - Header cell texts
+ * @returns {Object} Object with the column index of each role (-1 when absent) and extra column indexes
+ */
+export function mapColumns(columns) {
+  const names = columns.map(column => column.replace(/[^\w\s]/g, '').trim().toLowerCase());
+  const taken = new Set();
+  const roles = {};
+
+  Object.entries(COLUMN_ROLES).forEach(([role, pattern]) => {
+    roles[role] = names.findIndex((name, index) => !taken.has(index) && pattern.test(name));
+    if (roles[role] !== -1) {
+      taken.add(roles[role]);
+    }
+  });
+
+  if (roles.key === -1 && !taken.has(0)) {
+    roles.key = 0;
+    taken.add(0);
+  }
+
+  const remaining = columns.map((column, index) => index).filter(index => !taken.has(index));
+  if (roles.description === -1 && remaining.length > 0) {
+    roles.description = remaining.pop();
+  }
+
+  return { ...roles, extra: remaining };
+}
+
+/**
+ * Formats a reference into the standard output format
+ * @param {Object} reference - Reference object
+ * @returns {string} Formatted reference string
+ */
+export function formatReference(reference) {
+  if (!reference || !reference.rows || reference.rows.length === 0) {
+    return '';
+  }
+
+  return [
+    `REFERENCE: ${reference.context || reference.columns.join(', ')}`,
+    `SOURCE: ${reference.source || ''}`,
+    '',
+    ...reference.rows.map(formatReferenceRow),
+    '',
+    '----------------------------------------'
+  ].join('\n');
+}
+
+/**
+ * Formats a table row as a list item
+ * @param {Object} row - Row with key, type, default and description
+ * @returns {string} Row such as "- `timeout` (number, default: `3000`): Request timeout"
+ */
+export function formatReferenceRow(row) {
+  const details = [row.type, row.default && `default: ${row.default}`].filter(Boolean).join(', ');
+  const head = [row.key, details && `(${details})`].filter(Boolean).join(' ');
+
+  if (!row.description) {
+    return `- ${head}`;
+  }
+
+  return head ? `- ${head}: ${row.description}` : `- ${row.description}`;
+}
+
+/**
+ * Creates a reference from the table starting at a token
+ * @param {Array} tokens - All markdown tokens
+ * @param {number} index - Index of the table_open token
+ * @param {Object} context - Reference context
+ * @param {string[]} context.headingPath - Enclosing heading texts
+ * @param {boolean} context.hasDocumentTitle - Whether the first heading is the document title
+ * @param {string} context.filePath - Source file path
+ * @param {Object} context.renderContext - Context for rendering cells
+ * @returns {Object|null} Reference object, or null if the table has no rows
+ */
+function createReference(tokens, index, context) {
+  const { header, body } = readTable(tokens, index, context.renderContext);
+  const columns = mapColumns(header);
+  const rows = body.map(cells => createRow(cells, header, columns)).filter(row => row.key || row.description);
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const token = tokens[index];
+  return {
+    context: buildBreadcrumb(context.headingPath, context.hasDocumentTitle),
+    headingPath: context.headingPath,
+    columns: header,
+    rows,
+    source: context.filePath,
+    lineStart: token.map ? token.map[0] + 1 : null,
+    lineEnd: token.map ? token.map[1] : null
+  };
+}
+
+/**
+ * Reads the header and body cells of a table
+ * @param {Array} tokens - All markdown tokens
+ * @param {number} index - Index of the table_open token
+ * @param {Object} renderContext - Context for rendering cells
+ * @returns {Object} Object with header (cell texts) and body (rows of cell texts)
+ */
+function readTable(tokens, index, renderContext) {
+  const rows = [];
+
+  for (let i = index + 1; i < tokens.length && tokens[i].type !== 'table_close'; i++) {
+    if (tokens[i].type === 'tr_open') {
+      rows.push([]);
+    } else if (tokens[i].type === 'inline' && rows.length > 0) {
+      rows[rows.length - 1].push(renderDescription(tokens[i], renderContext));
+    }
+  }
+
+  return { header: rows[0] || [], body: rows.slice(1) };
+}
+
+/**
+ * Creates a row from its cells, adding extra columns to the description as "Header: value"
+ * @param {string[]} cells - Row cell texts
+ * @param {string[]} header - Header cell texts
+ * @param {Object} columns - Column mapping from mapColumns
+ * @returns {Object} Row with key, type, default and description
+ */
+function createRow(cells, header, columns) {
+  const cell = role => (columns[role] === -1 ? '' : cells[columns[role]] || '');
+  const extras = columns.extra.filter(index => cells[index]).map(index => `${header[index]}: ${cells[index]}`);
+
+  return {
+    key: cell('key'),
+    type: cell('type'),
+    default: cell('default'),
+    description: [cell('description'), ...extras].filter(Boolean).join('; ')
+  };
+}
@@ -0,0 +1,272 @@
+import fs from 'fs';
+import path from 'path';
+import { parseFenceInfo } from './fence-info-parser.js';
+import { getLanguageForExtension } from '../utils/language-normalizer.js';
+
+/**
+ * Transclusion Resolver
+ *
+ * Replaces references to example files with the files' code before snippets are extracted.
+ * A fence such as ```js file=./examples/basic.js takes its code from the file, and an
+ * <!-- include: ../examples/auth.ts#L10-L30 --> comment becomes a fence of its own.
+ * References may select a line range (#L10-L30) or a named region (#setup, marked with
+ * `// #region setup` ... `// #endregion`). Included markdown files are inlined, and may
+ * include further files themselves. Only files inside the source directories can be included,
+ * so a document cannot pull files such as ../../.env into the rules.
+ */
+
+/**
+ * Matches an include comment and its reference
+ */
+const INCLUDE_PATTERN = /<!--\s*include:\s*(\S+?)\s*-->/g;
+
+/**
+ * Matches a line range fragment such as L10, L10-L30 or L10-30
+ */
+const LINE_RANGE_PATTERN = /^L(\d+)(?:-L?(\d+))?$/;
+
+/**
+ * Matches a region start marker, capturing the region name
+ */
+const REGION_START_PATTERN = /^\s*(?:\/\/|\/\*|<!--|--)?\s*#region\b\s*(.*?)\s*(?:\*\/|-->)?\s*$/;
+
+/**
+ * Matches a region end marker
+ */
+const REGION_END_PATTERN = /^\s*(?:\/\/|\/\*|<!--|--)?\s*#endregion\b/;
+
+/**
+ * Extensions of included files that are inlined as markdown rather than fenced as code
+ */
+const MARKDOWN_EXTENSIONS = ['.md', '.mdx', '.markdown'];
+
+/**
+ * Resolves file references in markdown tokens
+ * Generated tokens take the position of the reference, so snippets point at the including document.
+ * @param {Array} tokens - Parsed markdown tokens
+ * @param {string} filePath - Path of the document the tokens were parsed from
+ * @param {Function} parse - Parses an included markdown file, given its content and path, into tokens
+ * @param {string[]} [sourceDirs] - Source directories or files referenced files must be inside, the working
+ * directory by default; a file allows files in its own directory
+ * @returns {Array} Tokens with referenced code filled in
+ * @throws {Error} If a referenced file, line range or region does not exist, a file is outside the
+ * source directories, or includes are circular
+ */
+export function resolveTransclusions(tokens, filePath, parse, sourceDirs = [process.cwd()]) {
+  if (!tokens || !Array.isArray(tokens)) {
+    return [];
+  }
+
+  const roots = sourceDirs.map(getSourceRoot);
+  return resolveTokens(tokens, { filePath, parse, roots, stack: [path.resolve(filePath)] });
+}
+
+/**
+ * Resolves the references in a list of tokens
+ * @param {Array} tokens - Parsed markdown tokens
+ * @param {Object} context - Resolution context with filePath, parse and the stack of included documents
+ * @returns {Array} Resolved tokens
+ */
+function resolveTokens(tokens, context) {
+  return tokens.flatMap(token => {
+    if (token.type === 'fence') {
+      return [resolveFence(token, context)];
+    }
+
+    if (token.type === 'html_block') {
+      return [token, ...resolveIncludes(token, context)];
+    }
+
+    return [token];
+  });
+}
+
+/**
+ * Fills a fence with the code of the file named by its file= attribute
+ * @param {Object} token - Fence token
+ * @param {Object} context - Resolution context
+ * @returns {Object} The fence, or a copy with the referenced code as content
+ */
+function resolveFence(token, context) {
+  const reference = parseFenceInfo(token.info).attributes.file;
+  if (!reference) {
+    return token;
+  }
+
+  return { ...token, content: `${readReference(reference, token, context).content}\n` };
+}
+
+/**
+ * Creates tokens for the include comments in an HTML block
+ * @param {Object} token - HTML block token
+ * @param {Object} context - Resolution context
+ * @returns {Array} Fence tokens for included code and inlined tokens for included markdown
+ */
+function resolveIncludes(token, context) {
+  return [...token.content.matchAll(INCLUDE_PATTERN)].flatMap(([, reference]) => {
+    const included = readReference(reference, token, context);
+
+    if (MARKDOWN_EXTENSIONS.includes(path.extname(included.path).toLowerCase())) {
+      return includeMarkdown(included, token, context);
+    }
+
+    return [{
+      type: 'fence',
+      info: getLanguageForExtension(path.extname(included.path)),
+      content: `${included.content}\n`,
+      markup: '```',
+      map: token.map
+    }];
+  });
+}
+
+/**
+ * Parses an included markdown file and resolves its own references
+ * @param {Object} included - Included file with path and content
+ * @param {Object} token - Include comment token, whose position the included tokens take
+ * @param {Object} context - Resolution context
+ * @returns {Array} Resolved tokens of the included file
+ * @throws {Error} If the file is already being included
+ */
+function includeMarkdown(included, token, context) {
+  if (context.stack.includes(included.path)) {
+    const chain = [...context.stack, included.path].map(file => path.relative(process.cwd(), file));
+    throw new Error(`Circular include: ${chain.join(' -> ')}`);
+  }
+
+  const tokens = resolveTokens(context.parse(included.content, included.path), {
+    ...context,
+    filePath: included.path,
+    stack: [...context.stack, included.path]
+  });
+
+  return tokens.map(includedToken => ({ ...includedToken, map: token.map }));
+}
+
+/**
+ * Reads the file, or part of the file, that a reference points to
+ * @param {string} reference - File path relative to the referencing document, with an optional #fragment
+ * @param {Object} token - Token containing the reference, for error locations
+ * @param {Object} context - Resolution context
+ * @returns {Object} Object with the absolute path and the selected content
+ * @throws {Error} If the file, line range or region does not exist, or the file is outside the source directories
+ */
+function readReference(reference, token, context) {
+  const [target, fragment] = reference.split('#');
+  const includedPath = path.resolve(path.dirname(context.filePath), target);
+  const location = token.map ? `${context.filePath}:${token.map[0] + 1}` : context.filePath;
+
+  if (!fs.existsSync(includedPath) || !fs.statSync(includedPath).isFile()) {
+    throw new Error(`Included file not found: ${target} (referenced in ${location})`);
+  }
+
+  if (!context.roots.some(root => isInside(root, getRealPath(includedPath)))) {
+    throw new Error(`Included file is outside the source directories: ${target} (referenced in ${location})`);
+  }
+
+  const content = fs.readFileSync(includedPath, 'utf8').replace(/\r\n/g, '\n');
+  if (!fragment) {
+    return { path: includedPath, content: content.replace(/\n$/, '') };
+  }
+
+  try {
+    return { path: includedPath, content: selectFragment(content, fragment) };
+  } catch (error) {
+    throw new Error(`${error.message} in ${target} (referenced in ${location})`);
+  }
+}
+
+/**
+ * Resolves a path, following symbolic links when it exists
+ * @param {string} filePath - File or directory path
+ * @returns {string} Absolute real path
+ */
+function getRealPath(filePath) {
+  const resolved = path.resolve(filePath);
+  return fs.existsSync(resolved) ? fs.realpathSync(resolved) : resolved;
+}
+
+/**
+ * Gets the directory that included files must be inside for a source path
+ * @param {string} sourcePath - Source directory or file passed on the command line
+ * @returns {string} Real path of the directory, or of the file's directory
+ */
+function getSourceRoot(sourcePath) {
+  const root = getRealPath(sourcePath);
+  return fs.existsSync(root) && fs.statSync(root).isFile() ? path.dirname(root) : root;
+}
+
+/**
+ * Checks whether a path is inside a directory or is the directory itself
+ * @param {string} dir - Absolute directory path
+ * @param {string} filePath - Absolute file path
+ * @returns {boolean} True if the path does not leave the directory
+ */
+function isInside(dir, filePath) {
+  const relative = path.relative(dir, filePath);
+  return relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+}
+
+/**
+ * Selects a line range or named region from file content
+ * @param {string} content - File content
+ * @param {string} fragment - Line range such as L10-L30, or a region name
+ * @returns {string} Selected lines
+ * @throws {Error} If the range or region does not exist
+ */
+export function selectFragment(content, fragment) {
+  const lines = content.split('\n');
+  const range = fragment.match(LINE_RANGE_PATTERN);
+
+  if (!range) {
+    return dedent(selectRegion(lines, fragment)).join('\n');
+  }
+
+  const start = Number(range[1]);
+  const end = range[2] ? Number(range[2]) : start;
+  if (start < 1 || start > lines.length || end < start) {
+    throw new Error(`Line range ${fragment} is outside the file's ${lines.length} lines`);
+  }
+
+  return lines.slice(start - 1, end).join('\n');
+}
+
+/**
+ * Selects the lines of a named region, leaving out region markers
+ * @param {string[]} lines - File lines
+ * @param {string} name - Region name
+ * @returns {string[]} Lines inside the region
+ * @throws {Error} If the region is missing or never closed
+ */
+function selectRegion(lines, name) {
+  const start = lines.findIndex(line => {
+    const marker = line.match(REGION_START_PATTERN);
+    return marker && marker[1] === name;
+  });
+
+  if (start === -1) {
+    throw new Error(`Region "${name}" not found`);
+  }
+
+  let depth = 0;
+  for (let i = start + 1; i < lines.length; i++) {
+    if (REGION_START_PATTERN.test(lines[i])) {
+      depth++;
+    } else if (REGION_END_PATTERN.test(lines[i]) && depth-- === 0) {
+      return lines.slice(start + 1, i).filter(line => !REGION_START_PATTERN.test(line) && !REGION_END_PATTERN.test(line));
+    }
+  }
+
+  throw new Error(`Region "${name}" is not closed`);
+}
+
+/**
+ * Removes common leading indentation from lines
+ * @param {string[]} lines - Lines to dedent
+ * @returns {string[]} Dedented lines
+ */
+function dedent(lines) {
+  const indents = lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length);
+  const indent = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map(line => line.slice(indent));
+}
@@ -0,0 +1,211 @@
+import { normalizeLanguage } from '../utils/language-normalizer.js';
+
+/**
+ * Variant Grouper
+ *
+ * Merges adjacent code blocks that show the same step in different ways,
+ * such as tabs, npm/yarn/pnpm commands, JavaScript/TypeScript or CommonJS/ESM,
+ * into one snippet with labelled variants. Titles alone do not make blocks
+ * alternatives, since adjacent blocks titled server.js and client.js are different files.
+ */
+
+/**
+ * Languages whose variants differ by language or module system
+ */
+const SCRIPT_LANGUAGES = ['javascript', 'typescript', 'jsx', 'tsx'];
+
+/**
+ * Languages whose variants differ by package manager
+ */
+const SHELL_LANGUAGES = ['bash', 'console', 'powershell'];
+
+/**
+ * Display labels for script languages
+ */
+const LANGUAGE_LABELS = {
+  javascript: 'JavaScript',
+  typescript: 'TypeScript',
+  jsx: 'JSX',
+  tsx: 'TSX'
+};
+
+/**
+ * Matches a package manager command at the start of a line
+ */
+const PACKAGE_MANAGER_PATTERN = /^\s*(?:\$\s+)?(npm|npx|yarn|pnpm|bun|deno)\b/m;
+
+/**
+ * Ways a block can be labelled as a variant, in order of preference.
+ * Blocks are only grouped when they share a kind and its labels tell them apart.
+ */
+const VARIANT_LABELERS = {
+  tab: snippet => snippet.attributes?.tab || '',
+  packageManager: snippet => (SHELL_LANGUAGES.includes(snippet.language) ? getPackageManager(snippet.code) : ''),
+  language: snippet => LANGUAGE_LABELS[snippet.language] || '',
+  moduleSystem: snippet => (SCRIPT_LANGUAGES.includes(snippet.language) ? getModuleSystem(snippet.code) : '')
+};
+
+/**
+ * Merges a snippet into the previous snippet as a variant when they are alternatives
+ * The caller is responsible for checking that the blocks are adjacent.
+ * @param {Object} previous - Previous snippet, possibly already grouped
+ * @param {Object} snippet - Snippet extracted from the next block
+ * @returns {boolean} True if the snippet was merged into the previous one
+ */
+export function mergeVariant(previous, snippet) {
+  if (previous.origin !== 'fence' || snippet.origin !== 'fence') {
+    return false;
+  }
+
+  // A good and a bad example are a pair, not alternatives
+  if (previous.polarity !== snippet.polarity) {
+    return false;
+  }
+
+  if (previous.variants) {
+    return appendVariant(previous, snippet);
+  }
+
+  const kind = Object.keys(VARIANT_LABELERS).find(name => {
+    const first = VARIANT_LABELERS[name](previous);
+    const second = VARIANT_LABELERS[name](snippet);
+    return first && second && first !== second;
+  });
+
+  if (!kind) {
+    return false;
+  }
+
+  previous.variantKind = kind;
+  previous.variants = [createVariant(previous, VARIANT_LABELERS[kind](previous))];
+  return appendVariant(previous, snippet);
+}
+
+/**
+ * Appends a snippet to a group if its label is new
+ * @param {Object} group - Grouped snippet with variantKind and variants
+ * @param {Object} snippet - Snippet extracted from the next block
+ * @returns {boolean} True if the snippet was appended
+ */
+function appendVariant(group, snippet) {
+  const label = VARIANT_LABELERS[group.variantKind](snippet);
+  if (!label || group.variants.some(variant => variant.label === label)) {
+    return false;
+  }
+
+  group.variants.push(createVariant(snippet, label));
+  group.lineEnd = snippet.lineEnd;
+  return true;
+}
+
+/**
+ * Creates a variant from a snippet
+ * @param {Object} snippet - Snippet the variant is taken from
+ * @param {string} label - Variant label
+ * @returns {Object} Variant with label, language, code, any shell output and source lines
+ */
+function createVariant(snippet, label) {
+  return {
+    label,
+    language: snippet.language,
+    code: snippet.code,
+    ...(snippet.output ? { output: snippet.output } : {}),
+    lineStart: snippet.lineStart,
+    lineEnd: snippet.lineEnd
+  };
+}
+
+/**
+ * Reduces grouped snippets to a single preferred variant
+ * Preferences are tried in order and match a variant's label or language,
+ * so "ts" selects a TypeScript variant and "pnpm" a pnpm variant.
+ * Groups without a matching variant are left unchanged.
+ * @param {Array} snippets - Extracted snippets
+ * @param {string[]} [preferences] - Preferred variant labels or languages
+ * @returns {Array} Snippets with preferred variants selected
+ */
+export function selectPreferredVariants(snippets, preferences = []) {
+  if (!preferences || preferences.length === 0) {
+    return snippets;
+  }
+
+  return snippets.map(snippet => {
+    if (!snippet.variants) {
+      return snippet;
+    }
+
+    const variant = findPreferredVariant(snippet.variants, preferences);
+    return variant ? collapseToVariant(snippet, variant) : snippet;
+  });
+}
+
+/**
+ * Finds the first variant matching a preference
+ * @param {Array} variants - Snippet variants
+ * @param {string[]} preferences - Preferred variant labels or languages
+ * @returns {Object|null} Matching variant or null if none matches
+ */
+function findPreferredVariant(variants, preferences) {
+  for (const preference of preferences) {
+    const label = preference.toLowerCase();
+    const language = normalizeLanguage(preference);
+    const variant = variants.find(candidate => candidate.label.toLowerCase() === label || candidate.language === language);
+    if (variant) {
+      return variant;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Replaces a grouped snippet's variants with a single variant
+ * @param {Object} snippet - Grouped snippet
+ * @param {Object} variant - Variant to keep
+ * @returns {Object} Ungrouped snippet
+ */
+export function collapseToVariant(snippet, variant) {
+  const collapsed = {
+    ...snippet,
+    language: variant.language,
+    code: variant.code,
+    lineStart: variant.lineStart,
+    lineEnd: variant.lineEnd
+  };
+
+  delete collapsed.variants;
+  delete collapsed.variantKind;
+  delete collapsed.output;
+  if (variant.output) {
+    collapsed.output = variant.output;
+  }
+
+  return collapsed;
+}
+
+/**
+ * Gets the package manager a shell snippet uses
+ * @param {string} code - Shell code
+ * @returns {string} Package manager name, with npx reported as npm
+ */
+function getPackageManager(code) {
+  const match = (code || '').match(PACKAGE_MANAGER_PATTERN);
+  if (!match) {
+    return '';
+  }
+
+  return match[1] === 'npx' ? 'npm' : match[1];
+}
+
+/**
+ * Gets the module system a script snippet uses
+ * @param {string} code - Script code
+ * @returns {string} 'ESM', 'CommonJS' or empty string when neither is used
+ */
+function getModuleSystem(code) {
+  if (/^\s*(?:import|export)\s/m.test(code || '')) {
+    return 'ESM';
+  }
+
+  return /\brequire\(\s*['"]|\bmodule\.exports\b/.test(code || '') ? 'CommonJS' : '';
+}
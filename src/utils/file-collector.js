@@ -4,10 +4,15 @@ import path from 'path';
 /**
  * File Collector
  *
- * Handles discovery and collection of markdown files from specified directories.
+ * Handles discovery and collection of markdown and MDX files from specified directories.
  * Implements recursive directory traversal with exclusion filtering.
  */
 
+/**
+ * JavaScript and TypeScript source file extensions, including .d.ts declarations
+ */
+const SOURCE_FILE_PATTERN = /\.(?:[cm]?[jt]s|[jt]sx)$/i;
+
 /**
  * Recursively collects all markdown files in given directories
  * @param {string[]} dirs - Directories or files to search
@@ -16,6 +21,27 @@ import path from 'path';
  * @throws {Error} If directory access fails
  */
 export function collectMarkdownFiles(dirs, excludeDirs = []) {
+  return collectFiles(dirs, excludeDirs, isMarkdownFile);
+}
+
+/**
+ * Recursively collects all JavaScript and TypeScript source files in given directories
+ * @param {string[]} dirs - Directories or files to search
+ * @param {string[]} excludeDirs - Directory names to exclude from search
+ * @returns {string[]} Array of source file paths
+ */
+export function collectSourceFiles(dirs, excludeDirs = []) {
+  return collectFiles(dirs, excludeDirs, isSourceFile);
+}
+
+/**
+ * Recursively collects files accepted by a matcher in given directories
+ * @param {string[]} dirs - Directories or files to search
+ * @param {string[]} excludeDirs - Directory names to exclude from search
+ * @param {Function} matcher - Returns true for file names to collect
+ * @returns {string[]} Array of matching file paths
+ */
+function collectFiles(dirs, excludeDirs, matcher) {
   if (!dirs || dirs.length === 0) {
     return [];
   }
@@ -24,7 +50,7 @@ export function collectMarkdownFiles(dirs, excludeDirs = []) {
   const normalizedExcludeDirs = excludeDirs.map(dir => dir.toLowerCase());
 
   for (const dir of dirs) {
-    const files = processDirectory(dir, normalizedExcludeDirs);
+    const files = processDirectory(dir, normalizedExcludeDirs, matcher);
     results.push(...files);
   }
 
@@ -35,18 +61,19 @@ export function collectMarkdownFiles(dirs, excludeDirs = []) {
  * Processes a single directory or file
  * @param {string} dir - Directory or file path
  * @param {string[]} excludeDirs - Normalized exclude directories
- * @returns {string[]} Array of markdown file paths
+ * @param {Function} matcher - Returns true for file names to collect
+ * @returns {string[]} Array of matching file paths
  */
-function processDirectory(dir, excludeDirs) {
+function processDirectory(dir, excludeDirs, matcher) {
   try {
     const stat = fs.statSync(dir);
 
     if (stat.isFile()) {
-      return isMarkdownFile(dir) ? [dir] : [];
+      return matcher(dir) ? [dir] : [];
     }
 
     if (stat.isDirectory()) {
-      return searchDirectory(dir, excludeDirs);
+      return searchDirectory(dir, excludeDirs, matcher);
     }
 
     return [];
@@ -57,12 +84,13 @@ function processDirectory(dir, excludeDirs) {
 }
 
 /**
- * Searches a directory recursively for markdown files
+ * Searches a directory recursively for matching files
  * @param {string} dirPath - Directory path to search
  * @param {string[]} excludeDirs - Lowercase directory names to exclude
- * @returns {string[]} Array of markdown file paths found in directory
+ * @param {Function} matcher - Returns true for file names to collect
+ * @returns {string[]} Array of matching file paths found in directory
  */
-function searchDirectory(dirPath, excludeDirs) {
+function searchDirectory(dirPath, excludeDirs, matcher) {
   const results = [];
 
   try {
@@ -78,9 +106,9 @@ function searchDirectory(dirPath, excludeDirs) {
         }
 
         // Recursively search subdirectory
-        const subResults = searchDirectory(fullPath, excludeDirs);
+        const subResults = searchDirectory(fullPath, excludeDirs, matcher);
         results.push(...subResults);
-      } else if (entry.isFile() && isMarkdownFile(entry.name)) {
+      } else if (entry.isFile() && matcher(entry.name)) {
         results.push(fullPath);
       }
     }
@@ -93,7 +121,7 @@ function searchDirectory(dirPath, excludeDirs) {
 }
 
 /**
- * Checks if a file is a markdown file
+ * Checks if a file is a markdown or MDX file
  * @param {string} fileName - File name to check
  * @returns {boolean} True if file is a markdown file
  */
@@ -103,7 +131,33 @@ function isMarkdownFile(fileName) {
   }
 
   const lowerFileName = fileName.toLowerCase();
-  return lowerFileName.endsWith('.md') || lowerFileName.endsWith('.markdown');
+  return lowerFileName.endsWith('.md') || lowerFileName.endsWith('.markdown') || isMdxFile(fileName);
+}
+
+/**
+ * Checks if a file is an MDX file
+ * @param {string} fileName - File name to check
+ * @returns {boolean} True if file is an MDX file
+ */
+export function isMdxFile(fileName) {
+  if (!fileName || typeof fileName !== 'string') {
+    return false;
+  }
+
+  return fileName.toLowerCase().endsWith('.mdx');
+}
+
+/**
+ * Checks if a file is a JavaScript or TypeScript source file
+ * @param {string} fileName - File name to check
+ * @returns {boolean} True if file is a source file
+ */
+export function isSourceFile(fileName) {
+  if (!fileName || typeof fileName !== 'string') {
+    return false;
+  }
+
+  return SOURCE_FILE_PATTERN.test(fileName);
 }
 
 /**
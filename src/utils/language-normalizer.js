@@ -0,0 +1,110 @@
+/**
+ * Language Normalizer
+ *
+ * Normalizes code block language names to a single canonical name,
+ * so that aliases such as js, mjs and node all become javascript.
+ * Also maps file extensions to the canonical language they are written in.
+ */
+
+/**
+ * Canonical languages with their aliases and file extensions
+ */
+const LANGUAGES = {
+  javascript: { aliases: ['js', 'mjs', 'cjs', 'node', 'nodejs', 'es6', 'ecmascript'], extensions: ['js', 'mjs', 'cjs'] },
+  typescript: { aliases: ['ts', 'mts', 'cts'], extensions: ['ts', 'mts', 'cts'] },
+  jsx: { aliases: ['react'], extensions: ['jsx'] },
+  tsx: { aliases: [], extensions: ['tsx'] },
+  json: { aliases: [], extensions: ['json'] },
+  json5: { aliases: [], extensions: ['json5'] },
+  jsonc: { aliases: [], extensions: ['jsonc'] },
+  bash: { aliases: ['sh', 'shell', 'zsh'], extensions: ['sh', 'bash', 'zsh'] },
+  console: { aliases: ['shell-session', 'shellsession', 'terminal'], extensions: [] },
+  powershell: { aliases: ['ps1', 'pwsh', 'ps'], extensions: ['ps1'] },
+  yaml: { aliases: ['yml'], extensions: ['yml', 'yaml'] },
+  html: { aliases: ['htm', 'xhtml'], extensions: ['html', 'htm'] },
+  css: { aliases: [], extensions: ['css'] },
+  scss: { aliases: ['sass'], extensions: ['scss', 'sass'] },
+  markdown: { aliases: ['md'], extensions: ['md', 'markdown'] },
+  diff: { aliases: ['patch'], extensions: ['diff', 'patch'] },
+  sql: { aliases: ['postgresql', 'postgres', 'mysql', 'sqlite'], extensions: ['sql'] },
+  graphql: { aliases: ['gql'], extensions: ['graphql', 'gql'] },
+  python: { aliases: ['py', 'python3'], extensions: ['py'] },
+  ruby: { aliases: ['rb'], extensions: ['rb'] },
+  go: { aliases: ['golang'], extensions: ['go'] },
+  rust: { aliases: ['rs'], extensions: ['rs'] },
+  java: { aliases: [], extensions: ['java'] },
+  csharp: { aliases: ['cs', 'c#'], extensions: ['cs'] },
+  cpp: { aliases: ['c++', 'cc', 'hpp'], extensions: ['cpp', 'cc', 'hpp'] },
+  dockerfile: { aliases: ['docker'], extensions: [] },
+  text: { aliases: ['txt', 'plaintext', 'plain', 'none'], extensions: ['txt'] }
+};
+
+/**
+ * Lookup from every alias and canonical name to its canonical name
+ */
+const ALIAS_LOOKUP = new Map(
+  Object.entries(LANGUAGES).flatMap(([canonical, { aliases }]) =>
+    [canonical, ...aliases].map(alias => [alias, canonical])
+  )
+);
+
+/**
+ * Lookup from file extension to the canonical language written in it
+ */
+const EXTENSION_LOOKUP = new Map(
+  Object.entries(LANGUAGES).flatMap(([canonical, { extensions }]) =>
+    extensions.map(extension => [extension, canonical])
+  )
+);
+
+/**
+ * Normalizes a language name to its canonical form
+ * Unknown languages are returned lowercased so they still compare consistently.
+ * @param {string} language - Language name from a fence or option
+ * @returns {string} Canonical language name, 'text' when empty
+ */
+export function normalizeLanguage(language) {
+  if (!language || typeof language !== 'string') {
+    return 'text';
+  }
+
+  const normalized = language.trim().toLowerCase();
+  if (!normalized) {
+    return 'text';
+  }
+
+  return ALIAS_LOOKUP.get(normalized) || normalized;
+}
+
+/**
+ * Gets the canonical language for a file extension
+ * @param {string} extension - File extension with or without the leading dot
+ * @returns {string} Canonical language name, 'text' when unknown
+ */
+export function getLanguageForExtension(extension) {
+  if (!extension || typeof extension !== 'string') {
+    return 'text';
+  }
+
+  return EXTENSION_LOOKUP.get(extension.replace(/^\./, '').toLowerCase()) || 'text';
+}
+
+/**
+ * Checks whether a language passes include and exclude filters
+ * Exclusions take precedence over inclusions.
+ * @param {string} language - Language name or alias
+ * @param {Object} [filters] - Language filters
+ * @param {string[]|null} [filters.languages] - Canonical languages to keep, null for all
+ * @param {string[]} [filters.excludeLanguages] - Canonical languages to drop
+ * @returns {boolean} True if snippets in this language should be kept
+ */
+export function isLanguageAllowed(language, filters = {}) {
+  const canonical = normalizeLanguage(language);
+  const { languages, excludeLanguages } = filters;
+
+  if (excludeLanguages && excludeLanguages.includes(canonical)) {
+    return false;
+  }
+
+  return !languages || languages.length === 0 || languages.includes(canonical);
+}
@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { readPackageJson } from './source-url-manager.js';
+import { isSourceFile } from './file-collector.js';
 
 /**
  * Package Grouper
@@ -45,7 +46,7 @@ export function groupFilesByPackage(markdownFiles) {
  * @param {string} filePath - Path to markdown file
  * @returns {Object|null} Package context or null if not in a package
  */
-function getPackageContext(filePath) {
+export function getPackageContext(filePath) {
   const fileDir = path.dirname(filePath);
 
   // Look for package.json in the same directory as the markdown file
@@ -106,11 +107,12 @@ function checkParentDirectories(startDir, maxDepth) {
 
 /**
  * Checks if a package has multiple markdown files
+ * Source files collected for JSDoc examples are not counted.
  * @param {Object} packageGroup - Package group object
  * @returns {boolean} True if package has multiple markdown files
  */
 export function hasMultipleMarkdownFiles(packageGroup) {
-  return packageGroup.files.length > 1;
+  return packageGroup.files.filter(file => !isSourceFile(file)).length > 1;
 }
 
 /**
@@ -51,6 +51,17 @@ export function toForwardSlashes(filePath) {
   return filePath.replace(/\\/g, '/');
 }
 
+/**
+ * Builds a relative link from a directory to a file
+ * @param {string} fromDir - Directory of the file containing the link
+ * @param {string} toFile - Linked file path
+ * @returns {string} URI-encoded path with forward slashes, starting with ./ or ../
+ */
+export function toRelativeLink(fromDir, toFile) {
+  const relative = toForwardSlashes(path.relative(fromDir, toFile));
+  return encodeURI(/^\.\.?\//.test(relative) ? relative : `./${relative}`);
+}
+
 /**
  * Converts a path to use platform-specific separators
  * @param {string} filePath - Path to convert
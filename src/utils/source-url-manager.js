@@ -10,12 +10,25 @@ import path from 'path';
 
 const repoRoot = process.cwd();
 
+/**
+ * Line anchor formats of the supported code hosts
+ */
+const LINE_ANCHOR_FORMATS = {
+  github: { single: 'L{start}', range: 'L{start}-L{end}' },
+  gitlab: { single: 'L{start}', range: 'L{start}-{end}' },
+  bitbucket: { single: 'lines-{start}', range: 'lines-{start}:{end}' }
+};
+
 /**
  * Gets the source URL for a given file path
+ * With a custom base URL, a line range deep-links to the lines on the code host.
  * @param {string} filePath - Path to the file
+ * @param {Object} [lines] - Lines to link to
+ * @param {number|null} [lines.start] - First line, 1-based
+ * @param {number|null} [lines.end] - Last line, 1-based
  * @returns {string} Source URL for the file
  */
-export function getSourceUrl(filePath) {
+export function getSourceUrl(filePath, lines = {}) {
   if (!filePath) {
     return '';
   }
@@ -24,7 +37,7 @@ export function getSourceUrl(filePath) {
   const customBaseUrl = process.env.SOURCE_BASE_URL;
   if (customBaseUrl) {
     const relativePath = getRelativePath(filePath);
-    return `${customBaseUrl}${relativePath}`;
+    return `${customBaseUrl}${relativePath}${formatLineAnchor(customBaseUrl, lines.start, lines.end)}`;
   }
 
   // Handle node_modules packages
@@ -37,6 +50,46 @@ export function getSourceUrl(filePath) {
   return getRelativePath(filePath);
 }
 
+/**
+ * Formats a line anchor in the syntax of the code host serving a URL
+ * GitHub syntax is used for hosts that are not recognised.
+ * @param {string} url - Source URL or base URL
+ * @param {number|null} start - First line, 1-based
+ * @param {number|null} [end] - Last line, 1-based
+ * @returns {string} Anchor such as #L42-L58, or empty string without a start line
+ */
+export function formatLineAnchor(url, start, end) {
+  if (!start) {
+    return '';
+  }
+
+  const format = LINE_ANCHOR_FORMATS[detectCodeHost(url)];
+  const template = end && end !== start ? format.range : format.single;
+  return `#${template.replace('{start}', start).replace('{end}', end)}`;
+}
+
+/**
+ * Detects the code host serving a URL
+ * Self-hosted GitLab and Bitbucket are recognised by their host name, GitLab also by its /-/blob/ paths.
+ * @param {string} url - Source URL or base URL
+ * @returns {string} 'github', 'gitlab' or 'bitbucket'
+ */
+export function detectCodeHost(url) {
+  const lowerUrl = (url || '').toLowerCase();
+  const hostMatch = lowerUrl.match(/^[a-z][a-z\d+.-]*:\/\/([^/]+)/);
+  const host = hostMatch ? hostMatch[1] : '';
+
+  if (host.includes('gitlab') || lowerUrl.includes('/-/blob/')) {
+    return 'gitlab';
+  }
+
+  if (host.includes('bitbucket')) {
+    return 'bitbucket';
+  }
+
+  return 'github';
+}
+
 /**
  * Gets the relative path from repository root
  * @param {string} filePath - Absolute file path
@@ -18,6 +18,9 @@ describe('Option Validator', () => {
   test('should validate and set format option', () => {
     const result = validateOptions({ format: 'mdc' });
     assert.strictEqual(result.format, 'mdc');
+    assert.strictEqual(validateOptions({ format: 'jsonl' }).format, 'jsonl');
+    assert.strictEqual(validateOptions({ format: 'copilot' }).format, 'copilot');
+    assert.strictEqual(validateOptions({ format: 'windsurf' }).format, 'windsurf');
   });
 
   test('should throw error for invalid format', () => {
@@ -170,4 +173,106 @@ describe('Option Validator', () => {
     assert.strictEqual(result.alwaysApply, null);
     assert.strictEqual(result.applyGlob, '**/*.js');
   });
+
+  test('should default to no language filters', () => {
+    const result = validateOptions({});
+    assert.strictEqual(result.languages, null);
+    assert.deepStrictEqual(result.excludeLanguages, []);
+  });
+
+  test('should parse and normalise language lists', () => {
+    const result = validateOptions({ languages: 'js, mjs,ts,jsx', excludeLanguages: 'sh,text,console' });
+    assert.deepStrictEqual(result.languages, ['javascript', 'typescript', 'jsx']);
+    assert.deepStrictEqual(result.excludeLanguages, ['bash', 'text', 'console']);
+  });
+
+  test('should throw error for an empty languages list', () => {
+    assert.throws(() => {
+      validateOptions({ languages: ' , ' });
+    }, /Invalid languages/);
+  });
+
+  test('should enable language detection unless disabled', () => {
+    assert.strictEqual(validateOptions({}).detectLanguage, true);
+    assert.strictEqual(validateOptions({ detectLanguage: false }).detectLanguage, false);
+  });
+
+  test('should disable snippet validation by default', () => {
+    const result = validateOptions({});
+    assert.strictEqual(result.validate, false);
+    assert.strictEqual(result.dropInvalid, false);
+    assert.strictEqual(result.failOnInvalid, false);
+  });
+
+  test('should enable validation when dropping or failing on invalid snippets', () => {
+    assert.strictEqual(validateOptions({ validate: true }).validate, true);
+    assert.strictEqual(validateOptions({ dropInvalid: true }).validate, true);
+    assert.strictEqual(validateOptions({ failOnInvalid: true }).validate, true);
+  });
+
+  test('should parse preferred variants in order', () => {
+    assert.deepStrictEqual(validateOptions({}).preferVariants, []);
+    assert.deepStrictEqual(validateOptions({ preferVariant: 'ts, pnpm,' }).preferVariants, ['ts', 'pnpm']);
+  });
+
+  test('should redact secrets unless disabled', () => {
+    assert.strictEqual(validateOptions({}).redact, true);
+    assert.strictEqual(validateOptions({ redact: false }).redact, false);
+    assert.strictEqual(validateOptions({ redact: false, failOnSecret: true }).redact, true, '--fail-on-secret implies redaction');
+
+    const validated = validateOptions({ redactPattern: ['ACCOUNT=acct-\\d+', 'internal-[a-z]+'], redactAllow: ['@acme\\.com$'] });
+    assert.deepStrictEqual(validated.redactPatterns.map(({ name, pattern }) => [name, pattern.source, pattern.flags]), [
+      ['ACCOUNT', 'acct-\\d+', 'g'],
+      ['REDACTED', 'internal-[a-z]+', 'g']
+    ]);
+    assert.strictEqual(validated.redactAllow[0].test('ops@acme.com'), true);
+    assert.throws(() => validateOptions({ redactPattern: ['('] }), /Invalid redact pattern: \(/);
+  });
+
+  test('should validate description options', () => {
+    const defaults = validateOptions({});
+    assert.strictEqual(defaults.descriptionStrategy, 'paragraph');
+    assert.strictEqual(defaults.descriptionAfter, false);
+    assert.strictEqual(defaults.descriptionMaxLength, null);
+
+    const validated = validateOptions({ descriptionStrategy: 'section', descriptionAfter: true, descriptionMaxLength: '200' });
+    assert.strictEqual(validated.descriptionStrategy, 'section');
+    assert.strictEqual(validated.descriptionAfter, true);
+    assert.strictEqual(validated.descriptionMaxLength, 200);
+
+    assert.throws(() => validateOptions({ descriptionStrategy: 'all' }), /Invalid description strategy: all/);
+    assert.throws(() => validateOptions({ descriptionMaxLength: '0' }), /Invalid description max length: 0/);
+  });
+
+  test('should keep markdown in descriptions unless plain', () => {
+    assert.strictEqual(validateOptions({}).plainDescriptions, false);
+    assert.strictEqual(validateOptions({ plainDescriptions: true }).plainDescriptions, true);
+  });
+
+  test('should keep shell session output unless dropped', () => {
+    assert.strictEqual(validateOptions({}).dropShellOutput, false);
+    assert.strictEqual(validateOptions({ dropShellOutput: true }).dropShellOutput, true);
+  });
+
+  test('should only extract guidelines when enabled', () => {
+    assert.strictEqual(validateOptions({}).guidelines, false);
+    assert.strictEqual(validateOptions({ guidelines: true }).guidelines, true);
+  });
+
+  test('should only write llms.txt when enabled', () => {
+    assert.strictEqual(validateOptions({}).llmsTxt, false);
+    assert.strictEqual(validateOptions({ llmsTxt: true }).llmsTxt, true);
+  });
+
+  test('should collect agent instruction files', () => {
+    assert.deepStrictEqual(validateOptions({}).agentsFiles, []);
+    assert.deepStrictEqual(validateOptions({ agentsFile: 'AGENTS.md' }).agentsFiles, ['AGENTS.md']);
+    assert.deepStrictEqual(validateOptions({ agentsFile: [' AGENTS.md ', '', 'CLAUDE.md'] }).agentsFiles,
+      ['AGENTS.md', 'CLAUDE.md']);
+  });
+
+  test('should only extract tables when enabled', () => {
+    assert.strictEqual(validateOptions({}).tables, false);
+    assert.strictEqual(validateOptions({ tables: true }).tables, true);
+  });
 });
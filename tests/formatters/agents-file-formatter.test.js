@@ -0,0 +1,88 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  SECTION_START,
+  SECTION_END,
+  usesImports,
+  generateAgentsSection,
+  updateManagedSection
+} from '../../src/formatters/agents-file-formatter.js';
+
+const entries = [
+  {
+    title: 'Client',
+    description: 'Create and use API clients.',
+    link: './rules/@acme/client.md',
+    package: { scope: '@acme', name: 'client' },
+    guidelines: [
+      { text: 'Never log tokens.', keyword: 'NEVER' },
+      { text: 'Clients should be reused.', keyword: 'SHOULD' }
+    ]
+  },
+  {
+    title: 'Deploying',
+    description: '',
+    link: './rules/deploy%20guide.md',
+    package: null,
+    guidelines: [{ text: 'Never log tokens.', keyword: 'NEVER' }]
+  }
+];
+
+describe('Agents File Formatter', () => {
+  test('should use imports for CLAUDE.md only', () => {
+    assert.strictEqual(usesImports('CLAUDE.md'), true);
+    assert.strictEqual(usesImports('docs/CLAUDE.local.md'), true);
+    assert.strictEqual(usesImports('AGENTS.md'), false);
+    assert.strictEqual(usesImports('.github/copilot-instructions.md'), false);
+  });
+
+  test('should link rule files by package with key guidelines', () => {
+    const packageDescriptions = new Map([['@acme/client', 'Acme API client']]);
+
+    assert.strictEqual(generateAgentsSection(entries, { packageDescriptions }), [
+      SECTION_START,
+      '<!-- Generated by md2llm; changes between these markers are overwritten -->',
+      '',
+      '## Documentation Rules',
+      '',
+      '### @acme/client',
+      '',
+      'Acme API client',
+      '',
+      '- [Client](./rules/@acme/client.md): Create and use API clients.',
+      '',
+      '### Documentation',
+      '',
+      '- [Deploying](./rules/deploy%20guide.md)',
+      '',
+      '## Key Guidelines',
+      '',
+      '- Never log tokens.',
+      '',
+      SECTION_END
+    ].join('\n'));
+  });
+
+  test('should import rule files by path', () => {
+    const section = generateAgentsSection(entries, { imports: true });
+
+    assert(section.includes('- Client: @rules/@acme/client.md - Create and use API clients.\n'));
+    assert(section.includes('- Deploying: @rules/deploy guide.md\n'));
+  });
+
+  test('should append the section after existing content', () => {
+    assert.strictEqual(updateManagedSection('', 'SECTION'), 'SECTION\n');
+    assert.strictEqual(updateManagedSection('# Notes\n\nKeep this.\n\n', 'SECTION'), '# Notes\n\nKeep this.\n\nSECTION\n');
+  });
+
+  test('should replace only the existing section', () => {
+    const content = `# Notes\n\n${SECTION_START}\nold\n${SECTION_END}\n\nFooter\n`;
+
+    assert.strictEqual(updateManagedSection(content, 'NEW'), '# Notes\n\nNEW\n\nFooter\n');
+  });
+
+  test('should reject unbalanced markers', () => {
+    assert.throws(() => updateManagedSection(`${SECTION_START}\nold\n`, 'NEW'), /Expected <!-- md2llm:start -->/);
+    assert.throws(() => updateManagedSection(`${SECTION_END}\n${SECTION_START}\n`, 'NEW'), /followed by/);
+  });
+});
@@ -0,0 +1,95 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { generateCopilotContent } from '../../src/formatters/copilot-formatter.js';
+
+const snippet = {
+  title: 'Create a client',
+  description: 'Pass the API URL.',
+  source: 'packages/client/README.md',
+  language: 'javascript',
+  code: 'const client = createClient(url);'
+};
+
+const outputInfo = {
+  outputFileName: 'acme-client',
+  package: { scope: '@acme', name: 'client' },
+  applyTo: 'packages/client/**'
+};
+
+describe('Copilot Formatter', () => {
+  test('should write guidelines, references and examples as markdown sections', () => {
+    const content = generateCopilotContent([snippet], {
+      ...outputInfo,
+      guidelines: [{ text: 'Never log tokens.', keyword: 'NEVER' }],
+      references: [{
+        context: 'Options',
+        columns: ['Option', 'Description'],
+        rows: [{ key: '`url`', type: 'string', default: '', description: 'API URL' }]
+      }]
+    });
+
+    assert.strictEqual(content, [
+      '---',
+      'applyTo: "packages/client/**"',
+      '---',
+      '',
+      '# @acme/client',
+      '',
+      '## Guidelines',
+      '',
+      '- Never log tokens.',
+      '',
+      '## Reference',
+      '',
+      '### Options',
+      '',
+      '- `url` (string): API URL',
+      '',
+      '## Examples',
+      '',
+      '### Create a client',
+      '',
+      'Pass the API URL.',
+      '',
+      '```javascript',
+      'const client = createClient(url);',
+      '```',
+      '',
+      'Source: packages/client/README.md',
+      ''
+    ].join('\n'));
+  });
+
+  test('should prefer --apply-glob and front matter globs over the package location', () => {
+    const content = generateCopilotContent([snippet], outputInfo, { applyGlob: '**/*.ts', description: 'Client usage' });
+
+    assert(content.startsWith('---\ndescription: "Client usage"\napplyTo: "**/*.ts"\n---\n'));
+  });
+
+  test('should map alwaysApply to all files or to no applyTo', () => {
+    assert(generateCopilotContent([snippet], outputInfo, { alwaysApply: true }).startsWith('---\napplyTo: "**"\n---\n'));
+    assert(generateCopilotContent([snippet], outputInfo, { alwaysApply: false }).startsWith('# @acme/client\n'));
+    const standalone = generateCopilotContent([snippet], { outputFileName: 'notes', package: null });
+    assert(standalone.includes('applyTo: "**"\n---\n\n# notes\n'));
+  });
+
+  test('should render variants, shell output and DON\'T / DO pairs', () => {
+    const install = {
+      title: 'Install',
+      variants: [
+        { label: 'npm', language: 'bash', code: 'npm install client', output: 'added 1 package' },
+        { label: 'yarn', language: 'bash', code: 'yarn add client' }
+      ]
+    };
+    const negative = { ...snippet, title: 'Close clients', description: 'Leak the connection.', polarity: 'negative' };
+    const positive = {
+      ...snippet, title: 'Close clients', description: 'Close it.', polarity: 'positive', code: 'client.close();'
+    };
+    const content = generateCopilotContent([install, negative, positive], outputInfo);
+
+    assert(content.includes('### Install\n\nnpm:\n\n```bash\nnpm install client\n```\n\n'));
+    assert(content.includes('Output:\n\n```text\nadded 1 package\n```\n\nyarn:\n'));
+    assert(content.includes("### Close clients\n\nDON'T: Leak the connection.\n\n```javascript"));
+    assert(content.includes('DO: Close it.\n\n```javascript\nclient.close();\n```'));
+  });
+});
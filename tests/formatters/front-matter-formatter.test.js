@@ -0,0 +1,59 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { RULE_FORMATS, generateFrontMatter } from '../../src/formatters/front-matter-formatter.js';
+
+const outputInfo = { outputFileName: 'client' };
+
+describe('Front Matter Formatter', () => {
+  test('should list the rule formats with front matter', () => {
+    assert.deepStrictEqual(RULE_FORMATS, ['mdc', 'windsurf', 'cline', 'continue']);
+    assert.strictEqual(generateFrontMatter('md', outputInfo), '');
+  });
+
+  test('should map activation options to windsurf triggers', () => {
+    assert.strictEqual(generateFrontMatter('windsurf', outputInfo), '---\ntrigger: always_on\ndescription: "client"\n---\n');
+    assert.strictEqual(
+      generateFrontMatter('windsurf', outputInfo, { alwaysApply: false, description: 'Client usage' }),
+      '---\ntrigger: model_decision\ndescription: "Client usage"\n---\n'
+    );
+    assert.strictEqual(
+      generateFrontMatter('windsurf', outputInfo, { applyGlob: '**/*.{js,ts}' }),
+      '---\ntrigger: glob\ndescription: "client"\nglobs: "**/*.{js,ts}"\n---\n'
+    );
+  });
+
+  test('should only write cline paths for globs', () => {
+    assert.strictEqual(generateFrontMatter('cline', outputInfo), '');
+    assert.strictEqual(generateFrontMatter('cline', outputInfo, { alwaysApply: false }), '');
+    assert.strictEqual(
+      generateFrontMatter('cline', outputInfo, { applyGlob: 'src/**/*.{js,ts}, docs/**' }),
+      '---\npaths: ["src/**/*.{js,ts}","docs/**"]\n---\n'
+    );
+  });
+
+  test('should map activation options to continue rule metadata', () => {
+    assert.strictEqual(
+      generateFrontMatter('continue', outputInfo),
+      '---\nname: "client"\ndescription: "client"\nalwaysApply: true\n---\n'
+    );
+    assert(generateFrontMatter('continue', outputInfo, { alwaysApply: false }).includes('\nalwaysApply: false\n'));
+
+    const globbed = generateFrontMatter('continue', outputInfo, { applyGlob: '**/*.tsx' });
+    assert(globbed.includes('\nglobs: ["**/*.tsx"]\n'));
+    assert(!globbed.includes('alwaysApply'), 'rules with globs should apply when a matching file is in context');
+  });
+
+  test('should write mdc front matter', () => {
+    assert.strictEqual(
+      generateFrontMatter('mdc', outputInfo, { applyGlob: '**/*.js', tags: ['api'] }),
+      '---\ndescription: "client"\nglob: "**/*.js"\ntags: ["api"]\n---\n'
+    );
+  });
+
+  test('should quote mdc descriptions so they stay valid YAML', () => {
+    assert.strictEqual(
+      generateFrontMatter('mdc', outputInfo, { description: 'Guide: how to "use" it' }),
+      '---\ndescription: "Guide: how to \\"use\\" it"\nalwaysApply: true\n---\n'
+    );
+  });
+});
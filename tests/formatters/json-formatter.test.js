@@ -0,0 +1,100 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  isJsonFormat,
+  generateJsonContent,
+  createSnippetRecord
+} from '../../src/formatters/json-formatter.js';
+
+const snippet = {
+  title: 'Create a client',
+  description: 'Pass the API URL.',
+  source: 'https://github.com/org/repo/blob/main/README.md#L5-L7',
+  language: 'javascript',
+  code: 'const client = createClient(url);',
+  lineStart: 5,
+  lineEnd: 7,
+  headingPath: ['Client', 'Setup'],
+  highlightLines: [{ start: 1, end: 1 }],
+  flags: []
+};
+
+const outputInfo = { package: { name: 'client', scope: '@org' } };
+
+describe('JSON Formatter', () => {
+  test('should recognise json formats', () => {
+    assert.strictEqual(isJsonFormat('json'), true);
+    assert.strictEqual(isJsonFormat('jsonl'), true);
+    assert.strictEqual(isJsonFormat('md'), false);
+  });
+
+  test('should create snippet records with location and package', () => {
+    const record = createSnippetRecord(snippet, outputInfo);
+
+    assert.strictEqual(record.kind, 'snippet');
+    assert.match(record.hash, /^[0-9a-f]{64}$/);
+    assert.strictEqual(record.title, 'Create a client');
+    assert.strictEqual(record.description, 'Pass the API URL.');
+    assert.strictEqual(record.language, 'javascript');
+    assert.strictEqual(record.code, 'const client = createClient(url);');
+    assert.strictEqual(record.output, null);
+    assert.deepStrictEqual(record.variants, []);
+    assert.strictEqual(record.polarity, null);
+    assert.strictEqual(record.source, snippet.source);
+    assert.strictEqual(record.lineStart, 5);
+    assert.deepStrictEqual(record.package, { name: 'client', scope: '@org' });
+    assert.deepStrictEqual(record.headingPath, ['Client', 'Setup']);
+  });
+
+  test('should hash content only', () => {
+    const moved = createSnippetRecord({ ...snippet, title: 'Other', source: 'docs/a.md', lineStart: 40 }, outputInfo);
+    const changed = createSnippetRecord({ ...snippet, code: 'createClient();' }, outputInfo);
+
+    assert.strictEqual(moved.hash, createSnippetRecord(snippet, outputInfo).hash);
+    assert.notStrictEqual(changed.hash, moved.hash);
+  });
+
+  test('should list the variants of grouped snippets', () => {
+    const grouped = {
+      ...snippet,
+      language: 'bash',
+      code: 'npm install client',
+      variants: [
+        { label: 'npm', language: 'bash', code: 'npm install client' },
+        { label: 'yarn', language: 'bash', code: 'yarn add client', output: 'Done' }
+      ]
+    };
+
+    assert.deepStrictEqual(createSnippetRecord(grouped, outputInfo).variants, [
+      { label: 'npm', language: 'bash', code: 'npm install client', output: null },
+      { label: 'yarn', language: 'bash', code: 'yarn add client', output: 'Done' }
+    ]);
+  });
+
+  test('should write json as an array of guideline, reference and snippet records', () => {
+    const guidelines = [{ text: 'Never log tokens.', keyword: 'NEVER', source: 'README.md', lineStart: 3, lineEnd: 3 }];
+    const references = [{
+      context: 'Options',
+      columns: ['Option', 'Description'],
+      rows: [{ key: 'url', type: '', default: '', description: 'API URL' }],
+      source: 'README.md'
+    }];
+    const records = JSON.parse(generateJsonContent([snippet], { ...outputInfo, guidelines, references }, 'json'));
+
+    assert.deepStrictEqual(records.map(record => record.kind), ['guideline', 'reference', 'snippet']);
+    assert.strictEqual(records[0].text, 'Never log tokens.');
+    assert.strictEqual(records[1].title, 'Options');
+    assert.strictEqual(records[1].lineStart, null);
+    assert.deepStrictEqual(records[1].rows, references[0].rows);
+  });
+
+  test('should write jsonl as one record per line, even when code contains markers', () => {
+    const tricky = { ...snippet, code: 'console.log("TITLE: x\\nCODE:");\n// ----------------------------------------' };
+    const content = generateJsonContent([snippet, tricky], {}, 'jsonl');
+    const lines = content.trimEnd().split('\n');
+
+    assert.strictEqual(lines.length, 2);
+    assert.strictEqual(JSON.parse(lines[1]).code, tricky.code);
+    assert.strictEqual(JSON.parse(lines[0]).package, null);
+  });
+});
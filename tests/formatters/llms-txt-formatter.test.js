@@ -0,0 +1,61 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { generateLlmsTxt, generateLlmsFullTxt } from '../../src/formatters/llms-txt-formatter.js';
+
+const project = { name: 'acme', description: 'Acme SDKs and guides' };
+
+const entries = [
+  {
+    title: 'Client',
+    description: 'Create and use API clients.',
+    link: './@acme/client.md',
+    package: { scope: '@acme', name: 'client' },
+    content: 'TITLE: Connect\n\n@client\n'
+  },
+  {
+    title: 'Deploying [beta]',
+    description: '',
+    link: './deploy.mdc',
+    package: null,
+    content: '---\ndescription: "deploy"\nalwaysApply: true\n---\nTITLE: Deploy\n'
+  },
+  {
+    title: 'Retries',
+    description: 'Retry failed requests.',
+    link: './@acme/client/retries.md',
+    package: { scope: '@acme', name: 'client' },
+    content: 'TITLE: Retry\n'
+  }
+];
+
+describe('llms.txt Formatter', () => {
+  test('should list rule files in a section per package', () => {
+    assert.strictEqual(generateLlmsTxt(project, entries), [
+      '# acme',
+      '',
+      '> Acme SDKs and guides',
+      '',
+      '## @acme/client',
+      '',
+      '- [Client](./@acme/client.md): Create and use API clients.',
+      '- [Retries](./@acme/client/retries.md): Retry failed requests.',
+      '',
+      '## Documentation',
+      '',
+      '- [Deploying \\[beta\\]](./deploy.mdc)',
+      ''
+    ].join('\n'));
+  });
+
+  test('should leave out the summary quote without a description', () => {
+    assert.strictEqual(generateLlmsTxt({ name: 'docs', description: '' }, []), '# docs\n');
+  });
+
+  test('should concatenate rule file content without front matter', () => {
+    const content = generateLlmsFullTxt(project, entries.slice(0, 2));
+
+    assert(content.startsWith('# acme\n\n> Acme SDKs and guides\n\n## Client\n\nFILE: ./@acme/client.md\n\nTITLE: Connect'));
+    assert(content.includes('## Deploying [beta]\n\nFILE: ./deploy.mdc\n\nTITLE: Deploy\n'));
+    assert(!content.includes('alwaysApply'), 'MDC front matter should be left out');
+  });
+});
@@ -4,7 +4,8 @@ import assert from 'node:assert';
 import {
   generateOutputContent,
   getOutputExtension,
-  isValidFormat
+  isValidFormat,
+  isPackageFileFormat
 } from '../../src/formatters/output-formatter.js';
 
 /**
@@ -62,7 +63,7 @@ function assertMdFormat(content) {
  */
 function assertMdcFormat(content) {
   assert(content.includes('---'));
-  assert(content.includes('description: test'));
+  assert(content.includes('description: "test"'));
   assert(content.includes('alwaysApply: true'));
   assert(content.includes('TITLE: Test Snippet 1'));
   assert(content.includes('TITLE: Test Snippet 2'));
@@ -97,7 +98,7 @@ describe('Output Formatter', () => {
   test('should generate mdc format content with alwaysApply: false', () => {
     const content = generateOutputContent(mockSnippets, mockOutputInfo, 'mdc', { alwaysApply: false });
     assert(content.includes('---'));
-    assert(content.includes('description: test'));
+    assert(content.includes('description: "test"'));
     assert(content.includes('alwaysApply: false'));
     assert(content.includes('TITLE: Test Snippet 1'));
     assert(content.includes('@test'));
@@ -106,7 +107,7 @@ describe('Output Formatter', () => {
   test('should generate mdc format content with applyGlob', () => {
     const content = generateOutputContent(mockSnippets, mockOutputInfo, 'mdc', { applyGlob: '**/*.js' });
     assert(content.includes('---'));
-    assert(content.includes('description: test'));
+    assert(content.includes('description: "test"'));
     assert(content.includes('glob: "**/*.js"'));
     assert(!content.includes('alwaysApply'));
     assert(content.includes('TITLE: Test Snippet 1'));
@@ -116,12 +117,17 @@ describe('Output Formatter', () => {
   test('should generate mdc format content with explicit alwaysApply: true', () => {
     const content = generateOutputContent(mockSnippets, mockOutputInfo, 'mdc', { alwaysApply: true });
     assert(content.includes('---'));
-    assert(content.includes('description: test'));
+    assert(content.includes('description: "test"'));
     assert(content.includes('alwaysApply: true'));
     assert(content.includes('TITLE: Test Snippet 1'));
     assert(content.includes('@test'));
   });
 
+  test('should use document description and tags in mdc frontmatter', () => {
+    const content = generateOutputContent(mockSnippets, mockOutputInfo, 'mdc', { description: 'React hooks', tags: ['react', 'hooks'] });
+    assert(content.startsWith('---\ndescription: "React hooks"\nalwaysApply: true\ntags: ["react","hooks"]\n---\n'));
+  });
+
   test('should handle empty snippets array', () => {
     const content = generateOutputContent([], mockOutputInfo, 'md');
     assert.strictEqual(content, '');
@@ -132,6 +138,50 @@ describe('Output Formatter', () => {
     assert.strictEqual(content, '');
   });
 
+  test('should render guidelines ahead of snippets', () => {
+    const guidelines = [{ text: 'You MUST close the client.', context: 'Usage', source: 'README.md' }];
+    const content = generateOutputContent(mockSnippets, { ...mockOutputInfo, guidelines }, 'md');
+    assert(content.startsWith('GUIDELINE: You MUST close the client.\nCONTEXT: Usage\nSOURCE: README.md'));
+    assert(content.indexOf('GUIDELINE:') < content.indexOf('TITLE: Test Snippet 1'));
+  });
+
+  test('should generate content for guidelines without snippets', () => {
+    const guidelines = [{ text: 'Never log tokens.', context: '', source: 'README.md' }];
+    const content = generateOutputContent([], { ...mockOutputInfo, guidelines }, 'md');
+    assert(content.includes('GUIDELINE: Never log tokens.'));
+    assert(!content.includes('TITLE:'));
+  });
+
+  test('should render table references after guidelines and ahead of snippets', () => {
+    const guidelines = [{ text: 'You MUST close the client.', context: 'Usage', source: 'README.md' }];
+    const references = [{
+      context: 'Options',
+      columns: ['Option', 'Description'],
+      rows: [{ key: '`timeout`', type: 'number', default: '', description: 'Request timeout' }],
+      source: 'README.md'
+    }];
+    const content = generateOutputContent(mockSnippets, { ...mockOutputInfo, guidelines, references }, 'md');
+    assert(content.includes('REFERENCE: Options\nSOURCE: README.md\n\n- `timeout` (number): Request timeout'));
+    assert(content.indexOf('GUIDELINE:') < content.indexOf('REFERENCE:'));
+    assert(content.indexOf('REFERENCE:') < content.indexOf('TITLE: Test Snippet 1'));
+
+    const referencesOnly = generateOutputContent([], { ...mockOutputInfo, references }, 'mdc');
+    assert(referencesOnly.includes('REFERENCE: Options'));
+  });
+
+  test('should render consecutive opposite examples as a DON\'T / DO pair', () => {
+    const snippets = [
+      { title: 'State', code: 'return [...a, b];', language: 'javascript', polarity: 'positive' },
+      { title: 'State', code: 'a.push(b);', language: 'javascript', polarity: 'negative' },
+      { title: 'Other', code: 'eval(input);', language: 'javascript', polarity: 'negative' }
+    ];
+    const content = generateOutputContent(snippets, mockOutputInfo, 'md');
+
+    assert.strictEqual(content.split('TITLE:').length - 1, 2, 'Pair should be rendered as one entry');
+    assert(content.indexOf("DON'T: \n```javascript\na.push(b);") < content.indexOf('DO: \n```javascript\nreturn [...a, b];'));
+    assert(content.includes("TITLE: Other\nDESCRIPTION: \nSOURCE: \nLANGUAGE: javascript\nEXAMPLE: DON'T"));
+  });
+
   test('should handle snippets with missing fields', () => {
     const incompleteSnippets = [
       {
@@ -175,6 +225,52 @@ describe('Output Formatter', () => {
     assert.strictEqual(extension, '.mdc');
   });
 
+  test('should get correct output extension for json formats', () => {
+    assert.strictEqual(getOutputExtension('json'), '.json');
+    assert.strictEqual(getOutputExtension('jsonl'), '.jsonl');
+  });
+
+  test('should get the md extension for windsurf, cline and continue formats', () => {
+    assert.strictEqual(getOutputExtension('windsurf'), '.md');
+    assert.strictEqual(getOutputExtension('cline'), '.md');
+    assert.strictEqual(getOutputExtension('continue'), '.md');
+  });
+
+  test('should generate rule formats with their own front matter', () => {
+    const windsurf = generateOutputContent(mockSnippets, mockOutputInfo, 'windsurf', { applyGlob: '**/*.js' });
+    const cline = generateOutputContent(mockSnippets, mockOutputInfo, 'cline');
+
+    assert(windsurf.startsWith('---\ntrigger: glob\n'));
+    assert(windsurf.includes('TITLE: Test Snippet 1'));
+    assert(cline.startsWith('TITLE: Test Snippet 1'), 'Cline rules that always apply need no front matter');
+  });
+
+  test('should get the instructions extension for copilot format', () => {
+    assert.strictEqual(getOutputExtension('copilot'), '.instructions.md');
+  });
+
+  test('should write one file per package only for copilot format', () => {
+    assert.strictEqual(isPackageFileFormat('copilot'), true);
+    assert.strictEqual(isPackageFileFormat('md'), false);
+    assert.strictEqual(isPackageFileFormat('mdc'), false);
+  });
+
+  test('should generate copilot instructions without an at-tag', () => {
+    const content = generateOutputContent(mockSnippets, mockOutputInfo, 'copilot', { applyGlob: 'src/**' });
+
+    assert(content.startsWith('---\napplyTo: "src/**"\n---\n'));
+    assert(content.includes('### Test Snippet 1'));
+    assert(!content.includes('@test'), 'Instructions should not have an at-tag');
+  });
+
+  test('should generate records for json formats', () => {
+    const content = generateOutputContent(mockSnippets, mockOutputInfo, 'jsonl');
+    const records = content.trimEnd().split('\n').map(line => JSON.parse(line));
+
+    assert.deepStrictEqual(records.map(record => record.title), ['Test Snippet 1', 'Test Snippet 2']);
+    assert(!content.includes('@test'), 'Records should not have an at-tag');
+  });
+
   test('should validate md format', () => {
     assert.strictEqual(isValidFormat('md'), true);
   });
@@ -183,6 +279,21 @@ describe('Output Formatter', () => {
     assert.strictEqual(isValidFormat('mdc'), true);
   });
 
+  test('should validate json formats', () => {
+    assert.strictEqual(isValidFormat('json'), true);
+    assert.strictEqual(isValidFormat('jsonl'), true);
+  });
+
+  test('should validate copilot format', () => {
+    assert.strictEqual(isValidFormat('copilot'), true);
+  });
+
+  test('should validate windsurf, cline and continue formats', () => {
+    assert.strictEqual(isValidFormat('windsurf'), true);
+    assert.strictEqual(isValidFormat('cline'), true);
+    assert.strictEqual(isValidFormat('continue'), true);
+  });
+
   test('should reject invalid format', () => {
     assert.strictEqual(isValidFormat('invalid'), false);
     assert.strictEqual(isValidFormat(''), false);
@@ -4,6 +4,18 @@ import fs from 'fs';
 import path from 'path';
 import { processConversion } from '../../src/core/conversion-processor.js';
 
+/**
+ * Writes files into a directory, creating the directory first
+ * @param {string} dir - Directory to write to
+ * @param {Object} files - File contents by path relative to the directory
+ */
+function writeFiles(dir, files) {
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+}
+
 describe('Integration Tests', () => {
   let tempDir;
   let outputDir;
@@ -106,7 +118,7 @@ def hello():
 
     // Check for frontmatter
     assert(content.includes('---'));
-    assert(content.includes('description: package'));
+    assert(content.includes('description: "package"'));
     assert(content.includes('alwaysApply: true'));
 
     // Check for expected content
@@ -198,6 +210,511 @@ echo "Hello from second test"
     assert(!fs.existsSync(outputFile), 'No output file should be created for file without snippets');
   });
 
+  describe('Markdown Extraction', () => {
+    test('should honour md2llm directives in markdown files', () => {
+      const directivesDir = 'temp-integration-directives';
+      fs.mkdirSync(directivesDir, { recursive: true });
+      fs.writeFileSync(path.join(directivesDir, 'directives.md'), `# Directives
+
+  <!-- md2llm:ignore -->
+  \`\`\`bash
+  npm install ignored-package
+  \`\`\`
+
+  <!-- md2llm:title "Create a client" -->
+  \`\`\`js
+  createClient();
+  \`\`\``);
+
+      try {
+        processConversion(outputDir, [directivesDir], { format: 'md', excludeDirs: ['node_modules'] });
+
+        const content = fs.readFileSync(path.join(outputDir, 'directives.md'), 'utf8');
+        assert(!content.includes('ignored-package'), 'Ignored snippet should not be written');
+        assert(content.includes('TITLE: Create a client'), 'Title directive should be applied');
+      } finally {
+        fs.rmSync(directivesDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should keep ordinary inline HTML in descriptions', () => {
+      const htmlDir = 'temp-integration-inline-html';
+      fs.mkdirSync(htmlDir, { recursive: true });
+      fs.writeFileSync(path.join(htmlDir, 'shortcuts.md'),
+        '# Shortcuts\n\nPress <kbd>Ctrl</kbd>+<kbd>C</kbd> to copy.\n\n```js\ncopy();\n```\n');
+
+      try {
+        processConversion(outputDir, [htmlDir], { format: 'md', excludeDirs: ['node_modules'] });
+
+        const content = fs.readFileSync(path.join(outputDir, 'shortcuts.md'), 'utf8');
+        assert(content.includes('DESCRIPTION: Press <kbd>Ctrl</kbd>+<kbd>C</kbd> to copy.\n'));
+      } finally {
+        fs.rmSync(htmlDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should extract indented and HTML code blocks', () => {
+      const legacyDir = 'temp-integration-legacy';
+      fs.mkdirSync(legacyDir, { recursive: true });
+      fs.writeFileSync(path.join(legacyDir, 'legacy.md'), `# Legacy
+
+  Indented example:
+
+      legacy.indented();
+
+  <pre><code class="language-js">legacy.html(a &lt; b);
+  </code></pre>
+  `);
+
+      try {
+        processConversion(outputDir, [legacyDir], { format: 'md', excludeDirs: ['node_modules'] });
+
+        const content = fs.readFileSync(path.join(outputDir, 'legacy.md'), 'utf8');
+        assert(content.includes('legacy.indented();'), 'Indented code block should be extracted');
+        assert(content.includes('legacy.html(a < b);'), 'HTML code block should be extracted and decoded');
+        assert(content.includes('LANGUAGE: javascript'), 'HTML code block language should come from its class');
+      } finally {
+        fs.rmSync(legacyDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should append JSDoc examples to package output when enabled', () => {
+      const packageDir = 'temp-integration-jsdoc';
+      fs.mkdirSync(packageDir, { recursive: true });
+      fs.writeFileSync(path.join(packageDir, 'package.json'), JSON.stringify({ name: 'documented' }));
+      fs.writeFileSync(path.join(packageDir, 'README.md'), '# Documented\n\n```js\nreadme();\n```\n');
+      fs.writeFileSync(path.join(packageDir, 'index.js'), [
+        '/**',
+        ' * Greets someone.',
+        ' * @example',
+        " * greet('world');",
+        ' */',
+        'export function greet(name) {}'
+      ].join('\n'));
+
+      try {
+        processConversion(outputDir, [packageDir], { format: 'md', excludeDirs: ['node_modules'], jsdocExamples: true });
+
+        const documented = fs.readFileSync(path.join(outputDir, 'documented.md'), 'utf8');
+        assert(documented.includes('readme();'), 'README snippets should be kept');
+        assert(documented.includes('TITLE: greet\nDESCRIPTION: Greets someone.'), 'JSDoc example should be titled by symbol');
+        assert(documented.includes("greet('world');"), 'JSDoc example code should be appended');
+      } finally {
+        fs.rmSync(packageDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should write JSDoc examples of packages without markdown', () => {
+      const packageDir = 'temp-integration-jsdoc-only';
+      fs.mkdirSync(packageDir, { recursive: true });
+      fs.writeFileSync(path.join(packageDir, 'package.json'), JSON.stringify({ name: 'undocumented' }));
+      fs.writeFileSync(path.join(packageDir, 'index.ts'),
+        '/**\n * Counts.\n * @example\n * count();\n */\nexport const count = () => 1;\n');
+
+      try {
+        processConversion(outputDir, [packageDir], { format: 'md', excludeDirs: ['node_modules'], jsdocExamples: true });
+
+        const undocumented = fs.readFileSync(path.join(outputDir, 'undocumented.md'), 'utf8');
+        assert(undocumented.includes('count();'), 'Source-only packages should still produce output');
+        assert(undocumented.includes('LANGUAGE: typescript'), 'Language should come from the source file extension');
+      } finally {
+        fs.rmSync(packageDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should leave guidelines out unless enabled', () => {
+      const guidelineDir = 'temp-integration-no-guidelines';
+      const packageOutputDir = path.join(outputDir, 'no-guidelines');
+      fs.mkdirSync(guidelineDir, { recursive: true });
+      fs.writeFileSync(path.join(guidelineDir, 'package.json'), JSON.stringify({ name: 'no-guidelines' }));
+      fs.writeFileSync(path.join(guidelineDir, 'client.md'),
+        '# Client\n\nYou MUST close clients.\n\n```js\nclient.close();\n```\n');
+      fs.writeFileSync(path.join(guidelineDir, 'rules.md'), '# Rules\n\nDo not import from `lib/`.\n');
+
+      try {
+        processConversion(outputDir, [guidelineDir], { format: 'md', excludeDirs: ['node_modules'] });
+
+        const plain = fs.readFileSync(path.join(packageOutputDir, 'client.md'), 'utf8');
+        assert(!plain.includes('GUIDELINE:'), 'Guidelines should be opt-in');
+        assert(!fs.existsSync(path.join(packageOutputDir, 'rules.md')), 'Prose-only documents should be skipped by default');
+      } finally {
+        fs.rmSync(guidelineDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should extract guidelines from prose when enabled', () => {
+      const guidelineDir = 'temp-integration-guidelines';
+      const packageOutputDir = path.join(outputDir, 'guidelines');
+      fs.mkdirSync(guidelineDir, { recursive: true });
+      fs.writeFileSync(path.join(guidelineDir, 'package.json'), JSON.stringify({ name: 'guidelines' }));
+      fs.writeFileSync(path.join(guidelineDir, 'client.md'), [
+        '# Client',
+        '',
+        '## Shutdown',
+        '',
+        'You MUST call `client.close()` before exiting.',
+        '',
+        '```js',
+        'client.close();',
+        '```'
+      ].join('\n'));
+      fs.writeFileSync(path.join(guidelineDir, 'rules.md'), '# Rules\n\nDo not import from `lib/`.\n');
+
+      try {
+        processConversion(outputDir, [guidelineDir], { format: 'md', excludeDirs: ['node_modules'], guidelines: true });
+
+        const client = fs.readFileSync(path.join(packageOutputDir, 'client.md'), 'utf8');
+        assert(client.startsWith('GUIDELINE: You MUST call `client.close()` before exiting.\nCONTEXT: Shutdown'));
+        assert(client.includes('client.close();'), 'Snippets should follow the guidelines');
+
+        const rules = fs.readFileSync(path.join(packageOutputDir, 'rules.md'), 'utf8');
+        assert(rules.includes('GUIDELINE: Do not import from `lib/`.'), 'Prose-only documents should produce output');
+      } finally {
+        fs.rmSync(guidelineDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should extract tables as references when enabled', () => {
+      const tableDir = 'temp-integration-tables';
+      const packageOutputDir = path.join(outputDir, 'tables');
+      fs.mkdirSync(tableDir, { recursive: true });
+      fs.writeFileSync(path.join(tableDir, 'package.json'), JSON.stringify({ name: 'tables' }));
+      fs.writeFileSync(path.join(tableDir, 'config.md'), [
+        '# Config',
+        '',
+        '## Environment',
+        '',
+        '| Variable | Default | Description |',
+        '| --- | --- | --- |',
+        '| `PORT` | `8080` | Port to listen on |'
+      ].join('\n'));
+      fs.writeFileSync(path.join(tableDir, 'usage.md'), '# Usage\n\n```js\nstart();\n```\n');
+
+      try {
+        processConversion(outputDir, [tableDir], { format: 'md', excludeDirs: ['node_modules'] });
+        assert(!fs.existsSync(path.join(packageOutputDir, 'config.md')), 'Tables should be opt-in');
+
+        processConversion(outputDir, [tableDir], { format: 'mdc', excludeDirs: ['node_modules'], tables: true });
+
+        const config = fs.readFileSync(path.join(packageOutputDir, 'config.mdc'), 'utf8');
+        assert(config.includes('REFERENCE: Environment\nSOURCE: '), 'Tables should be attached to their heading');
+        assert(config.includes('- `PORT` (default: `8080`): Port to listen on'));
+      } finally {
+        fs.rmSync(tableDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should transclude referenced example files into snippets', () => {
+      const transcludeDir = 'temp-integration-transclusion';
+      fs.mkdirSync(path.join(transcludeDir, 'examples'), { recursive: true });
+      fs.writeFileSync(path.join(transcludeDir, 'examples', 'basic.js'), 'const client = createClient();\nclient.close();\n');
+      fs.writeFileSync(path.join(transcludeDir, 'usage.md'), [
+        '# Usage',
+        '',
+        '```js file=./examples/basic.js',
+        '```',
+        '',
+        '## Closing',
+        '',
+        '<!-- include: ./examples/basic.js#L2 -->'
+      ].join('\n'));
+
+      try {
+        processConversion(outputDir, [transcludeDir], { format: 'md', excludeDirs: ['node_modules'] });
+
+        const content = fs.readFileSync(path.join(outputDir, 'usage.md'), 'utf8');
+        const filled = 'CODE:\n```javascript\nconst client = createClient();\nclient.close();\n```';
+        assert(content.includes(filled), 'Empty fence should be filled');
+        const included = 'LANGUAGE: javascript\nCODE:\n```javascript\nclient.close();\n```';
+        assert(content.includes(included), 'Include comment should become a snippet');
+
+        fs.writeFileSync(path.join(transcludeDir, 'usage.md'), '# Usage\n\n<!-- include: ./examples/missing.js -->\n');
+        assert.throws(() => processConversion(outputDir, [transcludeDir], { format: 'md', excludeDirs: ['node_modules'] }),
+          /Conversion failed with 1 errors/);
+      } finally {
+        fs.rmSync(transcludeDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should transclude files next to a single source file', () => {
+      const singleFileDir = 'temp-integration-single-file';
+      writeFiles(singleFileDir, {
+        'guide.md': '# Guide\n\n<!-- include: ./example.js -->\n',
+        'example.js': 'connect();\n'
+      });
+
+      try {
+        processConversion(outputDir, [path.join(singleFileDir, 'guide.md')], { format: 'md', excludeDirs: ['node_modules'] });
+
+        const content = fs.readFileSync(path.join(outputDir, 'guide.md'), 'utf8');
+        assert(content.includes('CODE:\n```javascript\nconnect();\n```'), 'Includes next to the source file should be allowed');
+      } finally {
+        fs.rmSync(singleFileDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should apply md2llm front matter descriptions and globs per document', () => {
+      const frontMatterDir = 'temp-integration-front-matter';
+      fs.mkdirSync(frontMatterDir, { recursive: true });
+      fs.writeFileSync(path.join(frontMatterDir, 'hooks.md'), [
+        '---',
+        'title: Hooks',
+        'md2llm:',
+        '  description: React hooks usage',
+        '  globs: ["src/**/*.tsx"]',
+        '---',
+        '',
+        '# Hooks',
+        '',
+        '```tsx',
+        'useState();',
+        '```'
+      ].join('\n'));
+
+      try {
+        processConversion(outputDir, [frontMatterDir], { format: 'mdc', excludeDirs: ['node_modules'], applyGlob: '**/*.js' });
+
+        const hooks = fs.readFileSync(path.join(outputDir, 'hooks.mdc'), 'utf8');
+        const hooksFrontmatter = '---\ndescription: "React hooks usage"\nglob: "src/**/*.tsx"\n---\n';
+        assert(hooks.startsWith(hooksFrontmatter), 'Document globs should override --apply-glob');
+        assert(hooks.includes('TITLE: Hooks\n'), 'Front matter should not be parsed as content');
+      } finally {
+        fs.rmSync(frontMatterDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should apply md2llm front matter alwaysApply and skip per document', () => {
+      const frontMatterDir = 'temp-integration-front-matter-apply';
+      const packageOutputDir = path.join(outputDir, 'front-matter');
+      fs.mkdirSync(frontMatterDir, { recursive: true });
+      fs.writeFileSync(path.join(frontMatterDir, 'package.json'), JSON.stringify({ name: 'front-matter' }));
+      fs.writeFileSync(path.join(frontMatterDir, 'draft.md'), '---\nmd2llm:\n  skip: true\n---\n\n```js\ndraft();\n```\n');
+      fs.writeFileSync(path.join(frontMatterDir, 'plain.md'),
+        '---\nmd2llm:\n  alwaysApply: false\n---\n\n```js\nplain();\n```\n');
+
+      try {
+        processConversion(outputDir, [frontMatterDir], { format: 'mdc', excludeDirs: ['node_modules'], applyGlob: '**/*.js' });
+
+        const plain = fs.readFileSync(path.join(packageOutputDir, 'plain.mdc'), 'utf8');
+        const plainFrontmatter = '---\ndescription: "plain"\nalwaysApply: false\n---\n';
+        assert(plain.startsWith(plainFrontmatter), 'Document alwaysApply should replace --apply-glob');
+        assert(!fs.existsSync(path.join(packageOutputDir, 'draft.mdc')), 'Skipped documents should not be written');
+      } finally {
+        fs.rmSync(frontMatterDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should point links between documents at their rule files', () => {
+      const linksDir = 'temp-integration-links';
+      const packageOutputDir = path.join(outputDir, 'links');
+      fs.mkdirSync(linksDir, { recursive: true });
+      fs.writeFileSync(path.join(linksDir, 'package.json'), JSON.stringify({ name: 'links' }));
+      fs.writeFileSync(path.join(linksDir, 'guide.md'),
+        '# Guide\n\nSign in first, see [auth](./auth.md#tokens).\n\n```js\nlogin();\n```\n');
+      fs.writeFileSync(path.join(linksDir, 'auth.md'),
+        '# Auth\n\nTokens expire, see [limits](./limits.txt).\n\n```js\nrefresh();\n```\n');
+
+      try {
+        processConversion(outputDir, [linksDir], { format: 'mdc', excludeDirs: ['node_modules'] });
+
+        const guide = fs.readFileSync(path.join(packageOutputDir, 'guide.mdc'), 'utf8');
+        assert(guide.includes('DESCRIPTION: Sign in first, see [auth](./auth.mdc).'), 'Link should point at the rule file');
+        const auth = fs.readFileSync(path.join(packageOutputDir, 'auth.mdc'), 'utf8');
+        const sourceLink = `[limits](${path.relative(packageOutputDir, path.join(linksDir, 'limits.txt'))})`;
+        assert(auth.includes(`DESCRIPTION: Tokens expire, see ${sourceLink}.`), 'Other links should point at the source file');
+      } finally {
+        fs.rmSync(linksDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should extract snippets from MDX documents', () => {
+      const mdxDir = 'temp-integration-mdx';
+      fs.mkdirSync(mdxDir, { recursive: true });
+      fs.writeFileSync(path.join(mdxDir, 'button.mdx'), [
+        "import { Button } from '../components';",
+        '',
+        '# Button',
+        '',
+        '<Button variant="primary">Preview</Button>',
+        '',
+        '```tsx',
+        '<Button variant="primary" />',
+        '```',
+        '',
+        '<CodeBlock language="css">',
+        '.button { color: blue; }',
+        '</CodeBlock>'
+      ].join('\n'));
+
+      try {
+        processConversion(outputDir, [mdxDir], { format: 'md', excludeDirs: ['node_modules'] });
+
+        const content = fs.readFileSync(path.join(outputDir, 'button.md'), 'utf8');
+        assert(!content.includes('../components'), 'ESM imports should be stripped');
+        assert(content.includes('<Button variant="primary" />'), 'Fenced code should be extracted');
+        const codeBlock = 'LANGUAGE: css\nCODE:\n```css\n.button { color: blue; }';
+        assert(content.includes(codeBlock), 'CodeBlock components should become snippets');
+      } finally {
+        fs.rmSync(mdxDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Output Formats', () => {
+    test('should write json records with package and heading path', () => {
+      const jsonDir = 'temp-integration-json';
+      fs.mkdirSync(jsonDir, { recursive: true });
+      fs.writeFileSync(path.join(jsonDir, 'package.json'), JSON.stringify({ name: '@org/records' }));
+      fs.writeFileSync(path.join(jsonDir, 'README.md'),
+        '# Records\n\n## Setup\n\nCreate a client.\n\n```js\ncreateClient();\n```\n');
+
+      try {
+        processConversion(outputDir, [jsonDir], { format: 'json', excludeDirs: ['node_modules'] });
+
+        const [record] = JSON.parse(fs.readFileSync(path.join(outputDir, '@org', 'records.json'), 'utf8'));
+        assert.strictEqual(record.kind, 'snippet');
+        assert.strictEqual(record.code, 'createClient();');
+        assert.strictEqual(record.description, 'Create a client.');
+        assert.deepStrictEqual(record.package, { name: 'records', scope: '@org' });
+        assert.deepStrictEqual(record.headingPath, ['Records', 'Setup']);
+      } finally {
+        fs.rmSync(jsonDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should write jsonl records one per line', () => {
+      const jsonlDir = 'temp-integration-jsonl';
+      fs.mkdirSync(jsonlDir, { recursive: true });
+      fs.writeFileSync(path.join(jsonlDir, 'usage.md'), '# Usage\n\n```js\nclient.get();\n```\n');
+
+      try {
+        processConversion(outputDir, [jsonlDir], { format: 'jsonl', excludeDirs: ['node_modules'] });
+
+        const lines = fs.readFileSync(path.join(outputDir, 'usage.jsonl'), 'utf8').trimEnd().split('\n');
+        assert.strictEqual(lines.length, 1);
+        assert.strictEqual(JSON.parse(lines[0]).code, 'client.get();');
+      } finally {
+        fs.rmSync(jsonlDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should write llms.txt and llms-full.txt when enabled', () => {
+      const llmsDir = 'temp-integration-llms';
+      fs.mkdirSync(llmsDir, { recursive: true });
+      fs.writeFileSync(path.join(llmsDir, 'package.json'), JSON.stringify({ name: 'llms', description: 'LLM docs' }));
+      fs.writeFileSync(path.join(llmsDir, 'setup.md'), '# Setup\n\nInstall the CLI.\n\n```bash\nnpm i llms\n```\n');
+      fs.writeFileSync(path.join(llmsDir, 'usage.md'), '# Usage\n\n```js\nrun();\n```\n');
+
+      try {
+        processConversion(outputDir, [llmsDir], { format: 'md', excludeDirs: ['node_modules'], llmsTxt: true });
+
+        const index = fs.readFileSync(path.join(outputDir, 'llms.txt'), 'utf8');
+        assert(index.startsWith('# llms\n\n> LLM docs\n\n## llms\n'));
+        assert(index.includes('- [Setup](./llms/setup.md): Install the CLI.'));
+        assert(index.includes('- [Usage](./llms/usage.md)\n'));
+
+        const full = fs.readFileSync(path.join(outputDir, 'llms-full.txt'), 'utf8');
+        assert(full.includes('## Setup\n\nFILE: ./llms/setup.md\n\nTITLE: Setup'));
+        assert(full.includes('run();'));
+      } finally {
+        fs.rmSync(llmsDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should update the md2llm section of CLAUDE.md with imports', () => {
+      const agentsDir = 'temp-integration-claude';
+      const claudeFile = path.join(agentsDir, 'CLAUDE.md');
+      writeFiles(agentsDir, {
+        'package.json': JSON.stringify({ name: 'agents', description: 'Agent docs' }),
+        'setup.md': '# Setup\n\nInstall the CLI.\n\nYou MUST NOT commit tokens.\n\n```bash\nnpm i agents\n```\n',
+        'usage.md': '# Usage\n\n```js\nrun();\n```\n',
+        'CLAUDE.md': '# Project notes\n\nRun tests before pushing.\n'
+      });
+      const options = { format: 'md', excludeDirs: ['node_modules'], guidelines: true, agentsFiles: [claudeFile] };
+
+      try {
+        processConversion(outputDir, [agentsDir], options);
+        processConversion(outputDir, [agentsDir], options);
+
+        const claude = fs.readFileSync(claudeFile, 'utf8');
+        assert(claude.startsWith('# Project notes\n\nRun tests before pushing.\n\n<!-- md2llm:start -->'));
+        assert.strictEqual(claude.split('<!-- md2llm:start -->').length, 2, 'section should be replaced, not appended again');
+        assert(claude.includes('### agents\n\nAgent docs\n'));
+        assert(claude.includes('- Setup: @../temp-output-test/agents/setup.md - Install the CLI.'));
+        assert(claude.includes('## Key Guidelines\n\n- You MUST NOT commit tokens.\n'));
+        assert(!fs.existsSync(path.join(outputDir, 'agents', 'CLAUDE.md')), 'instruction files should not be converted');
+      } finally {
+        fs.rmSync(agentsDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should create AGENTS.md with links to the rule files', () => {
+      const agentsDir = 'temp-integration-agents';
+      const agentsFile = path.join(agentsDir, 'AGENTS.md');
+      writeFiles(agentsDir, {
+        'package.json': JSON.stringify({ name: 'agents' }),
+        'setup.md': '# Setup\n\n```bash\nnpm i agents\n```\n',
+        'usage.md': '# Usage\n\n```js\nrun();\n```\n'
+      });
+
+      try {
+        processConversion(outputDir, [agentsDir], { format: 'md', excludeDirs: ['node_modules'], agentsFiles: [agentsFile] });
+
+        const agents = fs.readFileSync(agentsFile, 'utf8');
+        assert(agents.startsWith('<!-- md2llm:start -->'));
+        assert(agents.includes('- [Usage](../temp-output-test/agents/usage.md)\n'));
+      } finally {
+        fs.rmSync(agentsDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should write one copilot instructions file per package', () => {
+      const copilotDir = 'temp-integration-copilot';
+      fs.mkdirSync(path.join(copilotDir, 'docs'), { recursive: true });
+      fs.writeFileSync(path.join(copilotDir, 'package.json'), JSON.stringify({ name: '@acme/client' }));
+      fs.writeFileSync(path.join(copilotDir, 'README.md'), '# Client\n\nCreate clients.\n\n```js\ncreateClient();\n```\n');
+      fs.writeFileSync(path.join(copilotDir, 'docs', 'retries.md'), '# Retries\n\n```js\nretry();\n```\n');
+
+      try {
+        processConversion(outputDir, [copilotDir], { format: 'copilot', excludeDirs: ['node_modules'] });
+
+        const instructionsPath = path.join(outputDir, 'acme-client.instructions.md');
+        assert(fs.existsSync(instructionsPath), 'scoped package should be written to the root of the destination');
+        assert(!fs.existsSync(path.join(outputDir, '@acme', 'client')), 'documents should not get their own files');
+
+        const content = fs.readFileSync(instructionsPath, 'utf8');
+        assert(content.startsWith('---\napplyTo: "temp-integration-copilot/**"\n---\n\n# @acme/client\n'));
+        assert(content.indexOf('createClient();') < content.indexOf('retry();'), 'README examples should come first');
+      } finally {
+        fs.rmSync(copilotDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should write windsurf, cline and continue rules with their activation front matter', () => {
+      const rulesDir = 'temp-integration-rule-formats';
+      fs.mkdirSync(rulesDir, { recursive: true });
+      fs.writeFileSync(path.join(rulesDir, 'hooks.md'), '# Hooks\n\n```js\nuseClient();\n```\n');
+
+      try {
+        const expected = {
+          windsurf: '---\ntrigger: glob\ndescription: "hooks"\nglobs: "**/*.tsx"\n---\n',
+          cline: '---\npaths: ["**/*.tsx"]\n---\n',
+          continue: '---\nname: "hooks"\ndescription: "hooks"\nglobs: ["**/*.tsx"]\n---\n'
+        };
+
+        for (const [format, frontMatter] of Object.entries(expected)) {
+          const formatDir = path.join(outputDir, format);
+          processConversion(formatDir, [rulesDir], { format, excludeDirs: ['node_modules'], applyGlob: '**/*.tsx' });
+
+          const content = fs.readFileSync(path.join(formatDir, 'hooks.md'), 'utf8');
+          assert(content.startsWith(`${frontMatter}TITLE: Hooks`), `${format} front matter`);
+        }
+      } finally {
+        fs.rmSync(rulesDir, { recursive: true, force: true });
+      }
+    });
+  });
+
   test('should throw error for missing rules directory path', () => {
     const options = {
       format: 'md',
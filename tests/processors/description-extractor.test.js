@@ -0,0 +1,110 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import MarkdownIt from 'markdown-it';
+import {
+  collectDescription,
+  isFiller,
+  summarizeDocument,
+  truncateDescription
+} from '../../src/processors/description-extractor.js';
+
+const md = new MarkdownIt({ html: true });
+
+const DOCUMENT = [
+  '# Client',
+  '',
+  'The client keeps one socket per host.',
+  '',
+  'Reuse it across requests.',
+  '',
+  'For example:',
+  '',
+  '```js',
+  'const client = connect();',
+  '```',
+  '',
+  'This prints the negotiated protocol.',
+  '',
+  '| Option | Default |',
+  '|--------|---------|',
+  '| retries | 3 |',
+  '',
+  '```js',
+  'second();',
+  '```'
+].join('\n');
+
+/**
+ * Collects the description of the nth code block in a document
+ * @param {string} source - Markdown document
+ * @param {number} blockNumber - 0-based index of the code block
+ * @param {Object} [context] - Description context
+ * @returns {Object} Collected description
+ */
+function describeBlock(source, blockNumber, context = {}) {
+  const tokens = md.parse(source, {});
+  const codeIndexes = tokens.flatMap((token, index) => (token.type === 'fence' ? [index] : []));
+  return collectDescription(tokens, codeIndexes[blockNumber], { filePath: 'docs/client.md', ...context });
+}
+
+describe('Description Extractor', () => {
+  test('should use the nearest paragraph, skipping filler', () => {
+    assert.deepStrictEqual(describeBlock(DOCUMENT, 0), { paragraphs: ['Reuse it across requests.'], heading: false, after: '' });
+  });
+
+  test('should skip table cells and list items before the block', () => {
+    assert.deepStrictEqual(describeBlock(DOCUMENT, 1).paragraphs, ['This prints the negotiated protocol.']);
+    assert.deepStrictEqual(describeBlock(DOCUMENT, 1, { strategy: 'nearest' }).paragraphs, ['3']);
+  });
+
+  test('should collect every paragraph in the section', () => {
+    assert.deepStrictEqual(describeBlock(DOCUMENT, 0, { strategy: 'section' }).paragraphs, [
+      'The client keeps one socket per host.',
+      'Reuse it across requests.'
+    ]);
+  });
+
+  test('should add the paragraph after the block when requested', () => {
+    assert.strictEqual(describeBlock(DOCUMENT, 0, { after: true }).after, 'This prints the negotiated protocol.');
+    assert.strictEqual(describeBlock(DOCUMENT, 1, { after: true }).after, '');
+  });
+
+  test('should fall back to the heading', () => {
+    const described = describeBlock('# Install\n\n```sh\nnpm i\n```\n', 0);
+    assert.deepStrictEqual(described, { paragraphs: ['Install'], heading: true, after: '' });
+    assert.deepStrictEqual(describeBlock('```sh\nnpm i\n```\n', 0).paragraphs, []);
+  });
+
+  test('should use paragraphs in the same list item', () => {
+    const source = 'Intro.\n\n- Start the server:\n\n  ```sh\n  npm start\n  ```\n';
+    assert.deepStrictEqual(describeBlock(source, 0).paragraphs, ['Start the server:']);
+  });
+
+  test('should recognise filler paragraphs', () => {
+    ['For example:', 'Example', '**Usage:**', "Here's an example:", 'Like this:', 'e.g.'].forEach(text => {
+      assert.strictEqual(isFiller(text), true, text);
+    });
+    assert.strictEqual(isFiller('For example, pass a timeout:'), false);
+  });
+
+  test('should shorten long descriptions at a sentence or word', () => {
+    const text = 'Creates a client. The client retries failed requests three times before giving up.';
+
+    assert.strictEqual(truncateDescription(text, 200), text);
+    assert.strictEqual(truncateDescription(text, null), text);
+    assert.strictEqual(truncateDescription(text, 30), 'Creates a client.');
+    assert.strictEqual(truncateDescription('Retries failed requests three times', 20), 'Retries failed…');
+  });
+
+  test('should summarise a document by its title and first paragraph', () => {
+    const context = { filePath: 'docs/client.md', plain: true };
+    assert.deepStrictEqual(summarizeDocument(md.parse(DOCUMENT, {}), context), {
+      title: 'Client',
+      description: 'The client keeps one socket per host.'
+    });
+
+    const badges = '[![npm](https://img.shields.io/x.svg)](https://npm.im/x)\n\n# `x`\n\n- item\n\nUse **x**\nto connect.\n';
+    assert.deepStrictEqual(summarizeDocument(md.parse(badges, {}), context), { title: 'x', description: 'Use x to connect.' });
+    assert.deepStrictEqual(summarizeDocument(md.parse('```js\na();\n```\n', {}), context), { title: '', description: '' });
+  });
+});
@@ -0,0 +1,89 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import MarkdownIt from 'markdown-it';
+import { renderDescription, resolveLink } from '../../src/processors/description-renderer.js';
+
+const md = new MarkdownIt({ html: true });
+
+/**
+ * Parses a paragraph into its inline token
+ * @param {string} text - Paragraph markdown
+ * @returns {Object} Inline token
+ */
+function parseInline(text) {
+  return md.parseInline(text, {})[0];
+}
+
+/**
+ * Creates a rule file map for docs/guide.md and docs/auth.md
+ * @returns {Map} Rule file paths by document path
+ */
+function createRuleFiles() {
+  return new Map([
+    [path.resolve('docs/guide.md'), path.resolve('rules/guide.md')],
+    [path.resolve('docs/api/auth.md'), path.resolve('rules/api/auth.md')]
+  ]);
+}
+
+describe('Description Renderer', () => {
+  test('should keep markdown and leave links unchanged without rule files', () => {
+    const text = 'See [auth](./auth.md), `login()` and **bold** <https://x.io>\nnext';
+
+    assert.strictEqual(renderDescription(parseInline(text), { filePath: 'docs/guide.md' }),
+      'See [auth](./auth.md), `login()` and **bold** <https://x.io> next');
+  });
+
+  test('should render plain text', () => {
+    const token = parseInline('See [auth](./auth.md), `login()`, _emphasis_ and ![the flow](flow.png)');
+
+    assert.strictEqual(renderDescription(token, { filePath: 'docs/guide.md', plain: true }),
+      'See auth, login(), emphasis and the flow');
+  });
+
+  test('should render tokens without children from their content', () => {
+    assert.strictEqual(renderDescription({ type: 'inline', content: ' Raw text ' }, {}), 'Raw text');
+    assert.strictEqual(renderDescription(null, {}), '');
+  });
+
+  test('should point links to converted documents at their rule files', () => {
+    const context = { filePath: 'docs/guide.md', ruleFiles: createRuleFiles() };
+
+    assert.strictEqual(resolveLink('./api/auth.md#tokens', context), './api/auth.md');
+    assert.strictEqual(resolveLink('../guide.md', { ...context, filePath: 'docs/api/auth.md' }), '../guide.md');
+  });
+
+  test('should point other relative links at the source file', () => {
+    const context = { filePath: 'docs/guide.md', ruleFiles: createRuleFiles() };
+    const token = parseInline('![flow](img/flow%20chart.png "Flow")');
+
+    assert.strictEqual(renderDescription(token, context), '![flow](../docs/img/flow%20chart.png "Flow")');
+    assert.strictEqual(resolveLink('setup.md#install', context), '../docs/setup.md#install');
+  });
+
+  test('should point relative links at the source URL when one is configured', () => {
+    const previous = process.env.SOURCE_BASE_URL;
+    process.env.SOURCE_BASE_URL = 'https://github.com/user/repo/blob/main/';
+
+    try {
+      const context = { filePath: 'docs/guide.md', ruleFiles: createRuleFiles() };
+      const sourceUrl = 'https://github.com/user/repo/blob/main/docs/setup.md#install';
+      assert.strictEqual(resolveLink('setup.md#install', context), sourceUrl);
+      assert.strictEqual(resolveLink('api/auth.md', context), './api/auth.md', 'Converted documents should still link to rules');
+    } finally {
+      if (previous == null) {
+        delete process.env.SOURCE_BASE_URL;
+      } else {
+        process.env.SOURCE_BASE_URL = previous;
+      }
+    }
+  });
+
+  test('should leave absolute URLs and anchors unchanged', () => {
+    const context = { filePath: 'docs/guide.md', ruleFiles: createRuleFiles() };
+
+    ['https://x.io/a.md', 'mailto:a@b.c', '#usage', '/docs/guide.md', '//cdn.x.io/a.png'].forEach(href => {
+      assert.strictEqual(resolveLink(href, context), href);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseDirectives } from '../../src/processors/directive-parser.js';
+
+describe('Directive Parser', () => {
+  test('should parse a bare directive', () => {
+    assert.deepStrictEqual(parseDirectives('<!-- md2llm:ignore -->\n'), [{ name: 'ignore', value: '' }]);
+  });
+
+  test('should parse quoted directive values', () => {
+    const directives = parseDirectives('<!-- md2llm:title "Create a \\"client\\"" -->');
+    assert.deepStrictEqual(directives, [{ name: 'title', value: 'Create a "client"' }]);
+  });
+
+  test('should parse single-quoted directive values', () => {
+    const directives = parseDirectives("<!-- md2llm:description 'Connects to the API' -->");
+    assert.deepStrictEqual(directives, [{ name: 'description', value: 'Connects to the API' }]);
+  });
+
+  test('should parse multiple directives in one block', () => {
+    const directives = parseDirectives('<!-- md2llm:ignore-start -->\n<!-- md2llm:ignore-end -->');
+    assert.deepStrictEqual(directives.map(d => d.name), ['ignore-start', 'ignore-end']);
+  });
+
+  test('should ignore ordinary HTML comments', () => {
+    assert.deepStrictEqual(parseDirectives('<!-- just a comment -->'), []);
+    assert.deepStrictEqual(parseDirectives(null), []);
+  });
+});
@@ -0,0 +1,49 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { classifyExample, parseExampleLabel, pairExamples } from '../../src/processors/example-classifier.js';
+
+describe('Example Classifier', () => {
+  test('should parse emoji labels', () => {
+    assert.deepStrictEqual(parseExampleLabel('❌ Bad: mutates state'), { polarity: 'negative', rest: 'mutates state' });
+    assert.deepStrictEqual(parseExampleLabel('✅ Returns a copy'), { polarity: 'positive', rest: 'Returns a copy' });
+    assert.deepStrictEqual(parseExampleLabel('✔️'), { polarity: 'positive', rest: '' });
+  });
+
+  test('should parse label words that stand alone or end in punctuation', () => {
+    assert.deepStrictEqual(parseExampleLabel("Don't"), { polarity: 'negative', rest: '' });
+    assert.deepStrictEqual(parseExampleLabel('Don’t:'), { polarity: 'negative', rest: '' });
+    assert.deepStrictEqual(parseExampleLabel('**Good** - uses a copy'), { polarity: 'positive', rest: 'uses a copy' });
+    assert.deepStrictEqual(parseExampleLabel('Examples of incorrect code for this rule:'), {
+      polarity: 'negative',
+      rest: 'for this rule:'
+    });
+  });
+
+  test('should not treat prose as a label', () => {
+    assert.strictEqual(parseExampleLabel('Do the following to install'), null);
+    assert.strictEqual(parseExampleLabel('Doing it right'), null);
+    assert.strictEqual(parseExampleLabel('Badges'), null);
+    assert.strictEqual(parseExampleLabel(''), null);
+  });
+
+  test('should prefer a leading comment over the surrounding labels', () => {
+    const example = classifyExample({ code: '# good\nls', description: '❌ Bad', heading: 'Usage' });
+    assert.deepStrictEqual(example, { polarity: 'positive', rest: '', from: 'comment' });
+  });
+
+  test('should fall back to the title, description and heading in turn', () => {
+    assert.strictEqual(classifyExample({ code: 'x', title: 'Wrong', heading: 'Do' }).from, 'title');
+    assert.strictEqual(classifyExample({ code: 'x', description: 'Avoid:', heading: 'Do' }).from, 'description');
+    assert.strictEqual(classifyExample({ code: '/* correct */\nx', heading: 'Usage' }).polarity, 'positive');
+    assert.strictEqual(classifyExample({ code: '// setup\nx', heading: 'Usage' }), null);
+  });
+
+  test('should pair consecutive opposite examples with the same title', () => {
+    const bad = { title: 'State', polarity: 'negative' };
+    const good = { title: 'State', polarity: 'positive' };
+    const other = { title: 'Other', polarity: 'positive' };
+
+    assert.deepStrictEqual(pairExamples([good, bad, other]), [{ negative: bad, positive: good }, { snippet: other }]);
+    assert.deepStrictEqual(pairExamples([bad, other]), [{ snippet: bad }, { snippet: other }]);
+  });
+});
@@ -0,0 +1,73 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseFenceInfo, parseLineRanges, formatLineRanges } from '../../src/processors/fence-info-parser.js';
+
+describe('Fence Info Parser', () => {
+  test('should parse a plain language', () => {
+    const info = parseFenceInfo('javascript');
+
+    assert.strictEqual(info.language, 'javascript');
+    assert.strictEqual(info.title, '');
+    assert.deepStrictEqual(info.highlightLines, []);
+    assert.deepStrictEqual(info.flags, []);
+  });
+
+  test('should parse title, highlight ranges and flags', () => {
+    const info = parseFenceInfo('js title="server.js" {3-5} skip');
+
+    assert.strictEqual(info.language, 'js');
+    assert.strictEqual(info.title, 'server.js');
+    assert.deepStrictEqual(info.highlightLines, [{ start: 3, end: 5 }]);
+    assert.deepStrictEqual(info.flags, ['skip']);
+  });
+
+  test('should parse single-quoted and bare attributes', () => {
+    const info = parseFenceInfo("ts title='client.ts' mode=strict");
+
+    assert.strictEqual(info.title, 'client.ts');
+    assert.deepStrictEqual(info.attributes, { title: 'client.ts', mode: 'strict' });
+  });
+
+  test('should parse VitePress highlight ranges attached to the language', () => {
+    const info = parseFenceInfo('ts{1,4-6}');
+
+    assert.strictEqual(info.language, 'ts');
+    assert.deepStrictEqual(info.highlightLines, [{ start: 1, end: 1 }, { start: 4, end: 6 }]);
+  });
+
+  test('should parse VitePress colon flags and bracket labels', () => {
+    const info = parseFenceInfo('js:line-numbers [config.js]');
+
+    assert.strictEqual(info.language, 'js');
+    assert.strictEqual(info.title, 'config.js');
+    assert.strictEqual(info.attributes.tab, 'config.js');
+    assert.deepStrictEqual(info.flags, ['line-numbers']);
+  });
+
+  test('should prefer an explicit title over a bracket label', () => {
+    const info = parseFenceInfo('js [label] title="explicit.js"');
+    assert.strictEqual(info.title, 'explicit.js');
+  });
+
+  test('should handle metadata without a language', () => {
+    const info = parseFenceInfo('{2}');
+
+    assert.strictEqual(info.language, '');
+    assert.deepStrictEqual(info.highlightLines, [{ start: 2, end: 2 }]);
+  });
+
+  test('should handle empty and invalid info strings', () => {
+    assert.strictEqual(parseFenceInfo('').language, '');
+    assert.strictEqual(parseFenceInfo(null).language, '');
+  });
+
+  test('should ignore malformed line ranges', () => {
+    assert.deepStrictEqual(parseLineRanges('1,a,3-'), [{ start: 1, end: 1 }]);
+    assert.deepStrictEqual(parseLineRanges(null), []);
+  });
+
+  test('should format line ranges', () => {
+    assert.strictEqual(formatLineRanges([{ start: 1, end: 1 }, { start: 3, end: 5 }]), '1, 3-5');
+    assert.strictEqual(formatLineRanges([]), '');
+  });
+});
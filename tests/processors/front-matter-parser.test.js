@@ -0,0 +1,60 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  parseFrontMatter,
+  getDocumentSettings,
+  applyDocumentSettings
+} from '../../src/processors/front-matter-parser.js';
+
+describe('Front Matter Parser', () => {
+  test('should parse front matter and blank its lines', () => {
+    const { data, content } = parseFrontMatter('---\ntitle: Guide\ntags: [a, b]\n---\n# Guide\n');
+    assert.deepStrictEqual(data, { title: 'Guide', tags: ['a', 'b'] });
+    assert.strictEqual(content, '\n\n\n\n# Guide\n');
+  });
+
+  test('should leave documents without front matter unchanged', () => {
+    assert.deepStrictEqual(parseFrontMatter('# Guide\n\n---\n'), { data: {}, content: '# Guide\n\n---\n' });
+    assert.deepStrictEqual(parseFrontMatter('---\n---\ntext'), { data: {}, content: '\n\ntext' });
+    assert.deepStrictEqual(parseFrontMatter(null), { data: {}, content: '' });
+  });
+
+  test('should ignore front matter that is not valid YAML', () => {
+    const { data, content } = parseFrontMatter('---\ntitle: [unclosed\n---\ntext', 'docs/guide.md');
+    assert.deepStrictEqual(data, {});
+    assert.strictEqual(content, '\n\n\ntext');
+  });
+
+  test('should read and normalize md2llm settings', () => {
+    const settings = getDocumentSettings({
+      md2llm: { skip: false, description: ' Hooks ', globs: 'src/**/*.tsx', alwaysApply: false, tags: ['react', ''] }
+    }, 'docs/guide.md');
+
+    assert.deepStrictEqual(settings, {
+      skip: false,
+      description: 'Hooks',
+      globs: ['src/**/*.tsx'],
+      alwaysApply: false,
+      tags: ['react']
+    });
+  });
+
+  test('should drop unknown and invalid settings', () => {
+    assert.deepStrictEqual(getDocumentSettings({ md2llm: { skip: 'yes', globs: [1], other: true } }, 'guide.md'), {});
+    assert.deepStrictEqual(getDocumentSettings({ md2llm: ['skip'] }, 'guide.md'), {});
+    assert.deepStrictEqual(getDocumentSettings({ title: 'Guide' }, 'guide.md'), {});
+  });
+
+  test('should apply settings over CLI options', () => {
+    const options = { format: 'mdc', applyGlob: '**/*.js', alwaysApply: null };
+
+    assert.strictEqual(applyDocumentSettings(options, { globs: ['a/**', 'b/**'] }).applyGlob, 'a/**,b/**');
+    assert.deepStrictEqual(applyDocumentSettings(options, { alwaysApply: true, tags: ['x'] }), {
+      format: 'mdc',
+      applyGlob: null,
+      alwaysApply: true,
+      tags: ['x']
+    });
+    assert.deepStrictEqual(applyDocumentSettings(options, {}), options);
+  });
+});
@@ -0,0 +1,83 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import MarkdownIt from 'markdown-it';
+import {
+  extractGuidelinesFromTokens,
+  findGuidelineKeyword,
+  formatGuideline
+} from '../../src/processors/guideline-extractor.js';
+
+const md = new MarkdownIt({ html: true });
+
+/**
+ * Extracts guidelines from markdown content
+ * @param {string} content - Markdown content
+ * @returns {Array} Extracted guidelines
+ */
+function extract(content) {
+  return extractGuidelinesFromTokens(md.parse(content, {}), 'docs/guide.md');
+}
+
+describe('Guideline Extractor', () => {
+  test('should find capitalised normative keywords', () => {
+    assert.strictEqual(findGuidelineKeyword('Clients MUST NOT share sockets.'), 'MUST NOT');
+    assert.strictEqual(findGuidelineKeyword('You SHOULD retry once.'), 'SHOULD');
+    assert.strictEqual(findGuidelineKeyword("You DON'T need a key."), 'DO NOT');
+    assert.strictEqual(findGuidelineKeyword('This is NOT RECOMMENDED.'), 'NOT RECOMMENDED');
+  });
+
+  test('should find sentence-initial prohibitions', () => {
+    assert.strictEqual(findGuidelineKeyword('Do not import from lib.'), 'DO NOT');
+    assert.strictEqual(findGuidelineKeyword("Call init first. Don't call it twice."), 'DO NOT');
+    assert.strictEqual(findGuidelineKeyword('Never log tokens.'), 'NEVER');
+  });
+
+  test('should ignore non-normative prose', () => {
+    assert.strictEqual(findGuidelineKeyword('You must be logged in to see this.'), null);
+    assert.strictEqual(findGuidelineKeyword('It is never too late.'), null);
+    assert.strictEqual(findGuidelineKeyword(null), null);
+  });
+
+  test('should extract guidelines with context and lines', () => {
+    const guidelines = extract('# Client\n\n## Shutdown\n\nYou MUST call\n`close()` on exit.\n');
+
+    assert.strictEqual(guidelines.length, 1);
+    assert.deepStrictEqual(guidelines[0], {
+      text: 'You MUST call `close()` on exit.',
+      keyword: 'MUST',
+      context: 'Shutdown',
+      headingPath: ['Client', 'Shutdown'],
+      source: 'docs/guide.md',
+      lineStart: 5,
+      lineEnd: 6
+    });
+  });
+
+  test('should extract guidelines from list items but not code', () => {
+    const guidelines = extract('- Never commit `.env` files.\n- Use `npm ci`.\n\n```js\n// Do not copy this\n```\n');
+    assert.deepStrictEqual(guidelines.map(guideline => guideline.text), ['Never commit `.env` files.']);
+  });
+
+  test('should honour ignore regions and skip duplicates', () => {
+    const guidelines = extract([
+      'Never log tokens.',
+      '',
+      '<!-- md2llm:ignore-start -->',
+      '',
+      'You MUST NOT see this.',
+      '',
+      '<!-- md2llm:ignore-end -->',
+      '',
+      'Never log tokens.'
+    ].join('\n'));
+
+    assert.deepStrictEqual(guidelines.map(guideline => guideline.text), ['Never log tokens.']);
+  });
+
+  test('should format guidelines', () => {
+    const formatted = formatGuideline({ text: 'Never log tokens.', context: 'Security', source: 'README.md' });
+    const expected = ['GUIDELINE: Never log tokens.', 'CONTEXT: Security', 'SOURCE: README.md', '', '-'.repeat(40)];
+    assert.strictEqual(formatted, expected.join('\n'));
+    assert.strictEqual(formatGuideline(null), '');
+  });
+});
@@ -0,0 +1,46 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseHtmlCodeBlocks, decodeHtmlEntities } from '../../src/processors/html-code-parser.js';
+
+describe('HTML Code Parser', () => {
+  test('should parse a pre/code block with a language class', () => {
+    const blocks = parseHtmlCodeBlocks('<pre><code class="language-js">if (a &lt; b) {}\n</code></pre>');
+
+    assert.deepStrictEqual(blocks, [{ language: 'js', code: 'if (a < b) {}\n' }]);
+  });
+
+  test('should support lang- and GitHub highlight classes', () => {
+    assert.strictEqual(parseHtmlCodeBlocks('<pre><code class="hljs lang-ts">x</code></pre>')[0].language, 'ts');
+    assert.strictEqual(parseHtmlCodeBlocks('<pre class="highlight-source-python"><code>x</code></pre>')[0].language, 'python');
+  });
+
+  test('should read the language from a lang attribute on pre', () => {
+    const blocks = parseHtmlCodeBlocks('<pre lang="bash"><code>npm test</code></pre>');
+    assert.strictEqual(blocks[0].language, 'bash');
+  });
+
+  test('should return an empty language when none is given', () => {
+    const blocks = parseHtmlCodeBlocks('<pre><code>plain</code></pre>');
+    assert.strictEqual(blocks[0].language, '');
+  });
+
+  test('should strip highlighter markup from code', () => {
+    const blocks = parseHtmlCodeBlocks('<pre><code class="language-js"><span class="kw">const</span> a = 1;</code></pre>');
+    assert.strictEqual(blocks[0].code, 'const a = 1;');
+  });
+
+  test('should ignore HTML without pre/code blocks', () => {
+    assert.deepStrictEqual(parseHtmlCodeBlocks('<div><code>inline</code></div>'), []);
+    assert.deepStrictEqual(parseHtmlCodeBlocks(null), []);
+  });
+
+  test('should decode named and numeric entities', () => {
+    assert.strictEqual(decodeHtmlEntities('&lt;a href=&quot;x&quot;&gt; &amp; &#39;y&#x27;'), '<a href="x"> & \'y\'');
+    assert.strictEqual(decodeHtmlEntities('&unknown;'), '&unknown;');
+  });
+
+  test('should leave numeric entities outside Unicode as written', () => {
+    assert.strictEqual(decodeHtmlEntities('&#x110000; &#xD800; &#55296; &#x1F600;'), '&#x110000; &#xD800; &#55296; 😀');
+    assert.strictEqual(parseHtmlCodeBlocks('<pre><code>&#x110000;</code></pre>')[0].code, '&#x110000;');
+  });
+});
@@ -0,0 +1,106 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { extractSnippetsFromSource, parseJsdocComment } from '../../src/processors/jsdoc-extractor.js';
+
+describe('JSDoc Extractor', () => {
+  test('should extract an @example titled with the function name', () => {
+    const source = [
+      '/**',
+      ' * Adds two numbers together.',
+      ' *',
+      ' * Works with integers and floats.',
+      ' * @param {number} a - First number',
+      ' * @example',
+      ' * add(1, 2); // 3',
+      ' */',
+      'export function add(a, b) {',
+      '  return a + b;',
+      '}'
+    ].join('\n');
+
+    const snippets = extractSnippetsFromSource(source, 'src/math.js');
+
+    assert.strictEqual(snippets.length, 1);
+    assert.strictEqual(snippets[0].title, 'add');
+    assert.strictEqual(snippets[0].description, 'Adds two numbers together.');
+    assert.strictEqual(snippets[0].code, 'add(1, 2); // 3');
+    assert.strictEqual(snippets[0].language, 'javascript');
+    assert.strictEqual(snippets[0].origin, 'jsdoc');
+    assert.strictEqual(snippets[0].source, 'src/math.js');
+  });
+
+  test('should extract multiple examples with captions and fenced languages', () => {
+    const source = [
+      '/**',
+      ' * Creates a client.',
+      ' * @example <caption>Basic usage</caption>',
+      ' * const client = createClient();',
+      ' * @example',
+      ' * ```tsx',
+      ' * <Provider client={createClient()} />',
+      ' * ```',
+      ' */',
+      'export const createClient = () => ({});'
+    ].join('\n');
+
+    const snippets = extractSnippetsFromSource(source, 'src/client.ts');
+
+    assert.strictEqual(snippets.length, 2);
+    assert.strictEqual(snippets[0].title, 'createClient (Basic usage)');
+    assert.strictEqual(snippets[0].language, 'typescript');
+    assert.strictEqual(snippets[1].title, 'createClient');
+    assert.strictEqual(snippets[1].language, 'tsx');
+    assert.strictEqual(snippets[1].code, '<Provider client={createClient()} />');
+  });
+
+  test('should prefix class members with the class name', () => {
+    const source = [
+      'export declare class Cache {',
+      '  /**',
+      '   * Reads a cached value.',
+      '   * @example',
+      "   * cache.get('key');",
+      '   */',
+      '  get(key: string): unknown;',
+      '}'
+    ].join('\n');
+
+    const snippets = extractSnippetsFromSource(source, 'types/index.d.ts');
+
+    assert.strictEqual(snippets.length, 1);
+    assert.strictEqual(snippets[0].title, 'Cache.get');
+    assert.strictEqual(snippets[0].language, 'typescript');
+  });
+
+  test('should ignore comments without examples and apply language filters', () => {
+    const source = [
+      '/** Not an example. */',
+      'function helper() {}',
+      '/**',
+      ' * Installs the package.',
+      ' * @example',
+      ' * ```bash',
+      ' * npm install example',
+      ' * ```',
+      ' */',
+      'function install() {}'
+    ].join('\n');
+
+    assert.strictEqual(extractSnippetsFromSource(source, 'index.js').length, 1);
+    assert.deepStrictEqual(extractSnippetsFromSource(source, 'index.js', { excludeLanguages: ['bash'] }), []);
+  });
+
+  test('should return empty array for empty content', () => {
+    assert.deepStrictEqual(extractSnippetsFromSource('', 'index.js'), []);
+    assert.deepStrictEqual(extractSnippetsFromSource(null, 'index.js'), []);
+  });
+
+  test('should parse explicit names and summaries', () => {
+    const body = '\n * Formats a value\n * over two lines.\n *\n * Details.\n * @name format\n * @example\n *   format(1);\n ';
+    const comment = parseJsdocComment(body);
+
+    assert.strictEqual(comment.summary, 'Formats a value over two lines.');
+    assert.strictEqual(comment.name, 'format');
+    assert.deepStrictEqual(comment.examples, [{ caption: '', language: '', code: 'format(1);' }]);
+  });
+});
@@ -0,0 +1,67 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { detectLanguage, MIN_CONFIDENCE } from '../../src/processors/language-detector.js';
+
+/**
+ * Asserts that code is detected as the expected language with usable confidence
+ * @param {string} code - Code to detect
+ * @param {string} expected - Expected canonical language
+ */
+function assertDetected(code, expected) {
+  const result = detectLanguage(code);
+  assert.strictEqual(result.language, expected);
+  assert(result.confidence >= MIN_CONFIDENCE, `Confidence for ${expected} should be at least ${MIN_CONFIDENCE}`);
+}
+
+describe('Language Detector', () => {
+  test('should detect JSON', () => {
+    assertDetected('{\n  "name": "example",\n  "version": "1.0.0"\n}', 'json');
+  });
+
+  test('should detect shell sessions', () => {
+    assertDetected('$ npm test\n\n> example@1.0.0 test\n> node --test', 'console');
+  });
+
+  test('should detect shell commands', () => {
+    assertDetected('npm install example\nnpx example init', 'bash');
+    assertDetected('#!/usr/bin/env bash\nset -e', 'bash');
+  });
+
+  test('should detect JavaScript', () => {
+    assertDetected("const example = require('example');\nconsole.log(example());", 'javascript');
+  });
+
+  test('should detect TypeScript', () => {
+    assertDetected("interface Options { name: string }\nconst options: Options = { name: 'x' };", 'typescript');
+  });
+
+  test('should detect JSX', () => {
+    assertDetected('export function App() {\n  return <Button onClick={go}>Go</Button>;\n}', 'jsx');
+  });
+
+  test('should detect YAML', () => {
+    assertDetected('name: ci\non:\n  push:\n    branches: [main]\njobs:\n  test:\n    runs-on: ubuntu-latest', 'yaml');
+  });
+
+  test('should detect HTML', () => {
+    assertDetected('<div class="card">\n  <p>Hello</p>\n</div>', 'html');
+  });
+
+  test('should detect CSS', () => {
+    assertDetected('.button {\n  color: red;\n  padding: 4px;\n}', 'css');
+  });
+
+  test('should detect diffs', () => {
+    assertDetected('diff --git a/index.js b/index.js\n--- a/index.js\n+++ b/index.js\n@@ -1 +1 @@\n-old\n+new', 'diff');
+  });
+
+  test('should detect SQL', () => {
+    assertDetected('SELECT id, name\nFROM users\nWHERE id = 1;', 'sql');
+  });
+
+  test('should fall back to text with zero confidence', () => {
+    assert.deepStrictEqual(detectLanguage('Just some prose.'), { language: 'text', confidence: 0 });
+    assert.deepStrictEqual(detectLanguage(''), { language: 'text', confidence: 0 });
+    assert.deepStrictEqual(detectLanguage(null), { language: 'text', confidence: 0 });
+  });
+});
@@ -0,0 +1,95 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { preprocessMdx } from '../../src/processors/mdx-preprocessor.js';
+
+describe('MDX Preprocessor', () => {
+  test('should blank single and multi-line ESM statements', () => {
+    const mdx = [
+      "import Tabs from '@theme/Tabs';",
+      'import {',
+      '  Button',
+      "} from '../components';",
+      "export const meta = { title: 'Button' };",
+      '# Button'
+    ].join('\n');
+
+    assert.strictEqual(preprocessMdx(mdx), '\n\n\n\n\n# Button');
+  });
+
+  test('should blank JSX component lines and MDX comments', () => {
+    const mdx = '{/* note */}\n<Button\n  variant="primary"\n/>\n<Callout>\nPlain text\n</Callout>';
+
+    assert.strictEqual(preprocessMdx(mdx), '\n\n\n\n\nPlain text\n');
+  });
+
+  test('should keep fenced code verbatim', () => {
+    const mdx = '```tsx\nimport { Button } from "./Button";\n<Button />\n```';
+
+    assert.strictEqual(preprocessMdx(mdx), mdx);
+  });
+
+  test('should title fences inside tabs with the tab label', () => {
+    const mdx = [
+      '<Tabs>',
+      '  <TabItem value="npm" label="npm">',
+      '    ```bash',
+      '    npm install example',
+      '    ```',
+      '  </TabItem>',
+      '  <TabItem value="yarn">',
+      '',
+      '```bash title="install.sh"',
+      'yarn add example',
+      '```',
+      '',
+      '  </TabItem>',
+      '</Tabs>',
+      '',
+      '```js',
+      'untabbed();',
+      '```'
+    ].join('\n');
+
+    const lines = preprocessMdx(mdx).split('\n');
+
+    assert.strictEqual(lines[2], '```bash title="npm" tab="npm"');
+    assert.strictEqual(lines[3], 'npm install example');
+    assert.strictEqual(lines[8], '```bash title="install.sh" tab="yarn"');
+    assert.strictEqual(lines[15], '```js');
+  });
+
+  test('should convert CodeBlock components to fences', () => {
+    const mdx = '<CodeBlock language="tsx" title="theme.tsx">\n{`const theme = \\`blue\\`;`}\n</CodeBlock>';
+
+    assert.strictEqual(preprocessMdx(mdx), '```tsx title="theme.tsx"\nconst theme = `blue`;\n```');
+  });
+
+  test('should convert CodeBlock components with plain children', () => {
+    const mdx = "<CodeBlock lang='bash'>\nnpm test\n</CodeBlock>";
+
+    assert.strictEqual(preprocessMdx(mdx), '```bash\nnpm test\n```');
+  });
+
+  test('should keep text after a tag and fenced code inside components', () => {
+    const mdx = '<Note>Use this carefully.\n```js\nconnect();\n```\n</Note>\n<Badge onClick={() => open()}>New</Badge>';
+
+    assert.strictEqual(preprocessMdx(mdx), 'Use this carefully.\n```js\nconnect();\n```\n\nNew');
+  });
+
+  test('should convert self-closing CodeBlock components with a code attribute', () => {
+    const mdx = '<CodeBlock language="bash" code="npm test" />\n# Next';
+
+    assert.strictEqual(preprocessMdx(mdx), '```bash\nnpm test\n```\n# Next');
+  });
+
+  test('should blank self-closing CodeBlock components without string code', () => {
+    const mdx = '<CodeBlock language="js" code={example} />\n# Next\n\nText';
+
+    assert.strictEqual(preprocessMdx(mdx), '\n# Next\n\nText');
+  });
+
+  test('should return empty string for invalid input', () => {
+    assert.strictEqual(preprocessMdx(''), '');
+    assert.strictEqual(preprocessMdx(null), '');
+  });
+});
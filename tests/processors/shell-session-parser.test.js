@@ -0,0 +1,46 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { isSessionLanguage, parseShellSession, remapHighlightLines } from '../../src/processors/shell-session-parser.js';
+
+describe('Shell Session Parser', () => {
+  test('should split commands from output and strip prompts', () => {
+    const session = parseShellSession('$ npm test\n\n> example@1.0.0 test\n> node --test\n\n$ echo done\ndone');
+    assert.deepStrictEqual(session, {
+      commands: 'npm test\necho done',
+      commandLines: [1, 6],
+      output: '> example@1.0.0 test\n> node --test\n\ndone'
+    });
+  });
+
+  test('should recognise common prompt styles', () => {
+    assert.strictEqual(parseShellSession('% ls').commands, 'ls');
+    assert.strictEqual(parseShellSession('user@host:~/app$ ls').commands, 'ls');
+    assert.strictEqual(parseShellSession('(venv) $ pip install md2llm').commands, 'pip install md2llm');
+    assert.strictEqual(parseShellSession('PS C:\\app> Get-ChildItem').commands, 'Get-ChildItem');
+    assert.strictEqual(parseShellSession('❯ git status').commands, 'git status');
+  });
+
+  test('should keep backslash continuations with their command', () => {
+    const session = parseShellSession('$ docker run \\\n  --rm app\nstarted');
+    assert.deepStrictEqual(session, { commands: 'docker run \\\n  --rm app', commandLines: [1, 2], output: 'started' });
+  });
+
+  test('should map highlighted lines to command lines and drop highlighted output', () => {
+    const ranges = [{ start: 2, end: 4 }, { start: 6, end: 6 }];
+
+    assert.deepStrictEqual(remapHighlightLines(ranges, [1, 3, 4, 6]), [{ start: 2, end: 4 }]);
+    assert.deepStrictEqual(remapHighlightLines(ranges, [1, 5]), []);
+  });
+
+  test('should return null for code without prompts', () => {
+    assert.strictEqual(parseShellSession('npm install\nexport PATH=$HOME/bin:$PATH'), null);
+    assert.strictEqual(parseShellSession('$HOME/bin/run'), null);
+    assert.strictEqual(parseShellSession(''), null);
+  });
+
+  test('should only treat shell languages as sessions', () => {
+    assert.strictEqual(isSessionLanguage('console'), true);
+    assert.strictEqual(isSessionLanguage('bash'), true);
+    assert.strictEqual(isSessionLanguage('javascript'), false);
+  });
+});
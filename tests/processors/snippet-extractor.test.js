@@ -1,6 +1,13 @@
+/* eslint-disable max-len, max-statements */
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
-import { extractSnippetsFromTokens, formatSnippet } from '../../src/processors/snippet-extractor.js';
+import MarkdownIt from 'markdown-it';
+import {
+  extractSnippetsFromTokens,
+  formatSnippet,
+  formatExamplePair,
+  buildBreadcrumb
+} from '../../src/processors/snippet-extractor.js';
 
 describe('Snippet Extractor', () => {
   test('should extract snippets from markdown tokens', () => {
@@ -33,6 +40,19 @@ describe('Snippet Extractor', () => {
     assert.strictEqual(snippets[1].code, 'print("hello")');
   });
 
+  test('should record 1-based source lines from token maps', () => {
+    const tokens = [
+      { type: 'fence', info: 'js', content: 'one();\ntwo();\n', map: [4, 8] },
+      { type: 'fence', info: 'js', content: 'three();' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+
+    assert.strictEqual(snippets[0].lineStart, 5);
+    assert.strictEqual(snippets[0].lineEnd, 8);
+    assert.strictEqual(snippets[1].lineStart, null);
+  });
+
   test('should handle snippets without headings', () => {
     const tokens = [
       { type: 'fence', info: 'javascript', content: 'console.log("test");' }
@@ -77,6 +97,326 @@ describe('Snippet Extractor', () => {
     assert.deepStrictEqual(snippets, []);
   });
 
+  test('should parse fence info metadata into snippet fields', () => {
+    const tokens = [
+      { type: 'heading_open', tag: 'h2' },
+      { type: 'inline', content: 'Server' },
+      { type: 'heading_close', tag: 'h2' },
+      { type: 'fence', info: 'js title="server.js" {3-5} skip', content: 'const server = createServer();' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+
+    assert.strictEqual(snippets.length, 1);
+    assert.strictEqual(snippets[0].title, 'server.js');
+    assert.strictEqual(snippets[0].language, 'javascript');
+    assert.deepStrictEqual(snippets[0].highlightLines, [{ start: 3, end: 5 }]);
+    assert.deepStrictEqual(snippets[0].flags, ['skip']);
+  });
+
+  test('should format fence metadata when present', () => {
+    const formatted = formatSnippet({
+      title: 'server.js',
+      language: 'js',
+      code: 'const server = createServer();',
+      highlightLines: [{ start: 3, end: 5 }],
+      flags: ['skip']
+    });
+
+    assert(formatted.includes('LANGUAGE: js\n'));
+    assert(formatted.includes('HIGHLIGHT: 3-5'));
+    assert(formatted.includes('FLAGS: skip'));
+    assert(formatted.includes('```js\n'));
+  });
+
+  test('should omit fence metadata lines when absent', () => {
+    const formatted = formatSnippet({ title: 'Plain', language: 'js', code: 'x();' });
+
+    assert(!formatted.includes('HIGHLIGHT:'));
+    assert(!formatted.includes('FLAGS:'));
+  });
+
+  test('should skip a fence after an ignore directive', () => {
+    const tokens = [
+      { type: 'html_block', content: '<!-- md2llm:ignore -->\n' },
+      { type: 'fence', info: 'bash', content: 'npm install example' },
+      { type: 'fence', info: 'js', content: 'example();' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+
+    assert.strictEqual(snippets.length, 1);
+    assert.strictEqual(snippets[0].code, 'example();');
+  });
+
+  test('should skip fences inside an ignore region', () => {
+    const tokens = [
+      { type: 'html_block', content: '<!-- md2llm:ignore-start -->\n' },
+      { type: 'fence', info: 'js', content: 'bad();' },
+      { type: 'fence', info: 'js', content: 'worse();' },
+      { type: 'html_block', content: '<!-- md2llm:ignore-end -->\n' },
+      { type: 'fence', info: 'js', content: 'good();' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+
+    assert.deepStrictEqual(snippets.map(s => s.code), ['good();']);
+  });
+
+  test('should force-include a fence inside an ignore region', () => {
+    const tokens = [
+      { type: 'html_block', content: '<!-- md2llm:ignore-start -->\n' },
+      { type: 'html_block', content: '<!-- md2llm:include -->\n' },
+      { type: 'fence', info: 'js', content: 'kept();' },
+      { type: 'fence', info: 'js', content: 'dropped();' },
+      { type: 'html_block', content: '<!-- md2llm:ignore-end -->\n' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+
+    assert.strictEqual(snippets.length, 1);
+    assert.strictEqual(snippets[0].code, 'kept();');
+    assert.strictEqual(snippets[0].forceInclude, true);
+  });
+
+  test('should apply title and description overrides to the next fence only', () => {
+    const tokens = [
+      { type: 'heading_open', tag: 'h2' },
+      { type: 'inline', content: 'Usage' },
+      { type: 'heading_close', tag: 'h2' },
+      { type: 'html_block', content: '<!-- md2llm:title "Create a client" -->\n<!-- md2llm:description "Connects to the API" -->\n' },
+      { type: 'fence', info: 'js', content: 'createClient();' },
+      { type: 'fence', info: 'js', content: 'client.close();' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+
+    assert.strictEqual(snippets[0].title, 'Create a client');
+    assert.strictEqual(snippets[0].description, 'Connects to the API');
+    assert.strictEqual(snippets[1].title, 'Usage');
+  });
+
+  test('should not carry pending directives across headings', () => {
+    const tokens = [
+      { type: 'html_block', content: '<!-- md2llm:ignore -->\n' },
+      { type: 'heading_open', tag: 'h2' },
+      { type: 'inline', content: 'Next Section' },
+      { type: 'heading_close', tag: 'h2' },
+      { type: 'fence', info: 'js', content: 'kept();' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+    assert.strictEqual(snippets.length, 1);
+  });
+
+  test('should warn about unknown directives', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const tokens = [
+      { type: 'html_block', content: '<!-- md2llm:ignroe -->\n' },
+      { type: 'fence', info: 'js', content: 'kept();' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+    assert.strictEqual(snippets.length, 1);
+    assert.strictEqual(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /Unknown md2llm directive "ignroe" in test\.md/);
+  });
+
+  test('should build breadcrumb titles from nested headings', () => {
+    const tokens = [
+      { type: 'heading_open', tag: 'h1' },
+      { type: 'inline', content: 'my-package' },
+      { type: 'heading_close', tag: 'h1' },
+      { type: 'heading_open', tag: 'h2' },
+      { type: 'inline', content: 'Client' },
+      { type: 'heading_close', tag: 'h2' },
+      { type: 'heading_open', tag: 'h3' },
+      { type: 'inline', content: 'Authentication' },
+      { type: 'heading_close', tag: 'h3' },
+      { type: 'heading_open', tag: 'h4' },
+      { type: 'inline', content: 'Example' },
+      { type: 'heading_close', tag: 'h4' },
+      { type: 'fence', info: 'js', content: 'client.login();' },
+      { type: 'heading_open', tag: 'h2' },
+      { type: 'inline', content: 'Server' },
+      { type: 'heading_close', tag: 'h2' },
+      { type: 'heading_open', tag: 'h4' },
+      { type: 'inline', content: 'Example' },
+      { type: 'heading_close', tag: 'h4' },
+      { type: 'fence', info: 'js', content: 'server.listen();' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+
+    assert.strictEqual(snippets[0].title, 'Client > Authentication > Example');
+    assert.deepStrictEqual(snippets[0].headingPath, ['my-package', 'Client', 'Authentication', 'Example']);
+    assert.strictEqual(snippets[1].title, 'Server > Example');
+    assert.deepStrictEqual(snippets[1].headingPath, ['my-package', 'Server', 'Example']);
+  });
+
+  test('should keep the document title when a snippet sits directly under it', () => {
+    const tokens = [
+      { type: 'heading_open', tag: 'h1' },
+      { type: 'inline', content: 'my-package' },
+      { type: 'heading_close', tag: 'h1' },
+      { type: 'fence', info: 'js', content: 'init();' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+    assert.strictEqual(snippets[0].title, 'my-package');
+  });
+
+  test('should keep h1 headings in breadcrumbs when a document has several', () => {
+    const tokens = [
+      { type: 'heading_open', tag: 'h1' },
+      { type: 'inline', content: 'Client' },
+      { type: 'heading_close', tag: 'h1' },
+      { type: 'heading_open', tag: 'h1' },
+      { type: 'inline', content: 'Server' },
+      { type: 'heading_close', tag: 'h1' },
+      { type: 'heading_open', tag: 'h2' },
+      { type: 'inline', content: 'Usage' },
+      { type: 'heading_close', tag: 'h2' },
+      { type: 'fence', info: 'js', content: 'server.listen();' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+    assert.strictEqual(snippets[0].title, 'Server > Usage');
+  });
+
+  test('should build breadcrumbs from heading paths', () => {
+    assert.strictEqual(buildBreadcrumb(['Doc', 'Client', 'Example'], true), 'Client > Example');
+    assert.strictEqual(buildBreadcrumb(['Doc', 'Client', 'Example'], false), 'Doc > Client > Example');
+    assert.strictEqual(buildBreadcrumb(['Doc'], true), 'Doc');
+    assert.strictEqual(buildBreadcrumb([], true), '');
+  });
+
+  test('should record the origin of fenced snippets', () => {
+    const tokens = [{ type: 'fence', info: 'js', content: 'a();' }];
+    assert.strictEqual(extractSnippetsFromTokens(tokens, 'test.md')[0].origin, 'fence');
+  });
+
+  test('should extract indented code blocks', () => {
+    const tokens = [
+      { type: 'paragraph_open', tag: 'p' },
+      { type: 'inline', content: 'Run the server:' },
+      { type: 'paragraph_close', tag: 'p' },
+      { type: 'code_block', info: '', content: 'server.listen(3000);\n' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+
+    assert.strictEqual(snippets.length, 1);
+    assert.strictEqual(snippets[0].origin, 'indented');
+    assert.strictEqual(snippets[0].language, 'text');
+    assert.strictEqual(snippets[0].description, 'Run the server:');
+    assert.strictEqual(snippets[0].code, 'server.listen(3000);');
+  });
+
+  test('should extract HTML pre/code blocks with their language', () => {
+    const tokens = [
+      { type: 'html_block', content: '<pre><code class="language-js">const a = b &amp;&amp; c;\n</code></pre>\n' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+
+    assert.strictEqual(snippets.length, 1);
+    assert.strictEqual(snippets[0].origin, 'html');
+    assert.strictEqual(snippets[0].language, 'javascript');
+    assert.strictEqual(snippets[0].code, 'const a = b && c;');
+  });
+
+  test('should apply directives to HTML code blocks', () => {
+    const tokens = [
+      { type: 'html_block', content: '<!-- md2llm:ignore -->\n' },
+      { type: 'html_block', content: '<pre><code>ignored</code></pre>\n' }
+    ];
+
+    assert.deepStrictEqual(extractSnippetsFromTokens(tokens, 'test.md'), []);
+  });
+
+  test('should normalise language aliases', () => {
+    const tokens = [
+      { type: 'fence', info: 'mjs', content: 'a();' },
+      { type: 'fence', info: 'Node', content: 'b();' },
+      { type: 'fence', info: 'yml', content: 'c: 1' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+    assert.deepStrictEqual(snippets.map(s => s.language), ['javascript', 'javascript', 'yaml']);
+  });
+
+  test('should keep only included languages', () => {
+    const tokens = [
+      { type: 'fence', info: 'js', content: 'a();' },
+      { type: 'fence', info: 'bash', content: 'npm install' },
+      { type: 'fence', info: 'ts', content: 'const b: number = 1;' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md', { languages: ['javascript', 'typescript'] });
+    assert.deepStrictEqual(snippets.map(s => s.language), ['javascript', 'typescript']);
+  });
+
+  test('should drop excluded languages and number remaining snippets consecutively', () => {
+    const tokens = [
+      { type: 'fence', info: 'sh', content: 'npm install' },
+      { type: 'fence', info: 'js', content: 'a();' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md', { excludeLanguages: ['bash'] });
+
+    assert.strictEqual(snippets.length, 1);
+    assert.strictEqual(snippets[0].title, 'Snippet 1');
+  });
+
+  test('should keep force-included snippets regardless of language filters', () => {
+    const tokens = [
+      { type: 'html_block', content: '<!-- md2llm:include -->\n' },
+      { type: 'fence', info: 'bash', content: 'npm install required-peer' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md', { excludeLanguages: ['bash'] });
+    assert.strictEqual(snippets.length, 1);
+  });
+
+  test('should detect the language of unlabeled fences', () => {
+    const tokens = [{ type: 'fence', info: '', content: '{\n  "name": "example"\n}' }];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+
+    assert.strictEqual(snippets[0].language, 'json');
+    assert.strictEqual(snippets[0].languageDetected, true);
+    assert(snippets[0].languageConfidence > 0.5);
+  });
+
+  test('should record full confidence for labeled fences', () => {
+    const tokens = [{ type: 'fence', info: 'json', content: '{}' }];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+
+    assert.strictEqual(snippets[0].languageConfidence, 1);
+    assert.strictEqual(snippets[0].languageDetected, false);
+  });
+
+  test('should not detect languages when detection is disabled', () => {
+    const tokens = [{ type: 'fence', info: '', content: '{\n  "name": "example"\n}' }];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md', { detectLanguage: false });
+
+    assert.strictEqual(snippets[0].language, 'text');
+    assert.strictEqual(snippets[0].languageConfidence, 0);
+  });
+
+  test('should filter on detected languages', () => {
+    const tokens = [
+      { type: 'fence', info: '', content: 'npm install example' },
+      { type: 'fence', info: '', content: "const example = require('example');" }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md', { excludeLanguages: ['bash'] });
+    assert.deepStrictEqual(snippets.map(s => s.language), ['javascript']);
+  });
+
   test('should format snippet correctly', () => {
     const snippet = {
       title: 'Test Snippet',
@@ -134,4 +474,186 @@ describe('Snippet Extractor', () => {
     const formatted = formatSnippet(snippet);
     assert.strictEqual(formatted, '');
   });
+
+  test('should group adjacent alternative fences into variants', () => {
+    const tokens = [
+      { type: 'heading_open', tag: 'h2' },
+      { type: 'inline', content: 'Install' },
+      { type: 'heading_close', tag: 'h2' },
+      { type: 'fence', info: 'bash [npm]', content: 'npm install example', map: [2, 5] },
+      { type: 'html_block', content: '<!-- tab -->' },
+      { type: 'fence', info: 'bash [yarn]', content: 'yarn add example', map: [6, 9] },
+      { type: 'paragraph_open', tag: 'p' },
+      { type: 'inline', content: 'Then build:' },
+      { type: 'paragraph_close', tag: 'p' },
+      { type: 'fence', info: 'bash', content: 'npm run build' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+
+    assert.strictEqual(snippets.length, 2);
+    assert.strictEqual(snippets[0].title, 'Install', 'Group should be titled by heading rather than first tab');
+    assert.deepStrictEqual(snippets[0].variants.map(variant => variant.label), ['npm', 'yarn']);
+    assert.strictEqual(snippets[0].lineEnd, 9);
+    assert.strictEqual(snippets[1].description, 'Then build:');
+    assert(!snippets[1].variants, 'Separated fence should not be grouped');
+  });
+
+  test('should keep adjacent fences of different files as separate snippets', () => {
+    const tokens = [
+      { type: 'fence', info: 'js title="server.js"', content: 'app.listen(3000);' },
+      { type: 'fence', info: 'js title="client.js"', content: 'fetch("/api");' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md', { preferVariants: ['javascript'] });
+
+    assert.deepStrictEqual(snippets.map(snippet => snippet.title), ['server.js', 'client.js']);
+  });
+
+  test('should keep only the preferred variant', () => {
+    const tokens = [
+      { type: 'fence', info: 'js', content: 'const a = 1;' },
+      { type: 'fence', info: 'ts', content: 'const a: number = 1;' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md', { preferVariants: ['typescript'] });
+
+    assert.strictEqual(snippets.length, 1);
+    assert.strictEqual(snippets[0].language, 'typescript');
+    assert(!snippets[0].variants);
+  });
+
+  test('should format grouped variants', () => {
+    const formatted = formatSnippet({
+      title: 'Install',
+      language: 'bash',
+      code: 'npm install example',
+      variants: [
+        { label: 'npm', language: 'bash', code: 'npm install example' },
+        { label: 'yarn', language: 'bash', code: 'yarn add example' }
+      ]
+    });
+
+    assert(formatted.includes('LANGUAGE: bash\n'));
+    assert(formatted.includes('CODE:\nVARIANT: npm\n```bash\nnpm install example\n```\nVARIANT: yarn\n```bash\nyarn add example\n```'));
+  });
+
+  test('should classify examples labelled by the paragraph before them', () => {
+    const tokens = [
+      { type: 'heading_open', tag: 'h2' },
+      { type: 'inline', content: 'State' },
+      { type: 'heading_close', tag: 'h2' },
+      { type: 'paragraph_open', tag: 'p' },
+      { type: 'inline', content: '❌ **Bad:** mutates the array' },
+      { type: 'paragraph_close', tag: 'p' },
+      { type: 'fence', info: 'js', content: 'items.push(item);' },
+      { type: 'fence', info: 'js', content: 'return [...items, item];' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+
+    assert.strictEqual(snippets.length, 2, 'Examples of different polarity should not be grouped as variants');
+    assert.strictEqual(snippets[0].polarity, 'negative');
+    assert.strictEqual(snippets[0].description, 'mutates the array');
+    assert(!('polarity' in snippets[1]), 'Unlabelled snippets should have no polarity');
+  });
+
+  test('should classify examples by heading, fence title and leading comment', () => {
+    const tokens = [
+      { type: 'heading_open', tag: 'h2' },
+      { type: 'inline', content: 'Props' },
+      { type: 'heading_close', tag: 'h2' },
+      { type: 'heading_open', tag: 'h3' },
+      { type: 'inline', content: "Don't" },
+      { type: 'heading_close', tag: 'h3' },
+      { type: 'fence', info: 'jsx', content: 'props.value = 1;' },
+      { type: 'heading_open', tag: 'h3' },
+      { type: 'inline', content: 'Do' },
+      { type: 'heading_close', tag: 'h3' },
+      { type: 'fence', info: 'jsx title="✅ Correct"', content: 'setValue(1);' },
+      { type: 'paragraph_open', tag: 'p' },
+      { type: 'inline', content: 'Do the following instead:' },
+      { type: 'paragraph_close', tag: 'p' },
+      { type: 'fence', info: 'js', content: '// bad\neval(input);' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+
+    assert.deepStrictEqual(snippets.map(snippet => snippet.polarity), ['negative', 'positive', 'negative']);
+    assert.strictEqual(snippets[0].title, 'Props', 'Label headings should be left out of the title');
+    assert.strictEqual(snippets[0].description, '');
+    assert.strictEqual(snippets[1].title, 'Props', 'Label titles should fall back to the section title');
+    assert.strictEqual(snippets[2].description, 'Do the following instead:');
+  });
+
+  test('should mark unpaired examples and format pairs', () => {
+    const negative = { title: 'State', description: 'mutates', source: 'a.md', language: 'javascript', code: 'a.push(b);', polarity: 'negative' };
+    const positive = { title: 'State', description: 'copies', source: 'a.md', language: 'javascript', code: 'return [...a, b];', polarity: 'positive' };
+
+    assert(formatSnippet(negative).includes("LANGUAGE: javascript\nEXAMPLE: DON'T\nCODE:"));
+    assert.strictEqual(formatExamplePair({ negative, positive }), [
+      'TITLE: State',
+      'SOURCE: a.md',
+      'LANGUAGE: javascript',
+      "DON'T: mutates",
+      '```javascript',
+      'a.push(b);',
+      '```',
+      'DO: copies',
+      '```javascript',
+      'return [...a, b];',
+      '```',
+      '',
+      '----------------------------------------'
+    ].join('\n'));
+  });
+
+  test('should separate shell session commands from their output', () => {
+    const tokens = [
+      { type: 'fence', info: 'shell-session', content: '$ npm test\nok 1 - passes\n' },
+      { type: 'fence', info: 'sh', content: 'export PATH=$HOME/bin:$PATH\n' }
+    ];
+
+    const snippets = extractSnippetsFromTokens(tokens, 'test.md');
+    assert.strictEqual(snippets[0].code, 'npm test');
+    assert.strictEqual(snippets[0].output, 'ok 1 - passes');
+    assert.strictEqual(snippets[1].code, 'export PATH=$HOME/bin:$PATH');
+    assert(!('output' in snippets[1]), 'Shell scripts without prompts should be left alone');
+
+    const formatted = formatSnippet(snippets[0]);
+    assert(formatted.includes('CODE:\n```console\nnpm test\n```\nOUTPUT:\n```text\nok 1 - passes\n```'));
+
+    const dropped = extractSnippetsFromTokens(tokens, 'test.md', { dropShellOutput: true });
+    assert.strictEqual(dropped[0].code, 'npm test');
+    assert(!('output' in dropped[0]), 'Output should be dropped when requested');
+  });
+
+  test('should point highlighted lines of shell sessions at their commands', () => {
+    const tokens = [
+      { type: 'fence', info: 'console {2,4}', content: '$ npm install\nadded 1 package\n$ npm test\n$ npm run lint\n' }
+    ];
+
+    const [snippet] = extractSnippetsFromTokens(tokens, 'test.md');
+    assert.strictEqual(snippet.code, 'npm install\nnpm test\nnpm run lint');
+    assert.deepStrictEqual(snippet.highlightLines, [{ start: 3, end: 3 }]);
+  });
+
+  test('should render descriptions from inline tokens', () => {
+    const tokens = new MarkdownIt({ html: true }).parse('Call **`connect()`** as in [the guide](./guide.md):\n\n```js\nconnect();\n```\n', {});
+
+    assert.strictEqual(extractSnippetsFromTokens(tokens, 'docs/api.md')[0].description,
+      'Call **`connect()`** as in [the guide](./guide.md):');
+    assert.strictEqual(extractSnippetsFromTokens(tokens, 'docs/api.md', { plainDescriptions: true })[0].description,
+      'Call connect() as in the guide:');
+  });
+
+  test('should build descriptions from the surrounding prose', () => {
+    const tokens = new MarkdownIt().parse('Opens a connection.\n\nFor example:\n\n```js\nconnect();\n```\n\nThis logs the host.\n', {});
+
+    assert.strictEqual(extractSnippetsFromTokens(tokens, 'test.md')[0].description, 'Opens a connection.');
+    const options = { descriptionAfter: true, descriptionMaxLength: 30 };
+    assert.strictEqual(extractSnippetsFromTokens(tokens, 'test.md', options)[0].description, 'Opens a connection.');
+    assert.strictEqual(extractSnippetsFromTokens(tokens, 'test.md', { descriptionAfter: true })[0].description,
+      'Opens a connection. This logs the host.');
+  });
 });
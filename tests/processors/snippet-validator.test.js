@@ -0,0 +1,137 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { spawnSync } from 'child_process';
+import { formatLocation, isValidatable, validateSnippet, validateSnippets } from '../../src/processors/snippet-validator.js';
+
+/**
+ * Creates a fenced snippet for validation
+ * @param {string} language - Canonical language
+ * @param {string} code - Snippet code
+ * @returns {Object} Snippet object
+ */
+function createSnippet(language, code) {
+  return { title: 'Example', source: 'docs/api.md', language, code, origin: 'fence', lineStart: 10, lineEnd: 14 };
+}
+
+/**
+ * Module that makes the typescript package fail to resolve, as when the optional peer is not installed
+ */
+const WITHOUT_TYPESCRIPT = `data:text/javascript,${encodeURIComponent([
+  "import Module from 'node:module';",
+  'const resolve = Module._resolveFilename;',
+  'Module._resolveFilename = function (request, ...args) {',
+  "  if (request === 'typescript') throw new Error('Cannot find module typescript');",
+  '  return resolve.call(this, request, ...args);',
+  '};'
+].join('\n'))}`;
+
+describe('Snippet Validator', () => {
+  test('should fail script validation clearly when typescript is not installed', () => {
+    const script = [
+      `import { validateSnippet } from '${new URL('../../src/processors/snippet-validator.js', import.meta.url)}';`,
+      "console.log(validateSnippet({ language: 'json', code: '{}' }).valid);",
+      "try { validateSnippet({ language: 'javascript', code: 'run();' }); } catch (error) { console.log(error.message); }"
+    ].join('\n');
+    const result = spawnSync(process.execPath, ['--import', WITHOUT_TYPESCRIPT, '--input-type=module', '--eval', script], {
+      encoding: 'utf8'
+    });
+
+    assert.strictEqual(result.stdout, 'true\nValidating JavaScript and TypeScript snippets requires the typescript package; ' +
+      'run npm install --save-dev typescript\n');
+  });
+
+  test('should accept valid JavaScript, TypeScript, JSX and TSX', () => {
+    assert(validateSnippet(createSnippet('javascript', "import x from 'x';\nawait x();")).valid);
+    assert(validateSnippet(createSnippet('typescript', 'const name: string = "x";')).valid);
+    assert(validateSnippet(createSnippet('jsx', 'const el = <Button onClick={go}>Go</Button>;')).valid);
+    assert(validateSnippet(createSnippet('tsx', 'const el = <Box<string> value="x" />;')).valid);
+  });
+
+  test('should report syntax errors with the line inside the code', () => {
+    const result = validateSnippet(createSnippet('javascript', 'const a = 1;\nconst b = ;'));
+
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.line, 2);
+    assert.match(result.message, /Expression expected/);
+  });
+
+  test('should reject TypeScript syntax in JavaScript snippets', () => {
+    assert.strictEqual(validateSnippet(createSnippet('javascript', 'const a: string = "x";')).valid, false);
+  });
+
+  test('should validate JSON', () => {
+    assert(validateSnippet(createSnippet('json', '{ "a": [1, 2] }')).valid);
+
+    const result = validateSnippet(createSnippet('json', '{\n  "a": 1,\n}'));
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.line, 3);
+  });
+
+  test('should not validate JSON5 or JSONC as JSON', () => {
+    const code = '{\n  // retries\n  retries: 3,\n}';
+
+    assert(validateSnippet(createSnippet('json5', code)).valid);
+    assert(validateSnippet(createSnippet('jsonc', code)).valid);
+    assert.strictEqual(validateSnippets([createSnippet('json5', code)], { validate: true, dropInvalid: true }).length, 1);
+  });
+
+  test('should validate YAML, including multiple documents', () => {
+    assert(validateSnippet(createSnippet('yaml', 'a: 1\n---\nb: [1, 2]')).valid);
+
+    const result = validateSnippet(createSnippet('yaml', 'a: 1\nb: [1, 2\n'));
+    assert.strictEqual(result.valid, false);
+    assert(result.line >= 2);
+  });
+
+  test('should treat languages without a validator as valid', () => {
+    assert.strictEqual(isValidatable('bash'), false);
+    assert(validateSnippet(createSnippet('bash', 'if then fi ((')).valid);
+  });
+
+  test('should leave snippets untouched unless validation is enabled', () => {
+    const snippets = [createSnippet('json', '{')];
+
+    assert.strictEqual(validateSnippets(snippets, {}), snippets);
+  });
+
+  test('should record invalid snippets with their source line', () => {
+    const report = { invalidSnippets: [] };
+    const snippets = [createSnippet('json', '{}'), createSnippet('javascript', 'const a = 1;\nconst b = ;')];
+
+    const kept = validateSnippets(snippets, { validate: true, report });
+
+    assert.strictEqual(kept.length, 2);
+    assert.strictEqual(report.invalidSnippets.length, 1);
+    assert.strictEqual(report.invalidSnippets[0].line, 12);
+    assert.strictEqual(formatLocation(report.invalidSnippets[0]), 'docs/api.md:12');
+  });
+
+  test('should drop invalid snippets when requested', () => {
+    const report = { invalidSnippets: [] };
+    const snippets = [createSnippet('json', '{}'), createSnippet('json', '{')];
+
+    const kept = validateSnippets(snippets, { validate: true, dropInvalid: true, report });
+
+    assert.deepStrictEqual(kept, [snippets[0]]);
+    assert.strictEqual(report.invalidSnippets.length, 1);
+  });
+
+  test('should validate each variant and drop only invalid ones', () => {
+    const report = { invalidSnippets: [] };
+    const group = {
+      ...createSnippet('json', '{}'),
+      variants: [
+        { label: 'Valid', language: 'json', code: '{}', lineStart: 10, lineEnd: 12 },
+        { label: 'Broken', language: 'json', code: '{', lineStart: 13, lineEnd: 15 }
+      ]
+    };
+
+    const [kept] = validateSnippets([group], { validate: true, dropInvalid: true, report });
+
+    assert.strictEqual(report.invalidSnippets.length, 1);
+    assert.strictEqual(report.invalidSnippets[0].title, 'Example (Broken)');
+    assert.strictEqual(report.invalidSnippets[0].line, 14);
+    assert(!kept.variants, 'A group left with one variant should be ungrouped');
+    assert.strictEqual(kept.code, '{}');
+  });
+});
@@ -0,0 +1,95 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import MarkdownIt from 'markdown-it';
+import {
+  extractTablesFromTokens,
+  mapColumns,
+  formatReference
+} from '../../src/processors/table-extractor.js';
+
+const md = new MarkdownIt({ html: true });
+
+/**
+ * Extracts table references from markdown content
+ * @param {string} content - Markdown content
+ * @param {Object} [options] - Extraction options
+ * @returns {Array} Extracted references
+ */
+function extract(content, options) {
+  return extractTablesFromTokens(md.parse(content, {}), 'docs/client.md', options);
+}
+
+const OPTIONS_TABLE = [
+  '# Client',
+  '',
+  '## Options',
+  '',
+  '| Option | Type | Default | Description |',
+  '| --- | --- | --- | --- |',
+  '| `timeout` | `number` | `3000` | Request timeout in ms |',
+  '| `retries` | `number` | | How often to retry |'
+].join('\n');
+
+describe('Table Extractor', () => {
+  test('should map columns by their header names', () => {
+    assert.deepStrictEqual(mapColumns(['Option', 'Type', 'Default', 'Description']),
+      { key: 0, type: 1, default: 2, description: 3, extra: [] });
+    assert.deepStrictEqual(mapColumns(['Description', '**Prop**', 'Default value']),
+      { key: 1, type: -1, default: 2, description: 0, extra: [] });
+  });
+
+  test('should fall back to the first column as key and the last as description', () => {
+    assert.deepStrictEqual(mapColumns(['Variable', 'Required', 'Meaning']),
+      { key: 0, type: -1, default: -1, description: 2, extra: [1] });
+    assert.deepStrictEqual(mapColumns(['Command', 'Effect']),
+      { key: 0, type: -1, default: -1, description: 1, extra: [] });
+  });
+
+  test('should extract tables as rows attached to the current heading', () => {
+    const [reference] = extract(OPTIONS_TABLE);
+
+    assert.strictEqual(reference.context, 'Options');
+    assert.deepStrictEqual(reference.headingPath, ['Client', 'Options']);
+    assert.deepStrictEqual(reference.columns, ['Option', 'Type', 'Default', 'Description']);
+    assert.deepStrictEqual(reference.rows, [
+      { key: '`timeout`', type: '`number`', default: '`3000`', description: 'Request timeout in ms' },
+      { key: '`retries`', type: '`number`', default: '', description: 'How often to retry' }
+    ]);
+    assert.strictEqual(reference.source, 'docs/client.md');
+    assert.strictEqual(reference.lineStart, 5);
+    assert.strictEqual(reference.lineEnd, 8);
+  });
+
+  test('should add extra columns to the description', () => {
+    const [reference] = extract('| Name | Required | Description |\n| - | - | - |\n| `API_URL` | yes | Server URL |\n');
+    assert.strictEqual(reference.rows[0].description, 'Server URL; Required: yes');
+  });
+
+  test('should render cells as plain text when requested', () => {
+    const [reference] = extract(OPTIONS_TABLE, { plainDescriptions: true });
+    assert.strictEqual(reference.rows[0].key, 'timeout');
+  });
+
+  test('should skip tables without rows and tables in ignore regions', () => {
+    assert.deepStrictEqual(extract('| Name | Description |\n| - | - |\n'), []);
+    assert.deepStrictEqual(extract(`<!-- md2llm:ignore-start -->\n\n${OPTIONS_TABLE}\n\n<!-- md2llm:ignore-end -->\n`), []);
+  });
+
+  test('should handle invalid input', () => {
+    assert.deepStrictEqual(extractTablesFromTokens(null, 'docs/client.md'), []);
+  });
+
+  test('should format references as compact rows', () => {
+    const [reference] = extract(OPTIONS_TABLE);
+    assert.strictEqual(formatReference(reference), [
+      'REFERENCE: Options',
+      'SOURCE: docs/client.md',
+      '',
+      '- `timeout` (`number`, default: `3000`): Request timeout in ms',
+      '- `retries` (`number`): How often to retry',
+      '',
+      '----------------------------------------'
+    ].join('\n'));
+    assert.strictEqual(formatReference(null), '');
+  });
+});
@@ -0,0 +1,124 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import MarkdownIt from 'markdown-it';
+import { resolveTransclusions, selectFragment } from '../../src/processors/transclusion-resolver.js';
+
+const md = new MarkdownIt({ html: true });
+
+/**
+ * Parses markdown content into tokens
+ * @param {string} content - Markdown content
+ * @returns {Array} Parsed tokens
+ */
+function parse(content) {
+  return md.parse(content, {});
+}
+
+/**
+ * Parses a markdown document and resolves its references
+ * @param {string} filePath - Document path
+ * @param {string} content - Document content
+ * @returns {Array} Fence tokens after resolution
+ */
+function resolveFences(filePath, content) {
+  return resolveTransclusions(parse(content), filePath, parse).filter(token => token.type === 'fence');
+}
+
+describe('Transclusion Resolver', () => {
+  let tempDir;
+  let docPath;
+
+  before(async () => {
+    tempDir = 'temp-transclusion-test';
+    docPath = path.join(tempDir, 'docs', 'guide.md');
+    fs.mkdirSync(path.join(tempDir, 'docs'), { recursive: true });
+    fs.mkdirSync(path.join(tempDir, 'examples'), { recursive: true });
+
+    fs.writeFileSync(path.join(tempDir, 'examples', 'basic.js'), 'const a = 1;\nconst b = 2;\nconst c = 3;\n');
+    fs.writeFileSync(path.join(tempDir, 'examples', 'auth.ts'), [
+      'export function connect() {',
+      '  // #region setup',
+      '  const client = createClient();',
+      '  // #region login',
+      '  client.login();',
+      '  // #endregion',
+      '  // #endregion setup',
+      '}'
+    ].join('\n'));
+    fs.writeFileSync(path.join(tempDir, 'docs', 'shared.md'), '## Shared\n\n```js file=../examples/basic.js#L3\n```\n');
+    fs.writeFileSync(path.join(tempDir, 'docs', 'guide.md'), '<!-- include: ./loop.md -->\n');
+    fs.writeFileSync(path.join(tempDir, 'docs', 'loop.md'), '<!-- include: ./guide.md -->\n');
+  });
+
+  after(async () => {
+    if (fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should fill fences from their file attribute', () => {
+    const fences = resolveFences(docPath, '```js file=../examples/basic.js\nplaceholder\n```\n');
+    assert.strictEqual(fences[0].content, 'const a = 1;\nconst b = 2;\nconst c = 3;\n');
+    assert.strictEqual(fences[0].info, 'js file=../examples/basic.js');
+  });
+
+  test('should turn include comments into fences at the comment position', () => {
+    const fences = resolveFences(docPath, '# Guide\n\n<!-- include: ../examples/basic.js#L2-L3 -->\n');
+    assert.strictEqual(fences.length, 1);
+    assert.strictEqual(fences[0].info, 'javascript');
+    assert.strictEqual(fences[0].content, 'const b = 2;\nconst c = 3;\n');
+    assert.deepStrictEqual(fences[0].map, [2, 3]);
+  });
+
+  test('should select named regions without their markers', () => {
+    const fences = resolveFences(docPath, '<!-- include: ../examples/auth.ts#setup -->\n');
+    assert.strictEqual(fences[0].info, 'typescript');
+    assert.strictEqual(fences[0].content, 'const client = createClient();\nclient.login();\n');
+  });
+
+  test('should inline included markdown and resolve its references relative to it', () => {
+    const tokens = resolveTransclusions(parse('<!-- include: ./shared.md -->\n'), docPath, parse);
+    const heading = tokens.find(token => token.type === 'inline');
+    const fence = tokens.find(token => token.type === 'fence');
+
+    assert.strictEqual(heading.content, 'Shared');
+    assert.strictEqual(fence.content, 'const c = 3;\n');
+    assert.deepStrictEqual(fence.map, [0, 1], 'Included tokens should point at the include comment');
+  });
+
+  test('should report missing files with the referencing location', () => {
+    assert.throws(() => resolveFences(docPath, '# Guide\n\n```js file=./missing.js\n```\n'),
+      /Included file not found: \.\/missing\.js \(referenced in .*guide\.md:3\)/);
+  });
+
+  test('should reject files outside the source directories', () => {
+    const docsDir = path.join(tempDir, 'docs');
+    const tokens = parse('```js file=../examples/basic.js\n```\n');
+
+    assert.throws(
+      () => resolveTransclusions(tokens, path.join(docsDir, 'api.md'), parse, [docsDir]),
+      /Included file is outside the source directories: \.\.\/examples\/basic\.js \(referenced in .*api\.md:1\)/
+    );
+    const [fence] = resolveTransclusions(tokens, path.join(docsDir, 'api.md'), parse, [tempDir]);
+    assert.strictEqual(fence.content, 'const a = 1;\nconst b = 2;\nconst c = 3;\n');
+  });
+
+  test('should report missing regions and out-of-range lines', () => {
+    assert.throws(() => resolveFences(docPath, '<!-- include: ../examples/auth.ts#teardown -->\n'),
+      /Region "teardown" not found in \.\.\/examples\/auth\.ts/);
+    assert.throws(() => selectFragment('one\ntwo', 'L5-L6'), /Line range L5-L6 is outside the file's 2 lines/);
+  });
+
+  test('should detect circular includes', () => {
+    assert.throws(() => resolveFences(docPath, '<!-- include: ./loop.md -->\n'),
+      /Circular include: .*guide\.md -> .*loop\.md -> .*guide\.md/);
+  });
+
+  test('should leave documents without references unchanged', () => {
+    const tokens = parse('# Guide\n\n```js\nplain();\n```\n');
+    assert.deepStrictEqual(resolveTransclusions(tokens, docPath, parse), tokens);
+    assert.deepStrictEqual(resolveTransclusions(null, docPath, parse), []);
+  });
+});
@@ -0,0 +1,111 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { collapseToVariant, mergeVariant, selectPreferredVariants } from '../../src/processors/variant-grouper.js';
+
+/**
+ * Creates a fenced snippet
+ * @param {string} language - Canonical language
+ * @param {string} code - Snippet code
+ * @param {Object} [attributes] - Fence attributes
+ * @returns {Object} Snippet object
+ */
+function createSnippet(language, code, attributes = {}) {
+  return { title: 'Install', language, code, origin: 'fence', attributes, lineStart: 1, lineEnd: 3 };
+}
+
+describe('Variant Grouper', () => {
+  test('should group package manager commands', () => {
+    const group = createSnippet('bash', 'npm install example');
+
+    assert(mergeVariant(group, createSnippet('bash', 'yarn add example')));
+    assert(mergeVariant(group, createSnippet('bash', 'pnpm add example')));
+
+    assert.deepStrictEqual(group.variants.map(variant => variant.label), ['npm', 'yarn', 'pnpm']);
+    assert.strictEqual(group.variantKind, 'packageManager');
+  });
+
+  test('should group JavaScript and TypeScript', () => {
+    const group = createSnippet('javascript', 'const a = 1;');
+
+    assert(mergeVariant(group, createSnippet('typescript', 'const a: number = 1;')));
+    assert.deepStrictEqual(group.variants.map(variant => variant.label), ['JavaScript', 'TypeScript']);
+  });
+
+  test('should group CommonJS and ESM', () => {
+    const group = createSnippet('javascript', "const x = require('x');");
+
+    assert(mergeVariant(group, createSnippet('javascript', "import x from 'x';")));
+    assert.deepStrictEqual(group.variants.map(variant => variant.label), ['CommonJS', 'ESM']);
+  });
+
+  test('should group blocks in distinct tabs', () => {
+    const group = createSnippet('bash', 'make build', { title: 'macOS', tab: 'macOS' });
+
+    assert(mergeVariant(group, createSnippet('powershell', 'msbuild', { title: 'Windows', tab: 'Windows' })));
+    assert.deepStrictEqual(group.variants.map(variant => variant.label), ['macOS', 'Windows']);
+  });
+
+  test('should keep differently titled files apart', () => {
+    const server = createSnippet('javascript', 'app.listen(3000);', { title: 'server.js' });
+
+    assert(!mergeVariant(server, createSnippet('javascript', 'fetch("/api");', { title: 'client.js' })));
+    assert(!server.variants);
+  });
+
+  test('should not group blocks that are not alternatives', () => {
+    assert(!mergeVariant(createSnippet('bash', 'npm install example'), createSnippet('javascript', 'run();')));
+    assert(!mergeVariant(createSnippet('bash', 'npm install a'), createSnippet('bash', 'npm install b')));
+    assert(!mergeVariant(createSnippet('javascript', 'a();'), createSnippet('javascript', 'b();')));
+  });
+
+  test('should not group a repeated label', () => {
+    const group = createSnippet('bash', 'npm install a');
+    mergeVariant(group, createSnippet('bash', 'yarn add a'));
+
+    assert(!mergeVariant(group, createSnippet('bash', 'npm run build')));
+    assert.strictEqual(group.variants.length, 2);
+  });
+
+  test('should not group indented or HTML code blocks', () => {
+    const indented = { ...createSnippet('bash', 'npm install a'), origin: 'indented' };
+
+    assert(!mergeVariant(indented, createSnippet('bash', 'yarn add a')));
+  });
+
+  test('should select the first preferred variant by label or language', () => {
+    const group = createSnippet('javascript', 'const a = 1;');
+    mergeVariant(group, createSnippet('typescript', 'const a: number = 1;'));
+
+    const [selected] = selectPreferredVariants([group], ['pnpm', 'ts']);
+
+    assert.strictEqual(selected.language, 'typescript');
+    assert.strictEqual(selected.code, 'const a: number = 1;');
+    assert(!('variants' in selected));
+  });
+
+  test('should leave groups without a preferred variant unchanged', () => {
+    const group = createSnippet('bash', 'npm install a');
+    mergeVariant(group, createSnippet('bash', 'yarn add a'));
+
+    assert.deepStrictEqual(selectPreferredVariants([group], ['ts']), [group]);
+    assert.deepStrictEqual(selectPreferredVariants([group], []), [group]);
+  });
+
+  test('should collapse a group to one variant', () => {
+    const group = createSnippet('bash', 'npm install a');
+    mergeVariant(group, createSnippet('bash', 'yarn add a'));
+
+    const collapsed = collapseToVariant(group, group.variants[1]);
+
+    assert.strictEqual(collapsed.code, 'yarn add a');
+    assert(!('variantKind' in collapsed));
+    assert.strictEqual(group.variants.length, 2, 'Original group should be unchanged');
+  });
+
+  test('should keep the output of the selected variant', () => {
+    const group = { ...createSnippet('console', 'npm test'), output: 'npm ok' };
+    mergeVariant(group, { ...createSnippet('console', 'yarn test'), output: 'yarn ok' });
+
+    assert.strictEqual(collapseToVariant(group, group.variants[1]).output, 'yarn ok');
+  });
+});
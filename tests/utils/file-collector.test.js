@@ -2,7 +2,14 @@ import { test, describe, before, after } from 'node:test';
 import assert from 'node:assert';
 import fs from 'fs';
 import path from 'path';
-import { collectMarkdownFiles, getFileStats, pathExists } from '../../src/utils/file-collector.js';
+import {
+  collectMarkdownFiles,
+  collectSourceFiles,
+  isMdxFile,
+  isSourceFile,
+  getFileStats,
+  pathExists
+} from '../../src/utils/file-collector.js';
 
 describe('File Collector', () => {
   let tempDir;
@@ -109,4 +116,39 @@ describe('File Collector', () => {
     assert(files.length > 0, 'Should collect files from valid directory');
     assert(files.some(f => f.includes('test.md')), 'Should include files from valid directory');
   });
+
+  test('should collect JavaScript and TypeScript source files', () => {
+    const sourceDir = path.join(tempDir, 'source');
+    fs.mkdirSync(sourceDir, { recursive: true });
+    fs.writeFileSync(path.join(sourceDir, 'index.js'), '');
+    fs.writeFileSync(path.join(sourceDir, 'index.d.ts'), '');
+    fs.writeFileSync(path.join(sourceDir, 'App.tsx'), '');
+    fs.writeFileSync(path.join(sourceDir, 'styles.css'), '');
+
+    const files = collectSourceFiles([sourceDir], []);
+
+    assert.strictEqual(files.length, 3);
+    assert(!files.some(f => f.endsWith('styles.css')), 'Should skip non-source files');
+    assert(!collectMarkdownFiles([sourceDir], []).length, 'Markdown collection should skip source files');
+  });
+
+  test('should recognise source file extensions', () => {
+    assert(isSourceFile('lib/index.mjs'));
+    assert(isSourceFile('types/index.d.ts'));
+    assert(isSourceFile('src/App.jsx'));
+    assert(!isSourceFile('README.md'));
+    assert(!isSourceFile('data.json'));
+  });
+
+  test('should collect MDX files as markdown', () => {
+    const mdxDir = path.join(tempDir, 'mdx');
+    fs.mkdirSync(mdxDir, { recursive: true });
+    fs.writeFileSync(path.join(mdxDir, 'button.mdx'), '# Button');
+
+    const files = collectMarkdownFiles([mdxDir], []);
+
+    assert.deepStrictEqual(files, [path.join(mdxDir, 'button.mdx')]);
+    assert(isMdxFile('docs/Button.MDX'));
+    assert(!isMdxFile('docs/button.md'));
+  });
 });
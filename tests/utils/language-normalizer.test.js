@@ -0,0 +1,41 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  normalizeLanguage,
+  isLanguageAllowed
+} from '../../src/utils/language-normalizer.js';
+
+describe('Language Normalizer', () => {
+  test('should collapse aliases to a canonical language', () => {
+    assert.strictEqual(normalizeLanguage('js'), 'javascript');
+    assert.strictEqual(normalizeLanguage('mjs'), 'javascript');
+    assert.strictEqual(normalizeLanguage('node'), 'javascript');
+    assert.strictEqual(normalizeLanguage('JavaScript'), 'javascript');
+    assert.strictEqual(normalizeLanguage('ts'), 'typescript');
+    assert.strictEqual(normalizeLanguage('shell-session'), 'console');
+    assert.strictEqual(normalizeLanguage('yml'), 'yaml');
+  });
+
+  test('should keep JSON dialects apart from JSON', () => {
+    assert.strictEqual(normalizeLanguage('json5'), 'json5');
+    assert.strictEqual(normalizeLanguage('JSONC'), 'jsonc');
+  });
+
+  test('should default empty languages to text', () => {
+    assert.strictEqual(normalizeLanguage(''), 'text');
+    assert.strictEqual(normalizeLanguage('  '), 'text');
+    assert.strictEqual(normalizeLanguage(null), 'text');
+  });
+
+  test('should lowercase unknown languages', () => {
+    assert.strictEqual(normalizeLanguage('Elixir'), 'elixir');
+  });
+
+  test('should apply include and exclude filters', () => {
+    assert.strictEqual(isLanguageAllowed('js', {}), true);
+    assert.strictEqual(isLanguageAllowed('js', { languages: ['javascript'] }), true);
+    assert.strictEqual(isLanguageAllowed('py', { languages: ['javascript'] }), false);
+    assert.strictEqual(isLanguageAllowed('sh', { excludeLanguages: ['bash'] }), false);
+    assert.strictEqual(isLanguageAllowed('js', { languages: ['javascript'], excludeLanguages: ['javascript'] }), false);
+  });
+});
@@ -0,0 +1,23 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { toRelativeLink } from '../../src/utils/path-utils.js';
+
+describe('Path Utils', () => {
+  test('should link to files in the same or nested directories with ./', () => {
+    assert.strictEqual(toRelativeLink('rules', path.join('rules', 'a.md')), './a.md');
+    assert.strictEqual(toRelativeLink('rules', path.join('rules', '@scope', 'b.md')), './@scope/b.md');
+  });
+
+  test('should link to files in parent directories with ../', () => {
+    assert.strictEqual(toRelativeLink(path.join('rules', 'pkg'), path.join('rules', 'a.md')), '../a.md');
+  });
+
+  test('should not treat dot-prefixed names as relative paths', () => {
+    assert.strictEqual(toRelativeLink('rules', path.join('rules', '.hidden.md')), './.hidden.md');
+  });
+
+  test('should encode characters that are not valid in links', () => {
+    assert.strictEqual(toRelativeLink('rules', path.join('rules', 'my rules.md')), './my%20rules.md');
+  });
+});
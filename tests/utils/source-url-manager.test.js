@@ -1,6 +1,12 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
-import { getScopeAndName, readPackageJson } from '../../src/utils/source-url-manager.js';
+import {
+  detectCodeHost,
+  formatLineAnchor,
+  getScopeAndName,
+  getSourceUrl,
+  readPackageJson
+} from '../../src/utils/source-url-manager.js';
 
 describe('Source URL Manager', () => {
   test('should parse scoped package names correctly', () => {
@@ -37,4 +43,51 @@ describe('Source URL Manager', () => {
     const result = readPackageJson('non-existent-package.json');
     assert.strictEqual(result, null);
   });
-}); 
+
+  test('should detect code hosts from URLs', () => {
+    assert.strictEqual(detectCodeHost('https://github.com/user/repo/blob/main/'), 'github');
+    assert.strictEqual(detectCodeHost('https://gitlab.com/user/repo/-/blob/main/'), 'gitlab');
+    assert.strictEqual(detectCodeHost('https://code.example.com/group/repo/-/blob/main/'), 'gitlab');
+    assert.strictEqual(detectCodeHost('https://bitbucket.org/user/repo/src/main/'), 'bitbucket');
+    assert.strictEqual(detectCodeHost('https://git.example.com/user/repo/src/branch/main/'), 'github');
+  });
+
+  test('should format line anchors per host', () => {
+    assert.strictEqual(formatLineAnchor('https://github.com/u/r/blob/main/', 42, 58), '#L42-L58');
+    assert.strictEqual(formatLineAnchor('https://gitlab.com/u/r/-/blob/main/', 42, 58), '#L42-58');
+    assert.strictEqual(formatLineAnchor('https://bitbucket.org/u/r/src/main/', 42, 58), '#lines-42:58');
+    assert.strictEqual(formatLineAnchor('https://bitbucket.org/u/r/src/main/', 42, 42), '#lines-42');
+    assert.strictEqual(formatLineAnchor('https://github.com/u/r/blob/main/', 7), '#L7');
+    assert.strictEqual(formatLineAnchor('https://github.com/u/r/blob/main/', null, null), '');
+  });
+
+  test('should append line anchors to custom source URLs', () => {
+    const previous = process.env.SOURCE_BASE_URL;
+    process.env.SOURCE_BASE_URL = 'https://github.com/user/repo/blob/main/';
+
+    try {
+      assert.strictEqual(getSourceUrl('docs/README.md', { start: 42, end: 58 }),
+        'https://github.com/user/repo/blob/main/docs/README.md#L42-L58');
+      assert.strictEqual(getSourceUrl('docs/README.md'), 'https://github.com/user/repo/blob/main/docs/README.md');
+    } finally {
+      if (previous == null) {
+        delete process.env.SOURCE_BASE_URL;
+      } else {
+        process.env.SOURCE_BASE_URL = previous;
+      }
+    }
+  });
+
+  test('should not add line anchors to relative paths', () => {
+    const previous = process.env.SOURCE_BASE_URL;
+    delete process.env.SOURCE_BASE_URL;
+
+    try {
+      assert.strictEqual(getSourceUrl('docs/README.md', { start: 42, end: 58 }), 'docs/README.md');
+    } finally {
+      if (previous != null) {
+        process.env.SOURCE_BASE_URL = previous;
+      }
+    }
+  });
+});